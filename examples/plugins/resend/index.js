@@ -0,0 +1,40 @@
+// examples/plugins/resend/index.js
+// Sample plugin: Resend transactional email. Shows every extension point —
+// a prompt, a template pack, env keys, dependencies, a subcommand and hooks.
+const fs = require('fs');
+const path = require('path');
+
+module.exports = (options) => ({
+  name: 'resend',
+  prompts: [
+    { type: 'input', name: 'emailFrom', message: 'Sender address for transactional email', initial: options.from || 'hello@example.com' },
+  ],
+  templates: './templates',
+  env: { RESEND_API_KEY: '' },
+  dependencies: { resend: '^3.2.0' },
+
+  commands(program) {
+    program
+      .command('email:check')
+      .description('check that RESEND_API_KEY is set in a generated project')
+      .option('--dir <dir>', 'project directory', process.cwd())
+      .action((opts) => {
+        const file = path.join(path.resolve(opts.dir), '.env.local');
+        const env = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+        if (/^RESEND_API_KEY=.+$/m.test(env)) {
+          console.log('RESEND_API_KEY is set.');
+        } else {
+          console.error(`RESEND_API_KEY is empty in ${file} — emails will be logged instead of sent.`);
+          process.exitCode = 1;
+        }
+      });
+  },
+
+  beforeGenerate({ answers }) {
+    if (!/@/.test(answers.emailFrom || '')) throw new Error(`emailFrom "${answers.emailFrom}" is not an email address`);
+  },
+
+  afterGenerate({ dir }) {
+    console.log(`resend: add RESEND_API_KEY to ${path.join(dir, '.env.local')} to send real email.`);
+  },
+});
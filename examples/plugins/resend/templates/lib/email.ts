@@ -0,0 +1,14 @@
+// lib/email.ts
+// Transactional email via Resend (added by the resend scaffold plugin).
+import { Resend } from 'resend';
+
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+export async function sendEmail({ to, subject, html }: { to: string; subject: string; html: string }) {
+  if (!resend) {
+    // No key yet: log instead of failing so local dev keeps working
+    console.log('[email] RESEND_API_KEY not set, skipping:', subject, '->', to);
+    return { skipped: true };
+  }
+  return resend.emails.send({ from: '{{emailFrom}}', to, subject, html });
+}
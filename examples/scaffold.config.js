@@ -0,0 +1,8 @@
+// examples/scaffold.config.js
+// Run the CLI from this directory to try the sample plugin:
+//   cd examples && node ../scaffold.js apply --name demo --dry-run
+module.exports = {
+  plugins: [
+    ['./plugins/resend', { from: 'hello@onboardkit.dev' }],
+  ],
+};
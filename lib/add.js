@@ -0,0 +1,201 @@
+// lib/add.js
+// `scaffold add <module>` / `scaffold remove <module>` on an already-generated project.
+// Every edit is applied twice: to the working file and to its pristine copy in
+// .scaffold/base, so a later `upgrade` still merges cleanly around it.
+const fs = require('fs');
+const path = require('path');
+const { write } = require('./util');
+const { planScaffold } = require('./plan');
+const { hash, readManifest, readBase, updateManifest, MANIFEST_FILE } = require('./manifest');
+const { SCHEMA_FILE, addSchemaVars, removeSchemaVars } = require('./env');
+const {
+  loadModules, moduleNames, selectedModules, moduleFiles,
+  applyPatch, revertPatch, appendEnv, removeEnv,
+} = require('./modules');
+
+function requireProject(dir) {
+  const manifest = readManifest(dir);
+  if (!manifest) {
+    console.error(`No ${MANIFEST_FILE} in ${dir} — was it generated with scaffold apply?`);
+    process.exit(1);
+  }
+  return manifest;
+}
+
+function requireModule(name) {
+  const modules = loadModules();
+  if (!modules[name]) {
+    console.error(`Unknown module "${name}". Available: ${moduleNames().join(', ')}`);
+    process.exit(1);
+  }
+  return modules[name];
+}
+
+function readFile(dir, rel) {
+  const file = path.join(dir, rel);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/** .env.* files in the project root (the generated ones plus any the user added). */
+function envFiles(dir) {
+  return fs.readdirSync(dir).filter(f => f.startsWith('.env.') && fs.statSync(path.join(dir, f)).isFile());
+}
+
+/**
+ * Run `fn` over the working copy and the base copy of `rel`.
+ * Returns { working, base } results (null where the copy doesn't exist).
+ */
+function transform(dir, rel, fn, changes) {
+  const current = readFile(dir, rel);
+  const base = readBase(dir, rel);
+  const working = current === null ? null : fn(current);
+  if (working !== null && working.content !== current) write(path.join(dir, rel), working.content);
+  const pristine = base === null ? null : fn(base);
+  if (pristine !== null) changes[rel] = pristine.content;
+  return { working, base: pristine };
+}
+
+function mergeDeps(content, deps) {
+  const pkg = JSON.parse(content);
+  // append, keeping any version the project already pins
+  pkg.dependencies = { ...pkg.dependencies };
+  for (const [n, v] of Object.entries(deps)) if (!(n in pkg.dependencies)) pkg.dependencies[n] = v;
+  return { content: JSON.stringify(pkg, null, 2) };
+}
+
+function dropDeps(content, names) {
+  const pkg = JSON.parse(content);
+  for (const n of names) delete (pkg.dependencies || {})[n];
+  return { content: JSON.stringify(pkg, null, 2) };
+}
+
+function addModule(dir, name) {
+  const manifest = requireProject(dir);
+  const mod = requireModule(name);
+  const current = selectedModules(manifest.answers);
+  if (current.includes(name)) {
+    console.log(`Module ${name} is already part of ${dir}.`);
+    return;
+  }
+  const answers = { ...manifest.answers, modules: [...current, name] };
+  const planned = planScaffold(answers);
+  const changes = {};
+  console.log(`Adding ${name} to ${dir}`);
+
+  for (const rel of moduleFiles(name)) {
+    const file = planned.find(f => f.path === rel);
+    if (!file) continue;
+    const existing = readFile(dir, rel);
+    if (existing === null) {
+      write(path.join(dir, rel), file.content);
+      console.log(`  created      ${rel}`);
+    } else if (existing !== file.content) {
+      console.log(`  kept         ${rel} (already exists with local changes)`);
+    }
+    changes[rel] = file.content;
+  }
+
+  for (const patch of mod.patches || []) {
+    const { working } = transform(dir, patch.file, content => applyPatch(content, patch), changes);
+    if (!working) {
+      console.log(`  skipped      ${patch.file} (missing)`);
+    } else if (working.status === 'applied') {
+      console.log(`  patched      ${patch.file}`);
+    } else if (working.status === 'missing-anchor') {
+      console.log(`  MANUAL       ${patch.file}: add \`${patch.insert.trim()}\` after \`${patch.after}\``);
+    }
+  }
+
+  if (mod.dependencies) {
+    transform(dir, 'package.json', content => mergeDeps(content, mod.dependencies), changes);
+    console.log(`  updated      package.json (${Object.keys(mod.dependencies).join(', ')})`);
+  }
+  if (mod.env) {
+    if (transform(dir, SCHEMA_FILE, content => ({ content: addSchemaVars(content, name, mod.env, { module: name }) }), changes).working) {
+      console.log(`  updated      ${SCHEMA_FILE}`);
+    }
+    for (const rel of envFiles(dir)) {
+      transform(dir, rel, content => ({ content: appendEnv(content, name, mod.env) }), changes);
+      console.log(`  updated      ${rel}`);
+    }
+  }
+
+  updateManifest(dir, answers, changes);
+  if (mod.dependencies) console.log('\nRun npm install to pick up the new dependencies.');
+}
+
+function removeModule(dir, name, { force = false } = {}) {
+  const manifest = requireProject(dir);
+  const mod = requireModule(name);
+  const current = selectedModules(manifest.answers);
+  if (!current.includes(name)) {
+    console.log(`Module ${name} is not part of ${dir}.`);
+    return;
+  }
+  const answers = { ...manifest.answers, modules: current.filter(m => m !== name) };
+  const changes = {};
+  console.log(`Removing ${name} from ${dir}`);
+
+  for (const rel of moduleFiles(name)) {
+    const existing = readFile(dir, rel);
+    // only files the scaffold generated; a user file at the same path is none of our business
+    if (!manifest.files[rel]) continue;
+    if (/(^|\/)migrations\//.test(rel)) {
+      console.log(`  kept         ${rel} (migrations stay in history; write a new one to drop tables)`);
+      continue;
+    }
+    changes[rel] = null;
+    if (existing === null) continue;
+    if (!force && hash(existing) !== manifest.files[rel]) {
+      console.log(`  kept         ${rel} (modified — use --force to delete)`);
+      continue;
+    }
+    fs.rmSync(path.join(dir, rel), { force: true });
+    console.log(`  deleted      ${rel}`);
+  }
+
+  for (const patch of mod.patches || []) {
+    const { working } = transform(dir, patch.file, content => revertPatch(content, patch), changes);
+    if (working && working.status === 'reverted') console.log(`  unpatched    ${patch.file}`);
+    else if (working) console.log(`  MANUAL       ${patch.file}: remove \`${patch.insert.trim()}\` if still present`);
+  }
+
+  if (mod.dependencies) {
+    // keep anything another installed module still needs
+    const modules = loadModules();
+    const needed = new Set(answers.modules.flatMap(m => Object.keys((modules[m] || {}).dependencies || {})));
+    const drop = Object.keys(mod.dependencies).filter(d => !needed.has(d));
+    if (drop.length) {
+      transform(dir, 'package.json', content => dropDeps(content, drop), changes);
+      console.log(`  updated      package.json (removed ${drop.join(', ')})`);
+    }
+  }
+  if (mod.env) {
+    if (transform(dir, SCHEMA_FILE, content => ({ content: removeSchemaVars(content, Object.keys(mod.env)) }), changes).working) {
+      console.log(`  updated      ${SCHEMA_FILE}`);
+    }
+    for (const rel of envFiles(dir)) {
+      const { working } = transform(dir, rel, content => removeEnv(content, name, mod.env), changes);
+      if (working && working.kept.length) console.log(`  kept         ${rel}: ${working.kept.join(', ')} (has a value)`);
+      else console.log(`  updated      ${rel}`);
+    }
+  }
+
+  updateManifest(dir, answers, changes);
+}
+
+/** Print every module; inside a generated project, mark the installed ones. */
+function listModules(dir) {
+  const manifest = readManifest(dir);
+  const installed = manifest ? selectedModules(manifest.answers) : [];
+  const modules = loadModules();
+  const width = Math.max(...Object.keys(modules).map(n => n.length)) + 2;
+  console.log('Available modules:');
+  for (const [name, mod] of Object.entries(modules)) {
+    const mark = installed.includes(name) ? '*' : ' ';
+    console.log(`  ${mark} ${name.padEnd(width)}${mod.description || ''}`);
+  }
+  if (manifest) console.log('\n* installed in this project');
+}
+
+module.exports = { addModule, removeModule, listModules };
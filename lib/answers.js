@@ -0,0 +1,209 @@
+// lib/answers.js
+// Where `apply` answers come from besides the prompts: answer files (--config),
+// named presets saved in the user's config dir (--preset), and CLI flags.
+// Every source is validated against ANSWER_SCHEMA before it is used.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { write } = require('./util');
+const { moduleNames } = require('./modules');
+const { pluginAnswerKeys } = require('./plugins');
+
+// Supported values for the provider options; the template manifest branches on these.
+const CHOICES = {
+  auth: ['clerk', 'authjs', 'none'],
+  db: ['supabase', 'postgres', 'sqlite'],
+  deploy: ['netlify', 'vercel', 'docker'],
+  tenancy: ['single', 'multi'],
+};
+
+// What a non-interactive apply uses for anything no source sets.
+const DEFAULT_ANSWERS = {
+  repo: '',
+  stripe: true,
+  auth: 'clerk',
+  db: 'supabase',
+  deploy: 'netlify',
+  tenancy: 'single',
+  autoInstall: true,
+};
+
+const ANSWER_SCHEMA = {
+  name: { type: 'string' },
+  dir: { type: 'string' },
+  repo: { type: 'string' },
+  stripe: { type: 'boolean' },
+  auth: { choices: () => CHOICES.auth },
+  db: { choices: () => CHOICES.db },
+  deploy: { choices: () => CHOICES.deploy },
+  tenancy: { choices: () => CHOICES.tenancy },
+  modules: { type: 'array', choices: moduleNames },
+  autoInstall: { type: 'boolean' },
+};
+
+// Choices that are each valid but generate code that can't work together. Each is checked once
+// every key it names is known (in one source, or after all sources and prompts are merged).
+const CONFLICTS = [
+  {
+    keys: ['tenancy', 'auth'],
+    applies: a => a.tenancy === 'multi' && a.auth !== 'clerk',
+    message: a => `tenancy "multi" needs auth "clerk": invitations are accepted by a verified email, which auth "${a.auth}" doesn't provide`,
+  },
+];
+
+// Presets describe a stack, not a project.
+const PROJECT_KEYS = ['name', 'dir'];
+
+/** Validate an answers object; returns a list of human-readable errors (empty when valid). */
+function validateAnswers(answers, source) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return [`${source}: expected an object of answers`];
+  }
+  const errors = [];
+  const extra = new Set(pluginAnswerKeys());
+  for (const [key, value] of Object.entries(answers)) {
+    const rule = ANSWER_SCHEMA[key];
+    if (!rule) {
+      if (!extra.has(key)) errors.push(`${source}: unknown key "${key}" (allowed: ${[...Object.keys(ANSWER_SCHEMA), ...extra].join(', ')})`);
+      continue;
+    }
+    if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`${source}: ${key} must be a list`);
+        continue;
+      }
+      const allowed = rule.choices();
+      for (const v of value) {
+        if (!allowed.includes(v)) errors.push(`${source}: unknown ${key} value "${v}" (expected one of ${allowed.join(', ')})`);
+      }
+    } else if (rule.choices) {
+      const allowed = rule.choices();
+      if (!allowed.includes(value)) errors.push(`${source}: unknown ${key} "${value}" (expected one of ${allowed.join(', ')})`);
+    } else if (typeof value !== rule.type) {
+      errors.push(`${source}: ${key} must be a ${rule.type}, got ${JSON.stringify(value)}`);
+    }
+  }
+  return [...errors, ...conflictErrors(answers, source)];
+}
+
+/** Errors for the CONFLICTS among `answers`; a conflict whose keys aren't all set is skipped. */
+function conflictErrors(answers, source) {
+  return CONFLICTS
+    .filter(c => c.keys.every(k => answers[k] !== undefined) && c.applies(answers))
+    .map(c => `${source}: ${c.message(answers)}`);
+}
+
+function assertValid(answers, source) {
+  const errors = validateAnswers(answers, source);
+  if (errors.length) {
+    for (const e of errors) console.error(e);
+    process.exit(1);
+  }
+  return answers;
+}
+
+/** Exit with the conflicts among the final, merged answers (sources can each be fine on their own). */
+function assertCompatible(answers, source = 'answers') {
+  const errors = conflictErrors(answers, source);
+  if (errors.length) {
+    for (const e of errors) console.error(e);
+    process.exit(1);
+  }
+  return answers;
+}
+
+/** Read and validate an answers file (.json, .yaml or .yml). */
+function readAnswersFile(file) {
+  if (!fs.existsSync(file)) {
+    console.error('Answers file not found:', file);
+    process.exit(1);
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  let answers;
+  try {
+    answers = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    console.error(`Could not parse ${file}: ${e.message}`);
+    process.exit(1);
+  }
+  return assertValid(answers, path.basename(file));
+}
+
+// ----- presets -----
+
+/** Per-user config dir: $SCAFFOLD_CONFIG_DIR, else $XDG_CONFIG_HOME (or %APPDATA%)/saas-scaffold. */
+function configDir() {
+  if (process.env.SCAFFOLD_CONFIG_DIR) return process.env.SCAFFOLD_CONFIG_DIR;
+  const base = process.platform === 'win32'
+    ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'saas-scaffold');
+}
+
+function presetFile(name) {
+  if (!/^[\w-]+$/.test(name)) {
+    console.error(`Invalid preset name "${name}" (use letters, digits, - and _)`);
+    process.exit(1);
+  }
+  return path.join(configDir(), 'presets', `${name}.json`);
+}
+
+function loadPreset(name) {
+  const file = presetFile(name);
+  if (!fs.existsSync(file)) {
+    console.error(`No preset named "${name}". Run \`scaffold preset list\` to see saved presets.`);
+    process.exit(1);
+  }
+  return assertValid(JSON.parse(fs.readFileSync(file, 'utf8')), `preset ${name}`);
+}
+
+function savePreset(name, answers, { force = false } = {}) {
+  const file = presetFile(name);
+  if (fs.existsSync(file) && !force) {
+    console.error(`Preset "${name}" already exists. Pass --force to overwrite it.`);
+    process.exit(1);
+  }
+  const preset = { ...answers };
+  for (const k of PROJECT_KEYS) delete preset[k];
+  if (!Object.keys(preset).length) {
+    console.error('Nothing to save: pass --config or at least one of --auth, --db, --deploy, --tenancy, --stripe/--no-stripe, --repo.');
+    process.exit(1);
+  }
+  assertValid(preset, `preset ${name}`);
+  write(file, JSON.stringify(preset, null, 2) + '\n');
+  console.log(`Saved preset ${name} to ${file}`);
+  return preset;
+}
+
+function listPresets() {
+  const dir = path.join(configDir(), 'presets');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => ({ name: f.replace(/\.json$/, ''), answers: JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')) }));
+}
+
+function deletePreset(name) {
+  const file = presetFile(name);
+  if (!fs.existsSync(file)) {
+    console.error(`No preset named "${name}".`);
+    process.exit(1);
+  }
+  fs.rmSync(file);
+  console.log(`Deleted preset ${name}`);
+}
+
+module.exports = {
+  CHOICES,
+  DEFAULT_ANSWERS,
+  ANSWER_SCHEMA,
+  validateAnswers,
+  assertCompatible,
+  readAnswersFile,
+  configDir,
+  loadPreset,
+  savePreset,
+  listPresets,
+  deletePreset,
+};
@@ -0,0 +1,130 @@
+// lib/db.js
+// Versioned SQL migrations for generated projects: NNNN_name.sql files applied in
+// order to a Postgres URL and tracked in a schema_migrations table.
+const fs = require('fs');
+const path = require('path');
+const { write } = require('./util');
+
+// Where each --db provider keeps its migrations (sqlite creates its schema at runtime)
+const MIGRATION_DIRS = ['supabase/migrations', 'db/migrations'];
+const MIGRATION_RE = /^(\d{4})_([\w-]+)\.sql$/;
+
+function migrationsDir(dir) {
+  const found = MIGRATION_DIRS.find(d => fs.existsSync(path.join(dir, d)));
+  if (!found) {
+    console.error(`No migrations directory in ${dir} (looked for ${MIGRATION_DIRS.join(', ')}).`);
+    process.exit(1);
+  }
+  return path.join(dir, found);
+}
+
+function listMigrations(dir) {
+  const migDir = migrationsDir(dir);
+  return fs.readdirSync(migDir)
+    .filter(f => MIGRATION_RE.test(f))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_RE);
+      return { version, name, file, path: path.join(migDir, file) };
+    });
+}
+
+function newMigration(dir, name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/(^_|_$)/g, '');
+  if (!slug) { console.error('Migration name must contain letters or digits.'); process.exit(1); }
+  const existing = listMigrations(dir);
+  const next = existing.length ? Number(existing[existing.length - 1].version) + 1 : 1;
+  const file = path.join(migrationsDir(dir), `${String(next).padStart(4, '0')}_${slug}.sql`);
+  write(file, `-- ${path.relative(dir, file)}\n-- Created ${new Date().toISOString()}\n\n`);
+  console.log('Created', path.relative(dir, file));
+  return file;
+}
+
+/** Minimal .env reader — enough to pick up DATABASE_URL without a dotenv dependency. */
+function readEnvFile(file) {
+  if (!fs.existsSync(file)) return {};
+  const env = {};
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/);
+    if (m) env[m[1]] = m[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return env;
+}
+
+/** --url, then the environment, then .env.local (DATABASE_URL or SUPABASE_DB_URL). */
+function resolveUrl(dir, url) {
+  const local = readEnvFile(path.join(dir, '.env.local'));
+  const resolved = url || process.env.DATABASE_URL || process.env.SUPABASE_DB_URL || local.DATABASE_URL || local.SUPABASE_DB_URL;
+  if (!resolved) {
+    console.error('No database URL: pass --url or set DATABASE_URL (or SUPABASE_DB_URL) in the environment or .env.local.');
+    process.exit(1);
+  }
+  return resolved;
+}
+
+async function connect(url) {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: url });
+  try {
+    await client.connect();
+  } catch (err) {
+    console.error('Could not connect to the database:', err.message);
+    process.exit(1);
+  }
+  await client.query(`create table if not exists schema_migrations (
+    version text primary key,
+    name text not null,
+    applied_at timestamptz not null default now()
+  )`);
+  return client;
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query('select version from schema_migrations');
+  return new Set(rows.map(r => r.version));
+}
+
+async function status(dir, { url } = {}) {
+  const migrations = listMigrations(dir);
+  const client = await connect(resolveUrl(dir, url));
+  try {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version));
+    for (const m of migrations) console.log(`  ${applied.has(m.version) ? 'applied' : 'pending'}  ${m.file}`);
+    console.log(pending.length ? `\n${pending.length} pending migration(s).` : '\nDatabase is up to date.');
+    return pending;
+  } finally {
+    await client.end();
+  }
+}
+
+async function migrate(dir, { url, dryRun = false } = {}) {
+  const migrations = listMigrations(dir);
+  const client = await connect(resolveUrl(dir, url));
+  try {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version));
+    if (!pending.length) { console.log('Database is up to date.'); return []; }
+    for (const m of pending) {
+      if (dryRun) { console.log('  would apply', m.file); continue; }
+      // Each migration runs in its own transaction together with its bookkeeping row
+      await client.query('begin');
+      try {
+        await client.query(fs.readFileSync(m.path, 'utf8'));
+        await client.query('insert into schema_migrations (version, name) values ($1, $2)', [m.version, m.name]);
+        await client.query('commit');
+        console.log('  applied', m.file);
+      } catch (err) {
+        await client.query('rollback');
+        console.error(`  failed  ${m.file}: ${err.message}`);
+        process.exitCode = 1;
+        return pending;
+      }
+    }
+    return pending;
+  } finally {
+    await client.end();
+  }
+}
+
+module.exports = { listMigrations, newMigration, readEnvFile, resolveUrl, status, migrate };
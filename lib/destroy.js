@@ -0,0 +1,105 @@
+// lib/destroy.js
+// Remove a generated project. Only directories carrying a scaffold manifest
+// are eligible, and nothing is deleted without confirmation (or --yes).
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { prompt } = require('enquirer');
+const { hash, readManifest, MANIFEST_DIR, MANIFEST_FILE } = require('./manifest');
+
+// Large or tool-owned directories: reported, but not walked.
+const SKIP_WALK = ['node_modules', '.git', '.next', '.netlify'];
+
+function walk(dir, rel = '') {
+  const out = [];
+  for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+    const p = rel ? path.posix.join(rel, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      if (SKIP_WALK.includes(p) || p === MANIFEST_DIR) continue;
+      out.push(...walk(dir, p));
+    } else {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+/** Uncommitted changes in `dir`, or null when it isn't inside a git work tree. */
+function gitChanges(dir) {
+  const r = spawnSync('git', ['status', '--porcelain', '--', '.'], { cwd: dir, encoding: 'utf8' });
+  if (r.error || r.status !== 0) return null;
+  return r.stdout.split('\n').filter(Boolean);
+}
+
+/** Classify every file under `dir` against the manifest. */
+function classify(dir, manifest) {
+  const generated = [];
+  const modified = [];
+  const user = [];
+  for (const p of walk(dir)) {
+    const recorded = manifest.files[p];
+    if (!recorded) user.push(p);
+    else if (hash(fs.readFileSync(path.join(dir, p), 'utf8')) === recorded) generated.push(p);
+    else modified.push(p);
+  }
+  return { generated, modified, user };
+}
+
+function pruneEmptyDirs(dir, rel = '') {
+  const abs = path.join(dir, rel);
+  for (const entry of fs.readdirSync(abs, { withFileTypes: true })) {
+    if (entry.isDirectory() && !SKIP_WALK.includes(entry.name)) pruneEmptyDirs(dir, path.join(rel, entry.name));
+  }
+  if (rel && fs.readdirSync(abs).length === 0) fs.rmdirSync(abs);
+}
+
+async function destroy(dir, { yes = false, keepUserFiles = false } = {}) {
+  if (!fs.existsSync(dir)) { console.error('dir not found', dir); process.exit(1); }
+  const manifest = readManifest(dir);
+  if (!manifest) {
+    console.error(`Refusing to remove ${dir}: no ${MANIFEST_FILE} found, so it wasn't generated by this tool.`);
+    process.exit(1);
+  }
+
+  const { generated, modified, user } = classify(dir, manifest);
+  const extras = SKIP_WALK.filter(d => fs.existsSync(path.join(dir, d)));
+
+  if (keepUserFiles) {
+    console.log(`Will remove ${generated.length} unmodified generated file(s) and ${MANIFEST_DIR}/ from ${dir}.`);
+    if (modified.length) console.log(`Keeping ${modified.length} generated file(s) you modified:\n  ${modified.join('\n  ')}`);
+    if (user.length) console.log(`Keeping ${user.length} file(s) not created by the scaffold.`);
+  } else {
+    console.log(`Will remove ${dir} entirely:`);
+    console.log(`  ${generated.length} generated file(s)`);
+    if (modified.length) console.log(`  ${modified.length} generated file(s) you modified:\n    ${modified.join('\n    ')}`);
+    if (user.length) console.log(`  ${user.length} file(s) not created by the scaffold:\n    ${user.join('\n    ')}`);
+    if (extras.length) console.log(`  plus ${extras.map(d => d + '/').join(', ')}`);
+  }
+
+  const changes = gitChanges(dir);
+  if (changes && changes.length) {
+    console.warn(`\nWarning: ${changes.length} uncommitted git change(s) in ${dir}:\n  ${changes.slice(0, 20).join('\n  ')}${changes.length > 20 ? '\n  ...' : ''}`);
+  }
+
+  if (!yes) {
+    if (!process.stdin.isTTY) {
+      console.error('\nNot a terminal — pass --yes to confirm removal.');
+      process.exit(1);
+    }
+    const { ok } = await prompt({ type: 'confirm', name: 'ok', message: 'Proceed?', initial: false });
+    if (!ok) { console.log('Aborted.'); return; }
+  }
+
+  if (keepUserFiles) {
+    for (const p of generated) fs.unlinkSync(path.join(dir, p));
+    fs.rmSync(path.join(dir, MANIFEST_DIR), { recursive: true, force: true });
+    pruneEmptyDirs(dir);
+    if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    console.log('Removed generated files from', dir);
+  } else {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('Removed', dir);
+  }
+}
+
+module.exports = { destroy };
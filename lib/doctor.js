@@ -0,0 +1,311 @@
+// lib/doctor.js
+// Static checks for a generated project, run before the first `npm run dev` or in CI:
+// imports that don't resolve, packages used but not declared, env keys the code reads
+// but no .env.* file defines, placeholder secrets, undeliverable confirmation emails and the Node version.
+// Errors set a non-zero exit code; warnings are printed but don't fail the run.
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+const SOURCE_EXT = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const RESOLVE_EXT = [...SOURCE_EXT, '.json'];
+const SKIP_DIRS = ['node_modules', '.git', '.next', '.netlify', '.vercel', '.scaffold', 'out'];
+const ENV_FILES = ['.env', '.env.local', '.env.staging', '.env.production'];
+const DEPLOY_ENV_FILES = ['.env.staging', '.env.production'];
+// lib/mail.ts transports that only print or save messages locally
+const LOCAL_TRANSPORTS = ['', 'console', 'file'];
+
+// Set by the runtime or the host, never by an .env file.
+const RUNTIME_ENV = ['NODE_ENV', 'PORT', 'CI', 'HOSTNAME', 'NEXT_RUNTIME'];
+
+// Next.js (latest) needs at least this when the project doesn't declare engines.node.
+const MIN_NODE = '18.18.0';
+
+// Values that are clearly still the template's stand-ins.
+const PLACEHOLDER = [/x{4,}/i, /your[-_]?(project|domain|key)/i, /change[-_]?me/i, /^<.*>$/, /replace[-_]?me/i, /\.{3}$/];
+// Keys to fetch from a provider dashboard rather than make up.
+const SECRET_KEY = /(SECRET|KEY|TOKEN|PASSWORD)$/;
+
+function walk(dir, rel = '') {
+  const out = [];
+  for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+    const p = rel ? path.posix.join(rel, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.includes(entry.name)) out.push(...walk(dir, p));
+    } else if (SOURCE_EXT.includes(path.extname(entry.name))) {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+/** Every module specifier in `code`, with the named imports where we can tell them. */
+function parseImports(code) {
+  const found = [];
+  const clause = /import\s+(type\s+)?([^'";]+?)\s+from\s+['"]([^'"]+)['"]/g;
+  let m;
+  while ((m = clause.exec(code))) found.push({ spec: m[3], ...parseClause(m[2], !!m[1]) });
+  const bare = [
+    /import\s+['"]([^'"]+)['"]/g,
+    /import\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /require\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /export\s+[^'";]*?\s+from\s+['"]([^'"]+)['"]/g,
+  ];
+  for (const re of bare) while ((m = re.exec(code))) found.push({ spec: m[1], names: [], hasDefault: false });
+  return found;
+}
+
+function parseClause(text, typeOnly) {
+  const braces = text.match(/\{([^}]*)\}/);
+  const names = braces
+    ? braces[1].split(',').map(s => s.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0]).filter(Boolean)
+    : [];
+  const head = text.replace(/\{[^}]*\}/, '').replace(/,/g, ' ').trim();
+  return { names, hasDefault: !typeOnly && !!head && !head.startsWith('*'), typeOnly };
+}
+
+/** Names a module exports, or null when it re-exports everything from elsewhere. */
+function parseExports(code) {
+  if (/export\s+\*\s+from/.test(code)) return null;
+  const names = new Set();
+  const decl = /export\s+(?:declare\s+)?(?:async\s+)?(?:function\*?|const|let|var|class|type|interface|enum)\s+([A-Za-z_$][\w$]*)/g;
+  let m;
+  while ((m = decl.exec(code))) names.add(m[1]);
+  const list = /export\s*(?:type\s*)?\{([^}]*)\}/g;
+  while ((m = list.exec(code))) {
+    for (const part of m[1].split(',')) {
+      const name = part.trim().split(/\s+as\s+/).pop();
+      if (name) names.add(name);
+    }
+  }
+  if (/export\s+default\b/.test(code) || /module\.exports\s*=/.test(code)) names.add('default');
+  return names;
+}
+
+function resolveRelative(dir, fromFile, spec) {
+  const base = path.resolve(dir, path.dirname(fromFile), spec);
+  const candidates = [base, ...RESOLVE_EXT.map(e => base + e), ...RESOLVE_EXT.map(e => path.join(base, 'index' + e))];
+  return candidates.find(c => fs.existsSync(c) && fs.statSync(c).isFile()) || null;
+}
+
+function packageName(spec) {
+  const parts = spec.split('/');
+  return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function isBuiltin(spec) {
+  return spec.startsWith('node:') || builtinModules.includes(packageName(spec));
+}
+
+function readEnvFiles(dir) {
+  const files = {};
+  for (const name of ENV_FILES) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+    const vars = {};
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      const m = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)$/);
+      if (m) vars[m[1]] = m[2].trim().replace(/^['"]|['"]$/g, '');
+    }
+    files[name] = vars;
+  }
+  return files;
+}
+
+function compareVersions(a, b) {
+  const pa = a.replace(/^v/, '').split('.').map(Number);
+  const pb = b.replace(/^v/, '').split('.').map(Number);
+  for (let i = 0; i < 3; i++) if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  return 0;
+}
+
+// ----- checks; each returns [{ level, file?, message, fix }] -----
+
+function checkImports(dir, sources, pkg) {
+  const problems = [];
+  const declared = { ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies };
+  const hasNodeModules = fs.existsSync(path.join(dir, 'node_modules'));
+  const undeclared = new Map();
+  const exportsCache = new Map();
+
+  for (const rel of sources) {
+    const code = fs.readFileSync(path.join(dir, rel), 'utf8');
+    for (const imp of parseImports(code)) {
+      if (imp.spec.startsWith('.')) {
+        const target = resolveRelative(dir, rel, imp.spec);
+        if (!target) {
+          problems.push({ level: 'error', file: rel, message: `cannot resolve '${imp.spec}'`, fix: `create the file or fix the import path` });
+          continue;
+        }
+        if (imp.typeOnly || (!imp.names.length && !imp.hasDefault) || target.endsWith('.json')) continue;
+        if (!exportsCache.has(target)) exportsCache.set(target, parseExports(fs.readFileSync(target, 'utf8')));
+        const exported = exportsCache.get(target);
+        if (!exported) continue;
+        const missing = imp.names.filter(n => !exported.has(n));
+        if (imp.hasDefault && !exported.has('default')) missing.unshift('default');
+        const targetRel = path.relative(dir, target);
+        for (const name of missing) {
+          problems.push({ level: 'error', file: rel, message: `'${imp.spec}' has no export ${name}`, fix: `export ${name} from ${targetRel} or drop it from the import` });
+        }
+      } else if (!isBuiltin(imp.spec)) {
+        const name = packageName(imp.spec);
+        if (!declared[name]) {
+          if (!undeclared.has(name)) undeclared.set(name, []);
+          undeclared.get(name).push(rel);
+        } else if (hasNodeModules && !fs.existsSync(path.join(dir, 'node_modules', name))) {
+          problems.push({ level: 'error', file: rel, message: `'${name}' is declared but not installed`, fix: 'run npm install' });
+        }
+      }
+    }
+  }
+  for (const [name, files] of undeclared) {
+    const where = [...new Set(files)];
+    problems.push({
+      level: 'error',
+      file: where[0],
+      message: `'${name}' is imported but not in package.json${where.length > 1 ? ` (also ${where.length - 1} other file(s))` : ''}`,
+      fix: `npm install ${name}`,
+    });
+  }
+  if (!hasNodeModules) problems.push({ level: 'warning', message: 'node_modules is missing', fix: 'run npm install' });
+  return problems;
+}
+
+/**
+ * Env reads that must be configured: `process.env.A || process.env.B` is one requirement
+ * satisfied by either key; any other fallback (`|| 'x'`, `?? path.join(...)`) or a `? :` guard makes it optional,
+ * also when it follows a call wrapping the read (`Number(process.env.PORT) || 4010`).
+ */
+function envRequirements(code) {
+  const out = [];
+  const optional = new Set();
+  const re = /process\.env\.([A-Z0-9_]+)((?:\s*\|\|\s*process\.env\.[A-Z0-9_]+)*)(\s*\)*\s*(?:\|\||\?\?|\?(?![?.])))?/g;
+  let m;
+  while ((m = re.exec(code))) {
+    const keys = [m[1], ...[...m[2].matchAll(/process\.env\.([A-Z0-9_]+)/g)].map(x => x[1])];
+    if (m[3]) keys.forEach(k => optional.add(k));
+    else if (!keys.some(k => RUNTIME_ENV.includes(k))) out.push(keys);
+  }
+  // once a file guards a key, its other reads of that key are guarded too
+  return out.filter(keys => !keys.some(k => optional.has(k)));
+}
+
+/** Keys env.schema.json marks optional, when the project has one. */
+function schemaOptional(dir) {
+  const file = path.join(dir, 'env.schema.json');
+  if (!fs.existsSync(file)) return new Set();
+  return new Set(JSON.parse(fs.readFileSync(file, 'utf8')).vars.filter(v => !v.required).map(v => v.key));
+}
+
+function checkEnv(dir, sources, envFiles) {
+  const problems = [];
+  const used = new Map();
+  const optional = schemaOptional(dir);
+  for (const rel of sources) {
+    const code = fs.readFileSync(path.join(dir, rel), 'utf8');
+    for (const keys of envRequirements(code)) {
+      if (keys.some(k => optional.has(k))) continue;
+      const id = keys.join(' or ');
+      if (!used.has(id)) used.set(id, { keys, rel });
+    }
+  }
+  const names = Object.keys(envFiles);
+  if (!names.length) {
+    problems.push({ level: 'error', message: 'no .env.* files found', fix: 'copy .env.staging to .env.local and fill in the values' });
+    return problems;
+  }
+  for (const [key, { keys, rel }] of used) {
+    const missingFrom = names.filter(n => !keys.some(k => k in envFiles[n]));
+    if (missingFrom.length === names.length) {
+      problems.push({ level: 'error', file: rel, message: `reads ${key}, which no .env.* file defines`, fix: `add ${keys[0]}= to ${names.join(', ')}` });
+    } else if (missingFrom.length) {
+      problems.push({ level: 'warning', file: rel, message: `${key} is missing from ${missingFrom.join(', ')}`, fix: `add ${keys[0]}= to ${missingFrom.join(', ')}` });
+    }
+  }
+  return problems;
+}
+
+function checkPlaceholders(envFiles) {
+  const problems = [];
+  for (const [name, vars] of Object.entries(envFiles)) {
+    for (const [key, value] of Object.entries(vars)) {
+      if (!value || !PLACEHOLDER.some(re => re.test(value))) continue;
+      // .env.local is what `npm run dev` reads; the deploy files are filled in on the host
+      problems.push({
+        level: name === '.env.local' || name === '.env' ? 'error' : 'warning',
+        file: name,
+        message: `${key} is still a placeholder (${value})`,
+        fix: SECRET_KEY.test(key) ? `paste the real ${key} from the provider dashboard` : `set a real value for ${key}`,
+      });
+    }
+  }
+  return problems;
+}
+
+// With double opt-in a signup only counts once its confirmation link is clicked, so a deploy
+// that never delivers mail quietly leaves every signup pending
+function checkMail(sources, envFiles) {
+  if (!sources.includes('lib/signup.ts')) return [];
+  const problems = [];
+  for (const name of DEPLOY_ENV_FILES) {
+    const vars = envFiles[name];
+    if (!vars || vars.SIGNUP_DOUBLE_OPT_IN === 'false') continue;
+    const transport = vars.MAIL_TRANSPORT || '';
+    if (!LOCAL_TRANSPORTS.includes(transport)) continue;
+    problems.push({
+      level: 'warning',
+      file: name,
+      message: `MAIL_TRANSPORT is ${transport || 'unset (console)'} while SIGNUP_DOUBLE_OPT_IN is on, so confirmation emails never reach signups`,
+      fix: 'set MAIL_TRANSPORT=smtp (with SMTP_URL) or resend (with RESEND_API_KEY), or SIGNUP_DOUBLE_OPT_IN=false',
+    });
+  }
+  return problems;
+}
+
+function checkNode(pkg) {
+  const range = pkg.engines && pkg.engines.node;
+  const m = range && range.match(/>=?\s*v?(\d+(?:\.\d+){0,2})/);
+  const min = m ? m[1] : MIN_NODE;
+  if (compareVersions(process.version, min) >= 0) return [];
+  return [{ level: 'error', message: `Node ${process.version} is older than ${min}${m ? ' (engines.node)' : ' (required by Next.js)'}`, fix: `install Node ${min} or newer (e.g. nvm install ${min.split('.')[0]})` }];
+}
+
+/** Run every check; prints a report and sets process.exitCode on errors. Returns the problems. */
+function doctor(dir, { json = false } = {}) {
+  const pkgFile = path.join(dir, 'package.json');
+  if (!fs.existsSync(pkgFile)) {
+    console.error(`No package.json in ${dir} — point --dir at a generated project.`);
+    process.exit(1);
+  }
+  const pkg = JSON.parse(fs.readFileSync(pkgFile, 'utf8'));
+  const sources = walk(dir);
+  const envFiles = readEnvFiles(dir);
+  const sections = [
+    ['Imports & dependencies', checkImports(dir, sources, pkg)],
+    ['Environment variables', checkEnv(dir, sources, envFiles)],
+    ['Placeholder secrets', checkPlaceholders(envFiles)],
+    ['Email delivery', checkMail(sources, envFiles)],
+    ['Node version', checkNode(pkg)],
+  ];
+  const problems = sections.flatMap(([, list]) => list);
+  const errors = problems.filter(p => p.level === 'error').length;
+  const warnings = problems.length - errors;
+
+  if (json) {
+    console.log(JSON.stringify({ dir, errors, warnings, problems }, null, 2));
+  } else {
+    console.log(`Checking ${dir} (${sources.length} source files)\n`);
+    for (const [title, list] of sections) {
+      console.log(`${list.some(p => p.level === 'error') ? '✖' : list.length ? '!' : '✔'} ${title}`);
+      for (const p of list) {
+        console.log(`    ${p.level.padEnd(8)}${p.file ? p.file + ': ' : ''}${p.message}`);
+        console.log(`            fix: ${p.fix}`);
+      }
+    }
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+  }
+  if (errors) process.exitCode = 1;
+  return problems;
+}
+
+module.exports = { parseImports, parseExports, doctor };
@@ -0,0 +1,189 @@
+// lib/env.js
+// One env schema (templates/env.schema.json) drives every .env.* file, the project's
+// env.schema.json (read at runtime by lib/env.ts) and `scaffold env check|sync`.
+// Schema entries: { key, group, required?, description?, when?, environments?, default?, values? }.
+const fs = require('fs');
+const path = require('path');
+const { render } = require('./util');
+const { TEMPLATES_DIR, matches, templateVars } = require('./templates');
+const { loadModules, selectedModules } = require('./modules');
+const { plugins } = require('./plugins');
+
+const SCHEMA_FILE = 'env.schema.json';
+
+function loadEnvSchema() {
+  return JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, SCHEMA_FILE), 'utf8'));
+}
+
+/** `env` maps of modules and plugins become optional schema entries grouped under their name. */
+function extraVars(group, env, tag) {
+  return Object.entries(env || {}).map(([key, value]) => ({ key, group, ...tag, ...(value ? { default: value } : {}) }));
+}
+
+/** Schema entries that apply to `answers`, with values rendered; `when` is resolved away. */
+function envSchema(answers) {
+  const schema = loadEnvSchema();
+  const vars = templateVars(answers);
+  const renderValue = v => (v === undefined ? undefined : render(String(v), vars));
+  const entries = schema.vars
+    .filter(v => matches(v.when, answers))
+    .map(({ when, ...v }) => ({
+      ...v,
+      ...(v.default !== undefined ? { default: renderValue(v.default) } : {}),
+      ...(v.values ? { values: Object.fromEntries(Object.entries(v.values).map(([k, x]) => [k, renderValue(x)])) } : {}),
+    }));
+  const modules = loadModules();
+  for (const name of selectedModules(answers)) entries.push(...extraVars(name, (modules[name] || {}).env, { module: name }));
+  for (const p of plugins()) entries.push(...extraVars(p.name, p.env, { plugin: p.name }));
+  return { environments: schema.environments, vars: entries };
+}
+
+function valueFor(v, env) {
+  return (v.values && v.values[env] !== undefined ? v.values[env] : v.default) || '';
+}
+
+function appliesTo(v, env) {
+  return !v.environments || v.environments.includes(env);
+}
+
+/** Body of .env.<env>: one `# Group` block per group, in schema order. */
+function renderEnvFile(schema, env) {
+  const groups = new Map();
+  for (const v of schema.vars) {
+    if (!appliesTo(v, env)) continue;
+    if (!groups.has(v.group)) groups.set(v.group, []);
+    groups.get(v.group).push(`${v.key}=${valueFor(v, env)}`);
+  }
+  const blocks = [...groups].map(([group, lines]) => [`# ${group}`, ...lines].join('\n'));
+  return `# .env.${env} (generated from ${SCHEMA_FILE}; add keys there and run \`scaffold env sync\`)\n\n${blocks.join('\n\n')}\n`;
+}
+
+/** Plan entries for env.schema.json and every .env.* file. */
+function envFiles(answers) {
+  const schema = envSchema(answers);
+  return [
+    { path: SCHEMA_FILE, content: JSON.stringify(schema, null, 2) + '\n' },
+    ...schema.environments.map(env => ({ path: `.env.${env}`, content: renderEnvFile(schema, env) })),
+  ];
+}
+
+/** Add module/plugin env keys to a project's env.schema.json content. */
+function addSchemaVars(content, group, env, tag) {
+  const schema = JSON.parse(content);
+  const known = new Set(schema.vars.map(v => v.key));
+  schema.vars.push(...extraVars(group, env, tag).filter(v => !known.has(v.key)));
+  return JSON.stringify(schema, null, 2) + '\n';
+}
+
+function removeSchemaVars(content, keys) {
+  const schema = JSON.parse(content);
+  schema.vars = schema.vars.filter(v => !keys.includes(v.key));
+  return JSON.stringify(schema, null, 2) + '\n';
+}
+
+// ----- scaffold env check | sync -----
+
+function readProjectSchema(dir) {
+  const file = path.join(dir, SCHEMA_FILE);
+  if (!fs.existsSync(file)) {
+    console.error(`No ${SCHEMA_FILE} in ${dir}. Projects generated before env schemas existed can get one with \`scaffold upgrade\`.`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseEnv(content) {
+  const vars = {};
+  for (const line of content.split('\n')) {
+    const m = line.match(/^\s*([A-Za-z0-9_]+)\s*=\s*(.*)$/);
+    if (m) vars[m[1]] = m[2].trim();
+  }
+  return vars;
+}
+
+/** Per environment: keys the schema expects but the file lacks, keys the schema doesn't know, empty required values. */
+function compareEnv(dir, schema) {
+  return schema.environments.map(env => {
+    const file = `.env.${env}`;
+    const full = path.join(dir, file);
+    const exists = fs.existsSync(full);
+    const actual = exists ? parseEnv(fs.readFileSync(full, 'utf8')) : {};
+    const expected = schema.vars.filter(v => appliesTo(v, env));
+    const known = new Set(schema.vars.map(v => v.key));
+    return {
+      env,
+      file,
+      exists,
+      missing: expected.filter(v => !(v.key in actual)),
+      extra: Object.keys(actual).filter(k => !known.has(k)),
+      // only .env.local is expected to hold real values; deploy files are filled on the host
+      empty: env === 'local' ? expected.filter(v => v.required && v.key in actual && !actual[v.key]) : [],
+    };
+  });
+}
+
+function checkEnv(dir) {
+  const schema = readProjectSchema(dir);
+  const report = compareEnv(dir, schema);
+  let problems = 0;
+  for (const r of report) {
+    const issues = r.missing.length + r.extra.length + r.empty.length;
+    console.log(`${r.missing.length || !r.exists ? '✖' : issues ? '!' : '✔'} ${r.file}${r.exists ? '' : ' (missing file)'}`);
+    for (const v of r.missing) console.log(`    missing  ${v.key}${v.required ? ' (required)' : ''}${v.description ? ` — ${v.description}` : ''}`);
+    for (const k of r.extra) console.log(`    extra    ${k} (not in ${SCHEMA_FILE})`);
+    for (const v of r.empty) console.log(`    empty    ${v.key} (required)`);
+    problems += r.missing.length + (r.exists ? 0 : 1);
+  }
+  if (problems) {
+    console.log(`\nRun \`scaffold env sync\` to add missing keys. Declare extra keys in ${SCHEMA_FILE} or remove them.`);
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/** Insert `line` after the last key of `group` in `content`, or append a new `# group` block. */
+function insertKey(content, schema, v, line) {
+  const lines = content.replace(/\n*$/, '').split('\n');
+  const siblings = new Set(schema.vars.filter(x => x.group === v.group).map(x => x.key));
+  let at = -1;
+  lines.forEach((l, i) => {
+    const m = l.match(/^\s*([A-Za-z0-9_]+)\s*=/);
+    if (m && siblings.has(m[1])) at = i;
+  });
+  if (at === -1) return [...lines, '', `# ${v.group}`, line].join('\n') + '\n';
+  lines.splice(at + 1, 0, line);
+  return lines.join('\n') + '\n';
+}
+
+function syncEnv(dir, { prune = false, dryRun = false } = {}) {
+  const schema = readProjectSchema(dir);
+  for (const r of compareEnv(dir, schema)) {
+    const full = path.join(dir, r.file);
+    let content = r.exists ? fs.readFileSync(full, 'utf8') : renderEnvFile({ ...schema, vars: [] }, r.env);
+    for (const v of r.missing) content = insertKey(content, schema, v, `${v.key}=${valueFor(v, r.env)}`);
+    const pruned = prune ? r.extra : [];
+    if (pruned.length) {
+      content = content.split('\n').filter(l => !pruned.includes((l.match(/^\s*([A-Za-z0-9_]+)\s*=/) || [])[1])).join('\n');
+    }
+    const changes = [
+      ...r.missing.map(v => `+ ${v.key}`),
+      ...pruned.map(k => `- ${k}`),
+    ];
+    console.log(`${r.file}${r.exists ? '' : ' (created)'}${changes.length ? '' : ': in sync'}`);
+    for (const c of changes) console.log(`    ${c}`);
+    if (!prune) for (const k of r.extra) console.log(`    ? ${k} (not in ${SCHEMA_FILE}; kept, use --prune to remove)`);
+    if (!dryRun && (changes.length || !r.exists)) fs.writeFileSync(full, content, 'utf8');
+  }
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  envSchema,
+  envFiles,
+  renderEnvFile,
+  addSchemaVars,
+  removeSchemaVars,
+  compareEnv,
+  checkEnv,
+  syncEnv,
+};
@@ -0,0 +1,170 @@
+// lib/launch.js
+// `scaffold launch`: render marketing/launch/*.txt into ready-to-paste posts.
+// Metadata comes from the project: name and URL from .env.production (NEXT_PUBLIC_SITE_NAME,
+// NEXT_PUBLIC_SITE_URL), headline, tagline and features from content/landing.json.
+// Every *.txt in marketing/launch/ is a channel; marketing/launch/channels.json adds or tunes channels:
+//   { "linkedin": { "maxLength": 3000, "utm": { "source": "linkedin" } } }
+// A `thread` channel splits its template on `---` lines and checks maxLength per post.
+const fs = require('fs');
+const path = require('path');
+const { render, write } = require('./util');
+const { readManifest } = require('./manifest');
+const { readEnvFile } = require('./db');
+
+const LAUNCH_DIR = 'marketing/launch';
+const CHANNELS_FILE = 'channels.json';
+const LANDING_FILE = 'content/landing.json';
+
+// Built-in channel settings; any other template gets { utm: { source: <channel>, medium: 'social' } }
+const CHANNELS = {
+  'twitter-thread': { thread: true, maxLength: 280, counter: 'twitter', utm: { source: 'twitter', medium: 'social' } },
+  'product-hunt': { utm: { source: 'producthunt', medium: 'launch' } },
+  indiehackers: { utm: { source: 'indiehackers', medium: 'community' } },
+};
+
+const THREAD_SEPARATOR = /^[ \t]*---[ \t]*$/m;
+
+function readJson(file, label) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`Could not parse ${label}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/** Channel name -> settings, from the templates on disk plus channels.json. */
+function loadChannels(dir) {
+  const launchDir = path.join(dir, LAUNCH_DIR);
+  const config = readJson(path.join(launchDir, CHANNELS_FILE), `${LAUNCH_DIR}/${CHANNELS_FILE}`) || {};
+  const names = new Set([
+    ...(fs.existsSync(launchDir) ? fs.readdirSync(launchDir).filter(f => f.endsWith('.txt')).map(f => f.replace(/\.txt$/, '')) : []),
+    ...Object.keys(config),
+  ]);
+  const channels = {};
+  for (const name of names) {
+    const base = CHANNELS[name] || { utm: { source: name, medium: 'social' } };
+    const own = config[name] || {};
+    channels[name] = { ...base, ...own, utm: { ...base.utm, ...own.utm }, template: path.join(launchDir, own.template || `${name}.txt`) };
+  }
+  return channels;
+}
+
+/** Name, URL and landing copy for the templates. */
+function launchMetadata(dir, { url } = {}) {
+  const env = readEnvFile(path.join(dir, '.env.production'));
+  const manifest = readManifest(dir);
+  const landing = readJson(path.join(dir, LANDING_FILE), LANDING_FILE) || {};
+  return {
+    name: env.NEXT_PUBLIC_SITE_NAME || (manifest && manifest.answers.name) || path.basename(dir),
+    url: url || env.NEXT_PUBLIC_SITE_URL || '',
+    headline: landing.headline || '',
+    tagline: landing.tagline || '',
+    description: landing.description || '',
+    features: landing.features || [],
+  };
+}
+
+function tagUrl(url, utm, campaign) {
+  const u = new URL(url);
+  u.searchParams.set('utm_source', utm.source);
+  u.searchParams.set('utm_medium', utm.medium || 'social');
+  u.searchParams.set('utm_campaign', utm.campaign || campaign);
+  return u.toString();
+}
+
+/** Length as X/Twitter counts it: every URL is 23, CJK and emoji count double. */
+function twitterLength(text) {
+  let n = 0;
+  const rest = text.replace(/https?:\/\/\S+/g, () => { n += 23; return ''; });
+  for (const ch of rest) {
+    const cp = ch.codePointAt(0);
+    const single = cp <= 0x10ff || (cp >= 0x2000 && cp <= 0x200d) || (cp >= 0x2010 && cp <= 0x201f) || (cp >= 0x2032 && cp <= 0x2037);
+    n += single ? 1 : 2;
+  }
+  return n;
+}
+
+function measure(text, channel) {
+  return channel.counter === 'twitter' ? twitterLength(text) : [...text].length;
+}
+
+/** Rendered posts for one channel plus any that break its limit. */
+function renderChannel(name, channel, meta, campaign) {
+  const tpl = fs.readFileSync(channel.template, 'utf8');
+  const vars = {
+    app_name: meta.name,
+    app_url: tagUrl(meta.url, channel.utm, campaign),
+    site_url: meta.url,
+    headline: meta.headline,
+    tagline: meta.tagline,
+    description: meta.description,
+    features: meta.features.map(f => `• ${f.title}`).join('\n'),
+    feature_details: meta.features.map(f => `• ${f.title}: ${f.desc}`).join('\n'),
+  };
+  const parts = channel.thread ? tpl.split(THREAD_SEPARATOR) : [tpl];
+  const posts = parts.map(p => render(p, vars).trim()).filter(Boolean);
+  const tooLong = channel.maxLength
+    ? posts.map((p, i) => ({ post: i + 1, length: measure(p, channel) })).filter(p => p.length > channel.maxLength)
+    : [];
+  return { name, posts, tooLong };
+}
+
+function launch(dir, { url, campaign = 'launch', channels: only, out, dryRun = false } = {}) {
+  const channels = loadChannels(dir);
+  if (!Object.keys(channels).length) {
+    console.error(`No launch templates in ${path.join(dir, LAUNCH_DIR)}; run \`scaffold add launch\` first.`);
+    process.exit(1);
+  }
+  const unknown = (only || []).filter(n => !channels[n]);
+  if (unknown.length) {
+    console.error(`Unknown channel(s): ${unknown.join(', ')} (available: ${Object.keys(channels).join(', ')})`);
+    process.exit(1);
+  }
+  const meta = launchMetadata(dir, { url });
+  if (!meta.url) {
+    console.error('No production URL: pass --url or set NEXT_PUBLIC_SITE_URL in .env.production.');
+    process.exit(1);
+  }
+  try {
+    new URL(meta.url);
+  } catch (e) {
+    console.error(`Invalid URL "${meta.url}"; expected something like https://app.example.com`);
+    process.exit(1);
+  }
+  if (/\/\/(localhost|127\.0\.0\.1|yourdomain\.com)\b/.test(meta.url)) {
+    console.log(`! ${meta.url} is not a production URL; set NEXT_PUBLIC_SITE_URL in .env.production or pass --url.`);
+  }
+
+  const outDir = out || path.join(dir, LAUNCH_DIR, 'out');
+  const results = [];
+  for (const name of only && only.length ? only : Object.keys(channels)) {
+    const channel = channels[name];
+    if (!fs.existsSync(channel.template)) {
+      console.error(`  ✖ ${name}: template ${path.relative(dir, channel.template)} not found`);
+      process.exitCode = 1;
+      continue;
+    }
+    const result = renderChannel(name, channel, meta, campaign);
+    results.push(result);
+    const text = result.posts.join('\n\n---\n\n') + '\n';
+    if (result.tooLong.length) {
+      for (const p of result.tooLong) console.log(`  ✖ ${name}: post ${p.post} is ${p.length}/${channel.maxLength} characters`);
+      process.exitCode = 1;
+      continue;
+    }
+    const count = channel.thread ? ` (${result.posts.length} posts)` : '';
+    if (dryRun) {
+      console.log(`\n===== ${name}${count} =====\n${text}`);
+      continue;
+    }
+    const file = path.join(outDir, `${name}.txt`);
+    write(file, text);
+    console.log(`  ✔ ${name}${count} → ${path.relative(process.cwd(), file)}`);
+  }
+  if (process.exitCode) console.log('\nShorten the posts above (or raise maxLength in marketing/launch/channels.json) and run again.');
+  return results;
+}
+
+module.exports = { CHANNELS, loadChannels, launchMetadata, tagUrl, twitterLength, renderChannel, launch };
@@ -0,0 +1,81 @@
+// lib/manifest.js
+// .scaffold/manifest.json links a generated project back to the scaffold:
+// CLI version, the answers it was generated from and a hash of every emitted file.
+// .scaffold/base/ keeps the pristine generated copies so `upgrade` can three-way merge.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { write } = require('./util');
+const { pluginAnswerKeys } = require('./plugins');
+const { version } = require('../package.json');
+
+const MANIFEST_DIR = '.scaffold';
+const MANIFEST_FILE = path.join(MANIFEST_DIR, 'manifest.json');
+const BASE_DIR = path.join(MANIFEST_DIR, 'base');
+
+// Answer keys worth replaying (plus any plugin prompts); dir and autoInstall only matter for the first run.
+const ANSWER_KEYS = ['name', 'repo', 'stripe', 'auth', 'db', 'deploy', 'tenancy', 'modules'];
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+function pickAnswers(answers) {
+  const out = {};
+  for (const k of [...ANSWER_KEYS, ...pluginAnswerKeys()]) if (answers[k] !== undefined) out[k] = answers[k];
+  return out;
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function readBase(dir, relPath) {
+  const file = path.join(dir, BASE_DIR, relPath);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/** Record `files` (plan entries) as the generated state of `dir`. */
+function writeManifest(dir, answers, files) {
+  const hashes = {};
+  fs.rmSync(path.join(dir, BASE_DIR), { recursive: true, force: true });
+  for (const f of files) {
+    if (f.dir) continue;
+    hashes[f.path] = hash(f.content);
+    write(path.join(dir, BASE_DIR, f.path), f.content);
+  }
+  const manifest = {
+    version,
+    generatedAt: new Date().toISOString(),
+    answers: pickAnswers(answers),
+    files: hashes,
+  };
+  write(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * Record new answers and replace selected base copies without touching the rest,
+ * so `upgrade` still sees template drift in every other file.
+ * `changes` maps path -> new base content, or null to stop tracking the path.
+ */
+function updateManifest(dir, answers, changes) {
+  const manifest = readManifest(dir);
+  for (const [p, content] of Object.entries(changes)) {
+    const baseFile = path.join(dir, BASE_DIR, p);
+    if (content === null) {
+      delete manifest.files[p];
+      fs.rmSync(baseFile, { force: true });
+    } else {
+      manifest.files[p] = hash(content);
+      write(baseFile, content);
+    }
+  }
+  manifest.answers = pickAnswers(answers);
+  write(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+module.exports = { MANIFEST_DIR, MANIFEST_FILE, BASE_DIR, hash, readManifest, readBase, writeManifest, updateManifest };
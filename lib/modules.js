@@ -0,0 +1,86 @@
+// lib/modules.js
+// Optional feature modules (drip, outreach, launch, feedback, blog, ads, conversions).
+// Each module owns the manifest files tagged `"when": { "modules": "<name>" }` and may
+// declare dependencies, env keys and line patches into shared files. The same
+// definitions drive both `apply` and `add`/`remove` on an existing project.
+const { loadManifest } = require('./templates');
+
+function loadModules() {
+  return loadManifest().modules || {};
+}
+
+function moduleNames() {
+  return Object.keys(loadModules());
+}
+
+/** Modules selected by `answers`; projects generated before modules existed had all of them. */
+function selectedModules(answers) {
+  return Array.isArray(answers.modules) ? answers.modules : moduleNames();
+}
+
+/** Every path a module can emit, whichever variant (db, auth, ...) applies. */
+function moduleFiles(name) {
+  const files = loadManifest().files.filter(f => !f.dir && f.when && f.when.modules === name);
+  return [...new Set(files.map(f => f.path))];
+}
+
+const trimmed = s => s.trim();
+
+/**
+ * Insert `patch.insert` after the first line that starts with `patch.after` (whitespace ignored).
+ * Returns { content, status } where status is 'applied', 'present' or 'missing-anchor'.
+ */
+function applyPatch(content, patch) {
+  const lines = content.split('\n');
+  const insert = patch.insert.split('\n');
+  if (lines.some(l => trimmed(l) === trimmed(insert[0]))) return { content, status: 'present' };
+  const at = lines.findIndex(l => trimmed(l).startsWith(trimmed(patch.after)));
+  if (at === -1) return { content, status: 'missing-anchor' };
+  lines.splice(at + 1, 0, ...insert);
+  return { content: lines.join('\n'), status: 'applied' };
+}
+
+/** Remove the lines a patch inserted. status: 'reverted' or 'absent'. */
+function revertPatch(content, patch) {
+  const lines = content.split('\n');
+  const insert = patch.insert.split('\n').map(trimmed);
+  const at = lines.findIndex((l, i) => insert.every((ins, j) => trimmed(lines[i + j] ?? '') === ins));
+  if (at === -1) return { content, status: 'absent' };
+  lines.splice(at, insert.length);
+  return { content: lines.join('\n'), status: 'reverted' };
+}
+
+/** Append missing env keys under a `# <module>` heading. */
+function appendEnv(content, name, env) {
+  const present = new Set(content.split('\n').map(l => l.split('=')[0].trim()));
+  const missing = Object.entries(env || {}).filter(([k]) => !present.has(k));
+  if (!missing.length) return content;
+  const block = [`# ${name}`, ...missing.map(([k, v]) => `${k}=${v}`)].join('\n');
+  return content.replace(/\n*$/, '\n\n') + block + '\n';
+}
+
+/** Drop a module's env keys that are empty or still at the module default; returns { content, kept } listing the rest. */
+function removeEnv(content, name, env) {
+  const keys = new Set(Object.keys(env || {}));
+  const kept = [];
+  const lines = content.split('\n').filter(l => {
+    const [k, ...rest] = l.split('=');
+    if (!keys.has(k.trim())) return trimmed(l) !== `# ${name}`;
+    const value = rest.join('=').trim();
+    if (value && value !== String(env[k.trim()] || '')) { kept.push(k.trim()); return true; }
+    return false;
+  });
+  const out = lines.join('\n');
+  return { content: out === content ? content : out.replace(/\n{3,}/g, '\n\n').replace(/\n*$/, '\n'), kept };
+}
+
+module.exports = {
+  loadModules,
+  moduleNames,
+  selectedModules,
+  moduleFiles,
+  applyPatch,
+  revertPatch,
+  appendEnv,
+  removeEnv,
+};
@@ -0,0 +1,261 @@
+// lib/outreach.js
+// `scaffold outreach render`: mail-merge outreach/templates/*.txt with a CSV of leads.
+// CSV columns become template variables (header "First Name" -> {{first_name}}); a leading
+// `Subject: ...` line in a template becomes the message subject.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { render, slugify, write } = require('./util');
+const { readManifest } = require('./manifest');
+const { readEnvFile, resolveUrl } = require('./db');
+
+const TEMPLATES_DIR = 'outreach/templates';
+const FORMATS = ['eml', 'csv', 'json'];
+
+/** RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines. Returns rows of strings. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function csvField(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function varName(header) {
+  return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/(^_|_$)/g, '');
+}
+
+/** Leads as objects keyed by normalized column name. */
+function readLeads(file) {
+  if (!fs.existsSync(file)) {
+    console.error('Leads file not found:', file);
+    process.exit(1);
+  }
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  if (!header) {
+    console.error(`${file} is empty; expected a header row followed by one row per lead.`);
+    process.exit(1);
+  }
+  const columns = header.map(varName);
+  return { columns, leads: rows.map(r => Object.fromEntries(columns.map((c, i) => [c, (r[i] || '').trim()]))) };
+}
+
+/** `email` resolves to <dir>/outreach/templates/email.txt; anything else is read as a path. */
+function resolveTemplate(dir, name) {
+  const candidates = [path.join(dir, TEMPLATES_DIR, `${name}.txt`), path.join(dir, TEMPLATES_DIR, name), path.resolve(name)];
+  const file = candidates.find(f => fs.existsSync(f) && fs.statSync(f).isFile());
+  if (!file) {
+    const available = fs.existsSync(path.join(dir, TEMPLATES_DIR))
+      ? fs.readdirSync(path.join(dir, TEMPLATES_DIR)).filter(f => f.endsWith('.txt')).map(f => f.replace(/\.txt$/, ''))
+      : [];
+    console.error(`No outreach template "${name}".${available.length ? ` Available: ${available.join(', ')}` : ` ${TEMPLATES_DIR}/ is missing; run \`scaffold add outreach\`.`}`);
+    process.exit(1);
+  }
+  return file;
+}
+
+/** Split an optional `Subject:` first line off the body. */
+function parseTemplate(text) {
+  const m = text.match(/^Subject:[ \t]*(.*)\r?\n(?:[ \t]*\r?\n)?/i);
+  return m ? { subject: m[1], body: text.slice(m[0].length) } : { subject: null, body: text };
+}
+
+/** Plain {{var}} placeholders used by a template (section tags are conditions, not required values). */
+function placeholders(text) {
+  return [...new Set([...text.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]))];
+}
+
+function recipient(lead) {
+  return lead.email || lead.twitter || lead.handle || '';
+}
+
+const EMAIL = /^[^\s@<>,;:"()[\]\\]+@[^\s@<>,;:"()[\]\\]+\.[^\s@<>,;:"()[\]\\]+$/;
+
+function isEmail(value) {
+  return EMAIL.test(String(value || ''));
+}
+
+/** A From value is either a bare address or `Name <address>`, on one line. */
+function isMailbox(value) {
+  const m = String(value || '').match(/^(?:[^\r\n<>]*<([^<>]+)>|([^<>]+))$/);
+  return Boolean(m) && isEmail((m[1] || m[2]).trim());
+}
+
+// CR/LF from a CSV cell would start a new header (or the body), so fold it to a space;
+// non-ASCII header values need RFC 2047 encoding
+function encodeHeader(value) {
+  const line = String(value).replace(/[\r\n]+/g, ' ').trim();
+  return /^[\x20-\x7e]*$/.test(line) ? line : `=?UTF-8?B?${Buffer.from(line, 'utf8').toString('base64')}?=`;
+}
+
+function toEml(msg, from) {
+  if (!isEmail(msg.to)) throw new Error(`Not an email address: ${JSON.stringify(msg.to)}`);
+  if (from && !isMailbox(from)) throw new Error(`Not a From address: ${JSON.stringify(from)}`);
+  const headers = [
+    ...(from ? [`From: ${from}`] : []),
+    `To: ${msg.to}`,
+    `Subject: ${encodeHeader(msg.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${msg.body.replace(/\r?\n/g, '\r\n')}`;
+}
+
+/** Fill `template` for every lead; leads missing a placeholder value are reported and skipped unless allowMissing. */
+function mergeLeads(template, leads, { vars = {}, required = [], allowMissing = false } = {}) {
+  const needed = [...new Set([...placeholders(`${template.subject || ''}\n${template.body}`), ...required])];
+  const messages = [];
+  const skipped = [];
+  leads.forEach((lead, i) => {
+    const values = { ...vars };
+    for (const [k, v] of Object.entries(lead)) if (v) values[k] = v;
+    const missing = needed.filter(k => !values[k]);
+    if (missing.length) {
+      skipped.push({ row: i + 1, lead, missing });
+      if (!allowMissing) return;
+    }
+    messages.push({
+      row: i + 1,
+      to: recipient(lead),
+      subject: template.subject === null ? null : render(template.subject, values).trim(),
+      body: render(template.body, values),
+      lead,
+    });
+  });
+  return { messages, skipped };
+}
+
+function writeOutput(messages, { out, format, name, columns, from }) {
+  if (format === 'eml') {
+    return messages.map(msg => {
+      const file = path.join(out, `${String(msg.row).padStart(3, '0')}-${slugify(msg.to) || 'lead'}.eml`);
+      write(file, toEml(msg, from));
+      return file;
+    });
+  }
+  const file = path.join(out, `${name}.${format}`);
+  if (format === 'json') {
+    write(file, JSON.stringify(messages.map(({ to, subject, body, lead }) => ({ to, subject, body, lead })), null, 2) + '\n');
+  } else {
+    // DM templates have no subject, so no subject column either
+    const fields = messages[0].subject === null ? ['to', 'body'] : ['to', 'subject', 'body'];
+    const extra = columns.filter(c => !fields.includes(c));
+    const lines = [[...fields, ...extra], ...messages.map(m => [...fields.map(f => m[f]), ...extra.map(c => m.lead[c])])];
+    write(file, lines.map(l => l.map(csvField).join(',')).join('\r\n') + '\r\n');
+  }
+  return [file];
+}
+
+/** Insert one outreach_sent event per message into the project's events table. */
+async function logEvents(dir, db, events, { url } = {}) {
+  if (db === 'sqlite') {
+    const local = readEnvFile(path.join(dir, '.env.local'));
+    const file = path.resolve(dir, process.env.SQLITE_PATH || local.SQLITE_PATH || path.join('data', 'app.db'));
+    let Database;
+    try {
+      Database = require(require.resolve('better-sqlite3', { paths: [dir] }));
+    } catch (e) {
+      console.error('Could not load better-sqlite3 from the project; run npm install there first.');
+      process.exit(1);
+    }
+    if (!fs.existsSync(file)) {
+      console.error(`No SQLite database at ${file}; start the app once so it creates the schema.`);
+      process.exit(1);
+    }
+    const conn = new Database(file);
+    const insert = conn.prepare('insert into events (id, type, data) values (?, ?, ?)');
+    conn.transaction(rows => rows.forEach(e => insert.run(crypto.randomUUID(), 'outreach_sent', JSON.stringify(e))))(events);
+    conn.close();
+    return;
+  }
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: resolveUrl(dir, url) });
+  try {
+    await client.connect();
+    await client.query('begin');
+    for (const e of events) await client.query('insert into events (type, data) values ($1, $2)', ['outreach_sent', JSON.stringify(e)]);
+    await client.query('commit');
+  } catch (err) {
+    console.error('Could not log outreach events:', err.message);
+    process.exit(1);
+  } finally {
+    await client.end();
+  }
+}
+
+async function renderOutreach(dir, opts) {
+  const templateFile = resolveTemplate(dir, opts.template);
+  const name = path.basename(templateFile).replace(/\.txt$/, '');
+  const template = parseTemplate(fs.readFileSync(templateFile, 'utf8'));
+  const format = opts.format || (template.subject !== null ? 'eml' : 'csv');
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}" (expected one of ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  const manifest = readManifest(dir);
+  const answers = (manifest && manifest.answers) || {};
+  const vars = { ...(answers.name ? { app_name: answers.name } : {}), ...opts.vars };
+  const { columns, leads } = readLeads(opts.leads);
+
+  const local = readEnvFile(path.join(dir, '.env.local'));
+  const from = opts.from || local.MAIL_FROM;
+  if (format === 'eml' && from && !isMailbox(from)) {
+    console.error(`From address ${JSON.stringify(from)} is not a single "Name <you@example.com>" or "you@example.com" value.`);
+    process.exit(1);
+  }
+
+  const merged = mergeLeads(template, leads, {
+    vars,
+    required: format === 'eml' ? ['email'] : [],
+    allowMissing: opts.allowMissing,
+  });
+  const { skipped } = merged;
+  for (const s of skipped) {
+    console.log(`  ${opts.allowMissing ? '!' : '✖'} lead ${s.row}${recipient(s.lead) ? ` (${recipient(s.lead)})` : ''}: missing ${s.missing.join(', ')}`);
+  }
+  // .eml files go straight into a mail client, so a malformed To is dropped even with --allow-missing
+  const invalid = format === 'eml' ? merged.messages.filter(m => !isEmail(m.to)) : [];
+  for (const m of invalid) {
+    if (m.to) console.log(`  ✖ lead ${m.row} (${JSON.stringify(m.to)}): not a valid email address`);
+  }
+  const messages = merged.messages.filter(m => !invalid.includes(m));
+
+  const out = opts.out || path.join(dir, 'outreach', 'out');
+  const files = messages.length ? writeOutput(messages, { out, format, name, columns, from }) : [];
+  const where = format === 'eml' ? `${path.relative(process.cwd(), out) || '.'}/` : path.relative(process.cwd(), files[0] || out);
+  console.log(`Rendered ${messages.length} of ${leads.length} lead(s) with ${name} → ${where}`);
+  if (invalid.length) console.log(`${invalid.length} lead(s) skipped for an invalid email address.`);
+  if (skipped.length && !opts.allowMissing) {
+    console.log(`${skipped.length} lead(s) skipped for missing variables; fill them in the CSV, pass --var key=value, or use --allow-missing.`);
+  }
+
+  if (opts.logEvents && messages.length) {
+    await logEvents(dir, answers.db, messages.map(m => ({ template: name, to: m.to, subject: m.subject })), { url: opts.url });
+    console.log(`Logged ${messages.length} outreach_sent event(s).`);
+  }
+  return { messages, skipped, files };
+}
+
+module.exports = { FORMATS, parseCsv, parseTemplate, placeholders, mergeLeads, isEmail, toEml, renderOutreach };
@@ -0,0 +1,143 @@
+// lib/plan.js
+// Answers -> in-memory file list. Both `apply` and `apply --dry-run` go through here.
+const { renderTemplates } = require('./templates');
+const { loadModules, selectedModules, applyPatch } = require('./modules');
+const { extendPackageJson, pluginFiles } = require('./plugins');
+const { envFiles } = require('./env');
+
+// SDK dependency per --auth provider
+const AUTH_DEPS = {
+  clerk: { "@clerk/nextjs": "^5.0.0" },
+  authjs: { "next-auth": "^4.24.7" },
+  none: {},
+};
+
+// Driver dependency per --db provider
+const DB_DEPS = {
+  supabase: { "@supabase/supabase-js": "^2.34.0" },
+  postgres: { pg: "^8.11.3" },
+  sqlite: { "better-sqlite3": "^9.4.0" },
+};
+
+function basePackageJson(name, opts) {
+  const deps = {
+    next: "latest",
+    react: "latest",
+    "react-dom": "latest",
+    "@chakra-ui/react": "^2.7.0",
+    "@emotion/react": "^11.10.5",
+    "@emotion/styled": "^11.10.5",
+    "framer-motion": "^10.12.16",
+    // SMTP transport in lib/mail.ts (signup confirmations, drip)
+    nodemailer: "^7.0.7",
+    ...AUTH_DEPS[opts.auth],
+    ...DB_DEPS[opts.db],
+  };
+  const modules = loadModules();
+  for (const name of selectedModules(opts)) Object.assign(deps, modules[name] && modules[name].dependencies);
+  // billing: stripe SDK + micro for the webhook's raw body
+  if (opts.stripe) {
+    deps.stripe = "^11.0.0";
+    deps.micro = "^10.0.1";
+  }
+  // dev deps minimal
+  const devDeps = {
+    "eslint": "^8.47.0",
+  };
+  const scripts = {
+    dev: "next dev",
+    build: "next build",
+    start: "next start",
+    lint: "eslint . --ext .js,.jsx,.ts,.tsx || true",
+  };
+  if (opts.stripe) scripts["stripe:replay"] = "node scripts/stripe-replay.js";
+  return extendPackageJson({
+    name,
+    version: "0.1.0",
+    private: true,
+    scripts,
+    dependencies: deps,
+    devDependencies: devDeps
+  }, opts);
+}
+
+/** Human-readable reason for an entry, derived from its manifest `when` (and plugin, if any). */
+function reasonFor(when, plugin) {
+  const parts = Object.entries(when || {}).map(([k, v]) => `${k}=${Array.isArray(v) ? v.join('|') : v}`);
+  if (plugin) parts.unshift(`plugin ${plugin}`);
+  return parts.length ? parts.join(', ') : 'base';
+}
+
+/** Apply each selected module's patches to the rendered files in place. */
+function applyModules(files, answers) {
+  const modules = loadModules();
+  for (const name of selectedModules(answers)) {
+    const mod = modules[name] || {};
+    for (const patch of mod.patches || []) {
+      const file = files.find(f => f.path === patch.file);
+      if (!file) continue;
+      const res = applyPatch(file.content, patch);
+      if (res.status === 'missing-anchor') throw new Error(`module ${name}: anchor "${patch.after}" not found in ${patch.file}`);
+      file.content = res.content;
+    }
+  }
+  return files;
+}
+
+/** Add plugin template files; a plugin may replace a built-in file by path. */
+function applyPlugins(files, answers) {
+  for (const file of pluginFiles(answers)) {
+    const at = files.findIndex(f => f.path === file.path);
+    if (at === -1) files.push(file);
+    else files[at] = file;
+  }
+  return files;
+}
+
+/**
+ * Full list of what a scaffold would emit for `answers`, package.json first.
+ * `answers.modules` defaults to every module in the template pack.
+ * Each file: { path, content, size, reason }; bare directories: { path, dir: true, reason }.
+ */
+function planScaffold(answers) {
+  answers = { ...answers, modules: selectedModules(answers) };
+  const pkg = { path: 'package.json', content: JSON.stringify(basePackageJson(answers.name, answers), null, 2) };
+  // env.schema.json and .env.* come from one schema, modules and plugins included
+  return [pkg, ...envFiles(answers), ...applyPlugins(applyModules(renderTemplates(answers), answers), answers)].map(file => ({
+    path: file.path,
+    ...(file.dir ? { dir: true } : { content: file.content, size: Buffer.byteLength(file.content, 'utf8') }),
+    reason: reasonFor(file.when, file.plugin),
+  }));
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/** Print a plan for review. `json` emits one machine-readable document instead. */
+function printPlan(dir, files, { json = false, contents = false, exists = false } = {}) {
+  const pkg = files.find(f => f.path === 'package.json');
+  if (json) {
+    console.log(JSON.stringify({ dir, exists, files, packageJson: JSON.parse(pkg.content) }, null, 2));
+    return;
+  }
+  const sorted = [...files].sort((a, b) => a.path.localeCompare(b.path));
+  const width = Math.max(...sorted.map(f => f.path.length)) + 2;
+  const total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+  console.log(`Dry run: would create ${dir} (${files.filter(f => !f.dir).length} files, ${formatSize(total)})`);
+  if (exists) console.log('Warning: directory already exists — apply would stop here.');
+  console.log('');
+  for (const f of sorted) {
+    const name = f.dir ? `${f.path}/` : f.path;
+    console.log(`  ${name.padEnd(width)}${(f.dir ? '-' : formatSize(f.size)).padStart(9)}  ${f.reason}`);
+  }
+  console.log('\npackage.json:\n' + pkg.content);
+  if (contents) {
+    for (const f of sorted) {
+      if (f.dir || f.path === 'package.json') continue;
+      console.log(`\n===== ${f.path} =====\n${f.content}`);
+    }
+  }
+}
+
+module.exports = { basePackageJson, planScaffold, printPlan };
@@ -0,0 +1,150 @@
+// lib/plugins.js
+// Plugins extend the CLI without forking scaffold.js. They come from
+// scaffold.config.{js,cjs,json} in the current directory, e.g.
+//   module.exports = { plugins: ['./plugins/resend', 'scaffold-plugin-posthog', ['./x', { opt: 1 }]] };
+// and from any scaffold-plugin-* package listed in the current directory's package.json.
+//
+// A plugin is an object, or a factory `(options) => object`, with any of:
+//   name                                  label used in plan reasons and messages
+//   prompts                               extra enquirer questions; `initial` is the non-interactive default
+//   templates                             directory with its own manifest.json, rendered like templates/
+//   env                                   keys appended to every .env.* file
+//   dependencies, devDependencies, scripts  objects, or functions of the answers
+//   commands(program)                     register commander subcommands
+//   beforeGenerate(ctx), afterGenerate(ctx)  hooks around `apply`; ctx = { answers, dir, files }
+const fs = require('fs');
+const path = require('path');
+const { renderTemplates } = require('./templates');
+
+const CONFIG_FILES = ['scaffold.config.js', 'scaffold.config.cjs', 'scaffold.config.json'];
+const PACKAGE_PATTERN = /^(@[^/]+\/)?scaffold-plugin-/;
+
+// Plugins loaded for this run; plan, manifest and the CLI all read from here.
+let active = [];
+
+function findConfig(cwd) {
+  const name = CONFIG_FILES.find(f => fs.existsSync(path.join(cwd, f)));
+  return name ? path.join(cwd, name) : null;
+}
+
+/** scaffold-plugin-* packages the current project depends on. */
+function discoverPackages(cwd) {
+  const file = path.join(cwd, 'package.json');
+  if (!fs.existsSync(file)) return [];
+  const pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }).filter(n => PACKAGE_PATTERN.test(n));
+}
+
+function resolvePlugin(spec, options, baseDir) {
+  if (typeof spec !== 'string') return instantiate(spec, options, '(inline)');
+  const request = spec.startsWith('.') || path.isAbsolute(spec) ? path.resolve(baseDir, spec) : spec;
+  let file;
+  let mod;
+  try {
+    file = require.resolve(request, { paths: [baseDir] });
+    mod = require(file);
+  } catch (e) {
+    console.error(`Could not load plugin ${spec}: ${e.message}`);
+    process.exit(1);
+  }
+  const plugin = instantiate(mod, options, spec);
+  // template dirs are relative to the plugin's own module
+  if (plugin.templates) plugin.templates = path.resolve(path.dirname(file), plugin.templates);
+  return plugin;
+}
+
+function instantiate(mod, options, fallbackName) {
+  const plugin = typeof mod === 'function' ? mod(options || {}) : { ...mod };
+  if (!plugin || typeof plugin !== 'object') {
+    console.error(`Plugin ${fallbackName} must export an object or a function returning one`);
+    process.exit(1);
+  }
+  if (!plugin.name) plugin.name = fallbackName;
+  return plugin;
+}
+
+/** Load every configured and discovered plugin for `cwd` and make them active. */
+function loadPlugins(cwd = process.cwd()) {
+  const configFile = findConfig(cwd);
+  const config = configFile ? require(configFile) : {};
+  const entries = (config.plugins || []).map(p => (Array.isArray(p) ? p : [p, {}]));
+  const named = new Set(entries.map(([spec]) => spec));
+  for (const name of discoverPackages(cwd)) {
+    if (!named.has(name)) entries.push([name, {}]);
+  }
+  active = entries.map(([spec, options]) => resolvePlugin(spec, options, cwd));
+  return active;
+}
+
+function plugins() {
+  return active;
+}
+
+function valueFor(field, answers) {
+  return typeof field === 'function' ? field(answers) : field;
+}
+
+/** Extra enquirer questions contributed by plugins. */
+function pluginPrompts() {
+  return active.flatMap(p => p.prompts || []);
+}
+
+/** Answer keys introduced by plugin prompts (recorded in the manifest for upgrade). */
+function pluginAnswerKeys() {
+  return pluginPrompts().map(q => q.name);
+}
+
+/** Non-interactive answers for plugin prompts, taken from each question's `initial`. */
+function pluginDefaults() {
+  const out = {};
+  for (const q of pluginPrompts()) {
+    out[q.name] = q.type === 'select' && typeof q.initial === 'number' ? q.choices[q.initial] : q.initial;
+  }
+  return out;
+}
+
+/** Merge plugin dependencies, devDependencies and scripts into a package.json object. */
+function extendPackageJson(pkg, answers) {
+  for (const p of active) {
+    Object.assign(pkg.dependencies, valueFor(p.dependencies, answers));
+    Object.assign(pkg.devDependencies, valueFor(p.devDependencies, answers));
+    Object.assign(pkg.scripts, valueFor(p.scripts, answers));
+  }
+  return pkg;
+}
+
+/** Files from each plugin's template pack, tagged with the plugin that contributed them. */
+function pluginFiles(answers) {
+  return active.flatMap(p =>
+    p.templates ? renderTemplates(answers, p.templates).map(f => ({ ...f, plugin: p.name })) : []
+  );
+}
+
+function registerCommands(program) {
+  for (const p of active) if (typeof p.commands === 'function') p.commands(program);
+}
+
+/** Run a hook on every plugin in order; a throwing hook aborts the command. */
+async function runHook(name, ctx) {
+  for (const p of active) {
+    if (typeof p[name] !== 'function') continue;
+    try {
+      await p[name](ctx);
+    } catch (e) {
+      console.error(`Plugin ${p.name} failed in ${name}: ${e.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = {
+  loadPlugins,
+  plugins,
+  pluginPrompts,
+  pluginAnswerKeys,
+  pluginDefaults,
+  extendPackageJson,
+  pluginFiles,
+  registerCommands,
+  runHook,
+};
@@ -0,0 +1,57 @@
+// lib/templates.js
+// File-based template pack: templates/manifest.json lists every file a
+// scaffold can emit and the answers that cause it to be emitted.
+const fs = require('fs');
+const path = require('path');
+const { render, slugify } = require('./util');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/** `dir` defaults to the built-in pack; plugins ship their own pack in the same format. */
+function loadManifest(dir = TEMPLATES_DIR) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+}
+
+/**
+ * `when` maps answer keys to an expected value (or a list of allowed values).
+ * List-valued answers (e.g. `modules`) match when they contain the expected value.
+ * An entry without `when` is always emitted.
+ */
+function matches(when, answers) {
+  return Object.entries(when || {}).every(([key, expected]) => {
+    const actual = answers[key];
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    return Array.isArray(actual) ? allowed.some(v => actual.includes(v)) : allowed.includes(actual);
+  });
+}
+
+/**
+ * Variables available to templates: the answers themselves, `slug`, plus a boolean
+ * flag per provider choice (db_postgres, auth_clerk, tenancy_multi, ...) for {{#section}} blocks.
+ */
+function templateVars(answers) {
+  const vars = { ...answers, slug: slugify(answers.name || '') };
+  for (const key of ['auth', 'db', 'deploy', 'tenancy']) {
+    if (answers[key]) vars[`${key}_${answers[key]}`] = true;
+  }
+  return vars;
+}
+
+/**
+ * Render every manifest entry that applies to `answers`.
+ * Returns [{ path, content, when }] for files and [{ path, dir: true, when }] for bare directories.
+ * Entries marked `raw` are copied verbatim so their {{placeholders}} survive for later use.
+ */
+function renderTemplates(answers, dir = TEMPLATES_DIR) {
+  const manifest = loadManifest(dir);
+  const vars = templateVars(answers);
+  return manifest.files
+    .filter(entry => matches(entry.when, answers))
+    .map(entry => {
+      if (entry.dir) return { path: entry.path, dir: true, when: entry.when };
+      const tpl = fs.readFileSync(path.join(dir, entry.src || entry.path), 'utf8');
+      return { path: entry.path, content: entry.raw ? tpl : render(tpl, vars), when: entry.when };
+    });
+}
+
+module.exports = { TEMPLATES_DIR, loadManifest, matches, templateVars, renderTemplates };
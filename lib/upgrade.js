@@ -0,0 +1,114 @@
+// lib/upgrade.js
+// Regenerate a project in memory from its recorded answers and pull template
+// changes into files the user hasn't touched. Modified files are three-way merged.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { write } = require('./util');
+const { planScaffold } = require('./plan');
+const { hash, readManifest, readBase, writeManifest, MANIFEST_FILE } = require('./manifest');
+
+/**
+ * Three-way merge via `git merge-file`. Returns { content, conflicts }.
+ * Without git we fall back to wrapping the whole file in conflict markers.
+ */
+function mergeFile(ours, base, theirs) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-merge-'));
+  try {
+    const files = { ours, base, theirs };
+    for (const [k, v] of Object.entries(files)) fs.writeFileSync(path.join(tmp, k), v, 'utf8');
+    const r = spawnSync('git', ['merge-file', '-p', '-L', 'yours', '-L', 'base', '-L', 'scaffold',
+      path.join(tmp, 'ours'), path.join(tmp, 'base'), path.join(tmp, 'theirs')], { encoding: 'utf8' });
+    if (r.error || r.status === null || r.status > 127) {
+      const content = `<<<<<<< yours\n${ours}${ours.endsWith('\n') ? '' : '\n'}=======\n${theirs}${theirs.endsWith('\n') ? '' : '\n'}>>>>>>> scaffold\n`;
+      return { content, conflicts: 1 };
+    }
+    return { content: r.stdout, conflicts: r.status };
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Work out what an upgrade would do to each file. Actions:
+ * unchanged | create | update | merge | conflict | skip-deleted | orphaned
+ */
+function planUpgrade(dir, manifest) {
+  const answers = { ...manifest.answers, dir };
+  const files = planScaffold(answers).filter(f => !f.dir);
+  const actions = [];
+
+  for (const f of files) {
+    const target = path.join(dir, f.path);
+    const oldHash = manifest.files[f.path];
+    const newHash = hash(f.content);
+    const exists = fs.existsSync(target);
+    const current = exists ? fs.readFileSync(target, 'utf8') : null;
+
+    if (!oldHash) {
+      if (!exists) actions.push({ path: f.path, action: 'create', content: f.content });
+      else if (hash(current) === newHash) actions.push({ path: f.path, action: 'unchanged' });
+      else actions.push({ path: f.path, ...mergeAction(current, '', f.content) });
+    } else if (oldHash === newHash) {
+      actions.push({ path: f.path, action: 'unchanged' });
+    } else if (!exists) {
+      actions.push({ path: f.path, action: 'skip-deleted' });
+    } else if (hash(current) === oldHash) {
+      actions.push({ path: f.path, action: 'update', content: f.content });
+    } else if (hash(current) === newHash) {
+      actions.push({ path: f.path, action: 'unchanged' });
+    } else {
+      actions.push({ path: f.path, ...mergeAction(current, readBase(dir, f.path) ?? '', f.content) });
+    }
+  }
+
+  const planned = new Set(files.map(f => f.path));
+  for (const p of Object.keys(manifest.files)) {
+    if (!planned.has(p)) actions.push({ path: p, action: 'orphaned' });
+  }
+  return { answers, files, actions };
+}
+
+function mergeAction(ours, base, theirs) {
+  const { content, conflicts } = mergeFile(ours, base, theirs);
+  return { action: conflicts ? 'conflict' : 'merge', content, conflicts };
+}
+
+const LABELS = {
+  create: 'created',
+  update: 'updated',
+  merge: 'merged',
+  conflict: 'CONFLICT',
+  'skip-deleted': 'skipped (deleted locally)',
+  orphaned: 'no longer generated (left in place)',
+};
+
+function upgrade(dir, { dryRun = false } = {}) {
+  const manifest = readManifest(dir);
+  if (!manifest) {
+    console.error(`No ${MANIFEST_FILE} in ${dir} — was it generated with scaffold apply?`);
+    process.exit(1);
+  }
+  const { answers, files, actions } = planUpgrade(dir, manifest);
+  const changed = actions.filter(a => a.action !== 'unchanged');
+
+  console.log(`Upgrading ${dir} (generated with scaffold ${manifest.version})${dryRun ? ' [dry run]' : ''}`);
+  if (!changed.length) console.log('  Already up to date.');
+  for (const a of changed) console.log(`  ${LABELS[a.action].padEnd(12)} ${a.path}`);
+  if (dryRun) return actions;
+
+  for (const a of changed) {
+    if (a.content !== undefined) write(path.join(dir, a.path), a.content);
+  }
+  writeManifest(dir, answers, files);
+
+  const conflicts = changed.filter(a => a.action === 'conflict');
+  if (conflicts.length) {
+    console.log(`\n${conflicts.length} file(s) have conflict markers (<<<<<<< yours / >>>>>>> scaffold). Resolve them before committing.`);
+    process.exitCode = 1;
+  }
+  return actions;
+}
+
+module.exports = { mergeFile, planUpgrade, upgrade };
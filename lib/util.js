@@ -0,0 +1,26 @@
+// lib/util.js
+// Small helpers shared by the CLI and the template pipeline.
+const fs = require('fs');
+const path = require('path');
+
+function slugify(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+/**
+ * {{var}} substitution plus mustache-style sections:
+ * {{#flag}}...{{/flag}} renders when vars.flag is truthy, {{^flag}}...{{/flag}} when falsy.
+ * A section tag alone on its line takes the whole line with it.
+ */
+function render(tpl, vars) {
+  const sections = tpl
+    .replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, '$1')
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, op, k, body) =>
+      (op === '#') === !!vars[k] ? render(body, vars) : '');
+  return sections.replace(/\{\{(\w+)\}\}/g, (_, k) => (vars[k] ?? ''));
+}
+
+module.exports = { slugify, write, render };
@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+import { Box } from '@chakra-ui/react';
+
+// Turnstile or hCaptcha widget, picked by NEXT_PUBLIC_CAPTCHA_PROVIDER. Renders nothing without a
+// site key. onToken gets the response to send along as `captcha`, or null once it expires.
+// Responses are single-use: remount (change `key`) to get a fresh one after a failed submit.
+const PROVIDER = process.env.NEXT_PUBLIC_CAPTCHA_PROVIDER || '';
+const SITE_KEY = process.env.NEXT_PUBLIC_CAPTCHA_SITE_KEY;
+const SCRIPTS: Record<string, string> = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+  hcaptcha: 'https://js.hcaptcha.com/1/api.js?render=explicit',
+};
+
+export const captchaEnabled = !!(SITE_KEY && SCRIPTS[PROVIDER]);
+
+let loading: Promise<void> | null = null;
+function loadScript(src: string): Promise<void> {
+  loading = loading || new Promise((resolve, reject) => {
+    const s = document.createElement('script');
+    s.src = src;
+    s.async = true;
+    s.onload = () => resolve();
+    s.onerror = () => reject(new Error(`could not load ${src}`));
+    document.head.appendChild(s);
+  });
+  return loading;
+}
+
+export default function Captcha({ onToken }: { onToken: (token: string | null) => void }) {
+  const ref = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!captchaEnabled) return;
+    let widget: string | undefined;
+    let cancelled = false;
+    loadScript(SCRIPTS[PROVIDER])
+      .then(() => {
+        if (cancelled || !ref.current) return;
+        widget = (window as any)[PROVIDER].render(ref.current, {
+          sitekey: SITE_KEY,
+          callback: (token: string) => onToken(token),
+          'expired-callback': () => onToken(null),
+          'error-callback': () => onToken(null),
+        });
+      })
+      .catch(err => console.error('captcha', err));
+    return () => {
+      cancelled = true;
+      if (widget !== undefined) (window as any)[PROVIDER]?.remove?.(widget);
+    };
+  }, []);
+
+  if (!captchaEnabled) return null;
+  return <Box ref={ref} display="flex" justifyContent="center" />;
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import {
+  Box, Button, Flex, FormControl, FormLabel, HStack, Modal, ModalBody, ModalContent, ModalFooter,
+  ModalHeader, ModalOverlay, Switch, Text, VStack, useColorModeValue,
+} from '@chakra-ui/react';
+import { CATEGORIES, needsConsent, onOpenPreferences, readConsent, saveConsent } from '../lib/consent';
+
+// Cookie banner plus a preferences modal. Rendered once in pages/_app.tsx; shows nothing when no
+// third-party script is configured or the visitor has already chosen.
+export default function ConsentBanner() {
+  const [showBanner, setShowBanner] = useState(false);
+  const [showPrefs, setShowPrefs] = useState(false);
+  const [choice, setChoice] = useState({ analytics: false, advertising: false });
+  const bg = useColorModeValue('white', 'gray.800');
+
+  useEffect(() => {
+    setShowBanner(needsConsent());
+    return onOpenPreferences(() => {
+      const current = readConsent();
+      setChoice({ analytics: !!current?.analytics, advertising: !!current?.advertising });
+      setShowPrefs(true);
+    });
+  }, []);
+
+  function decide(next: { analytics: boolean; advertising: boolean }, source: string) {
+    saveConsent(next, source);
+    setShowBanner(false);
+    setShowPrefs(false);
+  }
+
+  const categories = CATEGORIES.filter(c => c.enabled);
+  const all = (value: boolean) => ({ analytics: value, advertising: value });
+
+  return (
+    <>
+      {showBanner && (
+        <Box position="fixed" bottom={4} left={4} right={4} zIndex="banner" maxW="3xl" mx="auto"
+          p={5} bg={bg} borderWidth={1} rounded="lg" shadow="lg" role="dialog" aria-label="Cookie consent">
+          <Text fontSize="sm">
+            We use cookies for {categories.map(c => c.label.toLowerCase()).join(' and ')}. They only load if you agree,
+            and you can change your mind any time under Cookie settings.
+          </Text>
+          <Flex mt={4} gap={2} wrap="wrap" justify="flex-end">
+            <Button size="sm" variant="ghost" onClick={() => setShowPrefs(true)}>Preferences</Button>
+            <Button size="sm" variant="outline" onClick={() => decide(all(false), 'banner_reject')}>Reject all</Button>
+            <Button size="sm" colorScheme="blue" onClick={() => decide(all(true), 'banner_accept')}>Accept all</Button>
+          </Flex>
+        </Box>
+      )}
+
+      <Modal isOpen={showPrefs} onClose={() => setShowPrefs(false)} size="lg">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Cookie preferences</ModalHeader>
+          <ModalBody>
+            <VStack align="stretch" spacing={5}>
+              <FormControl display="flex" alignItems="flex-start" justifyContent="space-between" gap={4}>
+                <Box>
+                  <FormLabel mb={0}>Necessary</FormLabel>
+                  <Text fontSize="sm" color="gray.500">Sign-in, security and remembering this choice. Always on.</Text>
+                </Box>
+                <Switch isChecked isDisabled />
+              </FormControl>
+              {categories.map(c => (
+                <FormControl key={c.id} display="flex" alignItems="flex-start" justifyContent="space-between" gap={4}>
+                  <Box>
+                    <FormLabel htmlFor={`consent-${c.id}`} mb={0}>{c.label}</FormLabel>
+                    <Text fontSize="sm" color="gray.500">{c.description}</Text>
+                  </Box>
+                  <Switch id={`consent-${c.id}`} isChecked={choice[c.id]}
+                    onChange={e => setChoice({ ...choice, [c.id]: e.target.checked })} />
+                </FormControl>
+              ))}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={2}>
+              <Button variant="outline" onClick={() => decide(all(false), 'preferences_reject')}>Reject all</Button>
+              <Button colorScheme="blue" onClick={() => decide(choice, 'preferences')}>Save choices</Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { signIn } from 'next-auth/react';
+import { Alert, Box, Button, Heading, Input, Stack, Text } from '@chakra-ui/react';
+
+export default function CredentialsForm({ title }: { title: string }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    const res = await signIn('credentials', { email, password, redirect: false, callbackUrl: '/dashboard' });
+    setLoading(false);
+    if (res?.ok && res.url) window.location.href = res.url;
+    else setError('Sign-in failed. Check your email and password.');
+  }
+
+  return (
+    <Box maxW="sm" mx="auto" mt={16} p={8} borderWidth={1} rounded="2xl">
+      <Heading size="lg" mb={6}>{title}</Heading>
+      <form onSubmit={submit}>
+        <Stack spacing={4}>
+          <Input type="email" placeholder="you@example.com" value={email} onChange={e => setEmail(e.target.value)} isRequired />
+          <Input type="password" placeholder="Password (if required)" value={password} onChange={e => setPassword(e.target.value)} />
+          {error && <Alert status="error">{error}</Alert>}
+          <Button type="submit" colorScheme="blue" isLoading={loading}>Continue</Button>
+          <Text fontSize="sm" color="gray.500">No separate sign-up needed: your account is created on first sign-in.</Text>
+        </Stack>
+      </form>
+    </Box>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { Box, Button, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, Text, Textarea } from '@chakra-ui/react';
+import { track, flush } from '../lib/track';
+
+// Self-contained so `scaffold add/remove feedback` only has to touch one line of the dashboard.
+async function sendFeedback(text: string) {
+  track('feedback', { text });
+  await flush();
+}
+
+export default function FeedbackModal({ onSubmit = sendFeedback }: { onSubmit?: (text: string) => Promise<void> | void }) {
+  const [isOpen, setOpen] = useState(false);
+  const [msg, setMsg] = useState('');
+  const [sent, setSent] = useState<string[]>([]);
+
+  async function submit() {
+    if (!msg) return;
+    await onSubmit(msg);
+    setSent([...sent, msg]);
+    setMsg('');
+    setOpen(false);
+  }
+
+  return (
+    <Box>
+      <Button onClick={()=>setOpen(true)}>💬 Feedback</Button>
+      <Modal isOpen={isOpen} onClose={()=>setOpen(false)}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Share Feedback</ModalHeader>
+          <ModalBody>
+            <Textarea placeholder="What's on your mind?" value={msg} onChange={e=>setMsg(e.target.value)} />
+            <Button mt={4} colorScheme="blue" onClick={submit}>Submit</Button>
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+      {sent.length > 0 && (
+        <Box mt={4}>
+          <Text fontWeight="bold" mb={2}>Recent Feedback:</Text>
+          {sent.map((fb, i) => (
+            <Text key={i} fontSize="sm" color="gray.600">• {fb}</Text>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
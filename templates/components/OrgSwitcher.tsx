@@ -0,0 +1,55 @@
+// components/OrgSwitcher.tsx
+// Multi-tenant mode: pick the active organization (stored in the org_id cookie by
+// /api/orgs/switch) or create a new one. The page reloads so server-side props follow the switch.
+import { useState } from 'react';
+import { Button, HStack, Input, Select, Text } from '@chakra-ui/react';
+
+export type OrgOption = { id: string; name: string; role: string };
+
+async function post(endpoint: string, body: object) {
+  const res = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Something went wrong');
+  return data;
+}
+
+export default function OrgSwitcher({ orgs, activeId }: { orgs: OrgOption[]; activeId: string }) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function run(endpoint: string, body: object) {
+    setBusy(true);
+    setError(null);
+    try {
+      await post(endpoint, body);
+      window.location.reload();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <HStack spacing={2}>
+        {creating ? (
+          <>
+            <Input size="sm" maxW="xs" placeholder="Organization name" value={name} onChange={e => setName(e.target.value)} autoFocus />
+            <Button size="sm" colorScheme="blue" isLoading={busy} isDisabled={!name.trim()} onClick={() => run('/api/orgs', { name })}>Create</Button>
+            <Button size="sm" variant="ghost" onClick={() => setCreating(false)}>Cancel</Button>
+          </>
+        ) : (
+          <>
+            <Select size="sm" maxW="xs" value={activeId} isDisabled={busy} onChange={e => run('/api/orgs/switch', { orgId: e.target.value })}>
+              {orgs.map(o => <option key={o.id} value={o.id}>{o.name} ({o.role})</option>)}
+            </Select>
+            <Button size="sm" variant="outline" onClick={() => setCreating(true)}>New organization</Button>
+          </>
+        )}
+      </HStack>
+      {error && <Text fontSize="sm" color="red.500">{error}</Text>}
+    </>
+  );
+}
@@ -0,0 +1,123 @@
+// components/TeamPanel.tsx
+// Multi-tenant mode: members of the active organization. Admins invite people by email (they get
+// a link to /invite), revoke pending invitations and remove members; everyone can leave.
+import { useEffect, useState } from 'react';
+import {
+  Badge, Box, Button, Divider, Heading, HStack, Input, Select, Stack, Text,
+} from '@chakra-ui/react';
+
+type Member = { user_id: string; email: string | null; role: string };
+type Invitation = { id: string; email: string; role: string; expires_at: string };
+
+const ROLE_COLORS = { owner: 'purple', admin: 'blue', member: 'gray' };
+
+export default function TeamPanel({ orgName, role, userId }: { orgName: string; role: string; userId: string }) {
+  const [members, setMembers] = useState<Member[]>([]);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [email, setEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState<{ ok: boolean; text: string } | null>(null);
+  const isAdmin = role === 'admin' || role === 'owner';
+
+  async function load() {
+    const res = await fetch('/api/orgs/members');
+    if (!res.ok) return;
+    const data = await res.json();
+    setMembers(data.members);
+    setInvitations(data.invitations);
+  }
+
+  useEffect(() => { load(); }, []);
+
+  async function call(url: string, init: RequestInit, success: string) {
+    setBusy(true);
+    setNotice(null);
+    try {
+      const res = await fetch(url, init);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Something went wrong');
+      setNotice({ ok: true, text: success });
+      return true;
+    } catch (err) {
+      setNotice({ ok: false, text: err.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function invite() {
+    const ok = await call('/api/orgs/invitations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, role: inviteRole }),
+    }, `Invitation sent to ${email}.`);
+    if (ok) {
+      setEmail('');
+      load();
+    }
+  }
+
+  async function revoke(inv: Invitation) {
+    if (await call(`/api/orgs/invitations?id=${encodeURIComponent(inv.id)}`, { method: 'DELETE' }, `Invitation for ${inv.email} revoked.`)) load();
+  }
+
+  async function remove(member: Member) {
+    const self = member.user_id === userId;
+    if (!window.confirm(self ? `Leave ${orgName}?` : `Remove ${member.email || member.user_id} from ${orgName}?`)) return;
+    const ok = await call(`/api/orgs/members?userId=${encodeURIComponent(member.user_id)}`, { method: 'DELETE' }, self ? `You left ${orgName}.` : 'Member removed.');
+    if (ok && self) window.location.reload();
+    else if (ok) load();
+  }
+
+  const canRemove = (m: Member) => m.user_id === userId || role === 'owner' || (isAdmin && m.role === 'member');
+
+  return (
+    <Box p={4} borderWidth={1} rounded="md" w="full" maxW="lg">
+      <Heading size="sm">Team</Heading>
+      <Stack mt={3} spacing={2}>
+        {members.map(m => (
+          <HStack key={m.user_id} justify="space-between">
+            <Text fontSize="sm">{m.email || m.user_id}{m.user_id === userId ? ' (you)' : ''}</Text>
+            <HStack>
+              <Badge colorScheme={ROLE_COLORS[m.role]}>{m.role}</Badge>
+              {canRemove(m) && (
+                <Button size="xs" variant="ghost" isDisabled={busy} onClick={() => remove(m)}>
+                  {m.user_id === userId ? 'Leave' : 'Remove'}
+                </Button>
+              )}
+            </HStack>
+          </HStack>
+        ))}
+      </Stack>
+
+      {isAdmin && (
+        <>
+          <Divider my={4} />
+          <Heading size="xs">Invite someone</Heading>
+          <HStack mt={2}>
+            <Input size="sm" type="email" placeholder="teammate@company.com" value={email} onChange={e => setEmail(e.target.value)} />
+            <Select size="sm" w="32" value={inviteRole} onChange={e => setInviteRole(e.target.value)}>
+              <option value="member">member</option>
+              <option value="admin">admin</option>
+            </Select>
+            <Button size="sm" colorScheme="blue" isLoading={busy} isDisabled={!email} onClick={invite}>Invite</Button>
+          </HStack>
+          {invitations.length > 0 && (
+            <Stack mt={3} spacing={1}>
+              <Text fontSize="xs" color="gray.500">Pending invitations</Text>
+              {invitations.map(inv => (
+                <HStack key={inv.id} justify="space-between">
+                  <Text fontSize="sm">{inv.email} <Badge ml={1}>{inv.role}</Badge></Text>
+                  <Button size="xs" variant="ghost" isDisabled={busy} onClick={() => revoke(inv)}>Revoke</Button>
+                </HStack>
+              ))}
+            </Stack>
+          )}
+        </>
+      )}
+      {notice && <Text mt={3} fontSize="sm" color={notice.ok ? 'green.600' : 'red.500'}>{notice.text}</Text>}
+    </Box>
+  );
+}
@@ -0,0 +1,126 @@
+import { FormEvent, useEffect, useState } from 'react';
+import {
+  Alert, AlertDescription, AlertIcon, Box, Button, Flex, FormControl, FormErrorMessage, Input, Text, VStack,
+} from '@chakra-ui/react';
+import NextLink from 'next/link';
+import { track } from '../lib/track';
+import Captcha, { captchaEnabled } from './Captcha';
+
+// Landing page signup form. Posts to /api/signups/add and shows its answers inline: field errors,
+// captcha and rate-limit messages, then "check your inbox" (double opt-in) or "you're on the list"
+// with a link to the signup's place in line. A referral code captured by pages/_app.tsx goes along.
+type Status = 'pending' | 'subscribed' | 'already_subscribed';
+
+const OUTCOMES: Record<Status, (email: string) => string> = {
+  pending: email => `Almost there! We sent a confirmation link to ${email}. Click it to hold your spot.`,
+  subscribed: () => 'You’re on the waitlist 🚀 We’ll be in touch.',
+  already_subscribed: () => 'You’re already on the waitlist. We’ll be in touch.',
+};
+
+export default function WaitlistForm({ source = 'landing' }: { source?: string }) {
+  const [email, setEmail] = useState('');
+  const [website, setWebsite] = useState('');
+  const [captcha, setCaptcha] = useState<string | null>(null);
+  const [captchaKey, setCaptchaKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [fieldError, setFieldError] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [outcome, setOutcome] = useState<{ status: Status; email: string; code?: string } | null>(null);
+  const [referred, setReferred] = useState(false);
+
+  useEffect(() => setReferred(!!localStorage.getItem('ref')), []);
+
+  async function handleSignup(e: FormEvent) {
+    e.preventDefault();
+    setFieldError(null);
+    setError(null);
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) return setFieldError('Enter a valid email address.');
+    if (captchaEnabled && !captcha) return setError('Please complete the captcha first.');
+
+    setLoading(true);
+    try {
+      const w = window as any;
+      const res = await fetch('/api/signups/add', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, source, utm: w.__UTM__ || {}, website, captcha, ref: localStorage.getItem('ref') || undefined }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.ok) {
+        track('signup_submitted', { source });
+        // eventId is only set for new signups; it matches the server-side conversion so each
+        // platform counts the pair once
+        if (data.eventId && w.fbq) w.fbq('track', 'Lead', {}, { eventID: data.eventId });
+        if (data.eventId && w.ttq) w.ttq.track('SubmitForm', {}, { event_id: data.eventId });
+        setOutcome({ status: data.status, email: email.trim().toLowerCase(), code: data.referralCode });
+        setEmail('');
+      } else if (data.field === 'email') {
+        setFieldError(data.error);
+      } else {
+        setError(data.error || 'Something went wrong. Please try again.');
+      }
+    } catch {
+      setError('Network error. Check your connection and try again.');
+    } finally {
+      setLoading(false);
+      // captcha responses are single-use
+      setCaptcha(null);
+      setCaptchaKey(k => k + 1);
+    }
+  }
+
+  if (outcome) {
+    return (
+      <VStack spacing={2}>
+        <Alert status="success" rounded="md" maxW="lg" mx="auto">
+          <AlertIcon />
+          <AlertDescription>{OUTCOMES[outcome.status](outcome.email)}</AlertDescription>
+        </Alert>
+        {outcome.status !== 'pending' && outcome.code && (
+          <Button as={NextLink} href={`/waitlist/${outcome.code}`} colorScheme="blue" size="sm">
+            See your place in line
+          </Button>
+        )}
+        <Button variant="link" size="sm" onClick={() => setOutcome(null)}>Use another email</Button>
+      </VStack>
+    );
+  }
+
+  return (
+    <Box as="form" onSubmit={handleSignup} noValidate>
+      <VStack spacing={3}>
+        {referred && <Text fontSize="sm">🎁 A friend invited you. When you join, they move up the waitlist.</Text>}
+        <Flex justify="center" align="flex-start" gap={2} w="full">
+          <FormControl isInvalid={!!fieldError} maxW="300px">
+            <Input
+              type="email"
+              name="email"
+              autoComplete="email"
+              placeholder="Enter your email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              bg="white"
+              color="black"
+              _placeholder={{ color: 'gray.500' }}
+            />
+            <FormErrorMessage>{fieldError}</FormErrorMessage>
+          </FormControl>
+          <Button type="submit" colorScheme="blue" isLoading={loading}>
+            Join Waitlist
+          </Button>
+        </Flex>
+        {/* honeypot: off-screen, skipped by keyboard and screen readers; bots fill it in */}
+        <Box position="absolute" left="-10000px" aria-hidden="true">
+          <input type="text" name="website" tabIndex={-1} autoComplete="off" value={website} onChange={e => setWebsite(e.target.value)} />
+        </Box>
+        <Captcha key={captchaKey} onToken={setCaptcha} />
+        {error && (
+          <Alert status="error" rounded="md" maxW="lg">
+            <AlertIcon />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </VStack>
+    </Box>
+  );
+}
@@ -0,0 +1,55 @@
+-- db/migrations/0001_init.sql
+-- Creates events + signups tables for analytics and lead capture (plain Postgres).
+-- Apply with `scaffold db:migrate`.
+
+create table if not exists events (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_events_type on events (type);
+create index if not exists idx_events_created_at on events (created_at desc);
+
+create table if not exists signups (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  source text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_signups_email on signups (email);
+create index if not exists idx_signups_created_at on signups (created_at desc);
+
+{{#stripe}}
+-- Billing: Stripe customers/subscriptions linked to app users, plus processed webhook ids
+create table if not exists customers (
+  user_id text primary key,
+  stripe_customer_id text not null unique,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists subscriptions (
+  id text primary key,
+  user_id text,
+  customer_id text not null,
+  status text not null,
+  price_id text,
+  plan text,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_subscriptions_user_id on subscriptions (user_id);
+create index if not exists idx_subscriptions_customer_id on subscriptions (customer_id);
+
+create table if not exists stripe_events (
+  id text primary key,
+  type text not null,
+  processed_at timestamptz not null default now()
+);
+{{/stripe}}
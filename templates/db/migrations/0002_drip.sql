@@ -0,0 +1,16 @@
+-- db/migrations/0002_drip.sql
+-- Drip email bookkeeping: one row per (email, step) sent, plus addresses that opted out.
+-- Added by the drip module; apply with `scaffold db:migrate`.
+
+create table if not exists drip_sends (
+  email text not null,
+  step text not null,
+  sent_at timestamptz not null default now(),
+  primary key (email, step)
+);
+
+create table if not exists email_suppressions (
+  email text primary key,
+  reason text,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,19 @@
+-- db/migrations/0003_conversions.sql
+-- Server-side conversions that failed to reach an ad platform, retried by /api/conversions/retry.
+-- Added by the conversions module; apply with `scaffold db:migrate`.
+
+create table if not exists conversion_queue (
+  id uuid primary key default gen_random_uuid(),
+  platform text not null,
+  event_name text not null,
+  event_id text not null,
+  payload jsonb not null,
+  attempts integer not null default 0,
+  status text not null default 'pending',
+  next_attempt_at timestamptz not null,
+  last_error text,
+  created_at timestamptz not null default now(),
+  unique (platform, event_id)
+);
+
+create index if not exists idx_conversion_queue_due on conversion_queue (status, next_attempt_at);
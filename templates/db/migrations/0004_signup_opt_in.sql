@@ -0,0 +1,15 @@
+-- db/migrations/0004_signup_opt_in.sql
+-- One signup per address plus double opt-in. Emails are stored trimmed and lowercased; duplicates
+-- collapse into each address's first signup. Rows from before opt-in count as confirmed.
+-- Apply with `scaffold db:migrate`.
+
+alter table signups add column if not exists confirmed_at timestamptz;
+update signups set confirmed_at = created_at where confirmed_at is null;
+
+update signups set email = lower(trim(email)) where email <> lower(trim(email));
+delete from signups dup using signups kept
+ where dup.email = kept.email
+   and (dup.created_at, dup.id) > (kept.created_at, kept.id);
+
+drop index if exists idx_signups_email;
+create unique index if not exists signups_email_key on signups (email);
@@ -0,0 +1,11 @@
+-- db/migrations/0005_referrals.sql
+-- Referral waitlist: every signup gets a share code, and referred_by records whose link brought it in.
+-- Existing signups get a random code. Apply with `scaffold db:migrate`.
+
+alter table signups add column if not exists referral_code text;
+alter table signups add column if not exists referred_by text;
+
+update signups set referral_code = substr(md5(random()::text || id::text), 1, 8) where referral_code is null;
+
+create unique index if not exists signups_referral_code_key on signups (referral_code);
+create index if not exists idx_signups_referred_by on signups (referred_by);
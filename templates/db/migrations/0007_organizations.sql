@@ -0,0 +1,47 @@
+-- db/migrations/0007_organizations.sql
+-- Multi-tenant mode: users work inside organizations. Roles are owner | admin | member.
+{{#stripe}}
+-- Billing moves from users to organizations, so customers and subscriptions are keyed by org_id.
+{{/stripe}}
+-- Apply with `scaffold db:migrate`.
+
+create table if not exists organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists memberships (
+  org_id uuid not null references organizations (id) on delete cascade,
+  user_id text not null,
+  email text,
+  role text not null default 'member' check (role in ('owner', 'admin', 'member')),
+  created_at timestamptz not null default now(),
+  primary key (org_id, user_id)
+);
+
+create index if not exists idx_memberships_user_id on memberships (user_id);
+
+-- Only a SHA-256 of the emailed token is stored
+create table if not exists invitations (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations (id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  token_hash text not null unique,
+  invited_by text not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by text
+);
+
+create index if not exists idx_invitations_org_id on invitations (org_id);
+{{#stripe}}
+
+alter table customers rename column user_id to org_id;
+alter table subscriptions rename column user_id to org_id;
+drop index if exists idx_subscriptions_user_id;
+create index if not exists idx_subscriptions_org_id on subscriptions (org_id);
+{{/stripe}}
@@ -0,0 +1,23 @@
+#!/bin/sh
+# db/migrate.sh
+# Applies db/migrations/*.sql that schema_migrations doesn't list yet, each in one transaction with
+# its bookkeeping row. Same table and rules as `scaffold db:migrate`, so either can run next.
+# docker-compose.yml runs it as the one-shot `migrate` service before the app starts.
+set -eu
+
+psql -v ON_ERROR_STOP=1 -q -c "create table if not exists schema_migrations (
+  version text primary key,
+  name text not null,
+  applied_at timestamptz not null default now()
+)"
+
+for file in /migrations/[0-9][0-9][0-9][0-9]_*.sql; do
+  [ -e "$file" ] || continue
+  base=$(basename "$file" .sql)
+  version=${base%%_*}
+  name=${base#*_}
+  if [ -n "$(psql -tA -c "select 1 from schema_migrations where version = '$version'")" ]; then continue; fi
+  { cat "$file"; printf "\ninsert into schema_migrations (version, name) values ('%s', '%s');\n" "$version" "$name"; } |
+    psql -v ON_ERROR_STOP=1 -q --single-transaction -f -
+  echo "applied $base"
+done
@@ -0,0 +1,9 @@
+// instrumentation.ts
+// Next.js calls register() once per server start: fail fast on missing env
+// instead of on the first request that needs it.
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { validateEnv } = await import('./lib/env');
+    validateEnv();
+  }
+}
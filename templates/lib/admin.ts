@@ -0,0 +1,62 @@
+// lib/admin.ts
+{{#auth_clerk}}
+// Founder-only pages and exports. Admins are listed in ADMIN_USER_IDS and/or ADMIN_EMAILS
+// (comma-separated); with neither set nobody is an admin. ADMIN_EMAILS only matches an address
+// Clerk has verified.
+{{/auth_clerk}}
+{{^auth_clerk}}
+// Founder-only pages and exports. {{#auth_authjs}}Auth.js credentials take any address that is typed in{{/auth_authjs}}{{#auth_none}}Without sign-in the only id is a cookie the browser picks{{/auth_none}},
+// so no user id or email can make someone an admin. Instead the founder enters the ADMIN_TOKEN secret
+// on /founder (pages/api/founder/session.ts) and gets an HttpOnly cookie derived from it; with
+// ADMIN_TOKEN unset nobody is an admin.
+import { createHash, timingSafeEqual } from 'crypto';
+{{/auth_clerk}}
+import { getServerUser, ServerUser } from './authServer';
+
+{{#auth_clerk}}
+function list(value: string | undefined): string[] {
+  return (value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+export function isAdmin(user: ServerUser | null): boolean {
+  if (!user) return false;
+  const ids = list(process.env.ADMIN_USER_IDS);
+  const emails = list(process.env.ADMIN_EMAILS);
+  if (ids.includes(user.id.toLowerCase())) return true;
+  return !!user.emailVerified && !!user.email && emails.includes(user.email.toLowerCase());
+}
+{{/auth_clerk}}
+{{^auth_clerk}}
+export const ADMIN_COOKIE = 'admin_session';
+
+function sameSecret(a: string, b: string): boolean {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/** Cookie value for a founder who entered ADMIN_TOKEN, or null when it isn't set. Never the token itself. */
+export function adminSession(): string | null {
+  const token = process.env.ADMIN_TOKEN;
+  return token ? createHash('sha256').update(`admin-session:${token}`).digest('hex') : null;
+}
+
+/** Whether `token` is ADMIN_TOKEN. */
+export function isAdminToken(token: unknown): boolean {
+  const expected = process.env.ADMIN_TOKEN;
+  return !!expected && typeof token === 'string' && sameSecret(token, expected);
+}
+
+/** Whether the request carries the cookie /api/founder/session sets for ADMIN_TOKEN. */
+export function isAdmin(req): boolean {
+  const expected = adminSession();
+  const match = String(req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${ADMIN_COOKIE}=([^;]+)`));
+  return !!expected && !!match && sameSecret(match[1], expected);
+}
+{{/auth_clerk}}
+
+/** The signed-in user and whether they are an admin. */
+export async function requireAdmin(req, res): Promise<{ user: ServerUser | null; admin: boolean }> {
+  const user = await getServerUser(req, res);
+  return { user, admin: isAdmin({{#auth_clerk}}user{{/auth_clerk}}{{^auth_clerk}}req{{/auth_clerk}}) };
+}
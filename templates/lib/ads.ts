@@ -0,0 +1,80 @@
+// lib/ads.ts
+export const injectAdPixels = () => {
+  if (typeof window === 'undefined') return;
+
+  // Meta Pixel
+  const META_PIXEL_ID = process.env.NEXT_PUBLIC_META_PIXEL_ID;
+  if (META_PIXEL_ID && !window['fbq-init']) {
+    !(function(f,b,e,v,n,t,s)
+      {if(f.fbq)return;n=f.fbq=function(){n.callMethod?
+      n.callMethod.apply(n,arguments):n.queue.push(arguments)};
+      if(!f._fbq)f._fbq=n;n.push=n;n.loaded=!0;n.version='2.0';
+      n.queue=[];t=b.createElement(e);t.async=!0;
+      t.src=v;s=b.getElementsByTagName(e)[0];
+      s.parentNode.insertBefore(t,s)})(window, document,'script',
+      'https://connect.facebook.net/en_US/fbevents.js');
+    window.fbq('init', META_PIXEL_ID);
+    window.fbq('track', 'PageView');
+    window['fbq-init'] = true;
+    console.log('✅ Meta Pixel injected');
+  }
+
+  // LinkedIn Insight Tag
+  const LINKEDIN_ID = process.env.NEXT_PUBLIC_LINKEDIN_ID;
+  if (LINKEDIN_ID && !window['li-init']) {
+    const s = document.createElement('script');
+    s.type = 'text/javascript';
+    s.innerHTML = `_linkedin_partner_id = "${LINKEDIN_ID}";
+    window._linkedin_data_partner_ids = window._linkedin_data_partner_ids || [];
+    window._linkedin_data_partner_ids.push(_linkedin_partner_id);`;
+    document.head.appendChild(s);
+    const t = document.createElement('script');
+    t.type = 'text/javascript';
+    t.src = 'https://snap.licdn.com/li.lms-analytics/insight.min.js';
+    t.async = true;
+    document.head.appendChild(t);
+    window['li-init'] = true;
+    console.log('✅ LinkedIn pixel injected');
+  }
+
+  // TikTok Pixel (optional)
+  const TIKTOK_ID = process.env.NEXT_PUBLIC_TIKTOK_ID;
+  if (TIKTOK_ID && !window['ttq-init']) {
+    !(function (w, d, t) {
+      w.TiktokAnalyticsObject = t;
+      var ttq = (w[t] = w[t] || []);
+      ttq.methods = ["page","track","identify","instances","debug","on","off","once","ready","alias","group","enableCookie"];
+      ttq.setAndDefer = function(t, e) {
+        t[e] = function() {
+          t.push([e].concat(Array.prototype.slice.call(arguments, 0)));
+        };
+      };
+      for (var i = 0; i < ttq.methods.length; i++) ttq.setAndDefer(ttq, ttq.methods[i]);
+      ttq.instance = function(t) {
+        var e = ttq._i[t] || [];
+        for (var n = 0; n < ttq.methods.length; n++) ttq.setAndDefer(e, ttq.methods[n]);
+        return e;
+      };
+      ttq.load = function(e, n) {
+        var i = "https://analytics.tiktok.com/i18n/pixel/events.js";
+        ttq._i = ttq._i || {};
+        ttq._i[e] = [];
+        ttq._i[e]._u = i;
+        ttq._t = ttq._t || {};
+        ttq._t[e] = +new Date();
+        ttq._o = ttq._o || {};
+        ttq._o[e] = n || {};
+        var o = document.createElement("script");
+        o.type = "text/javascript";
+        o.async = true;
+        o.src = i + "?sdkid=" + e + "&lib=" + t;
+        var a = document.getElementsByTagName("script")[0];
+        a.parentNode.insertBefore(o, a);
+      };
+      ttq.load(TIKTOK_ID);
+      ttq.page();
+      window['ttq-init'] = true;
+      console.log('✅ TikTok pixel injected');
+    })(window, document, 'ttq');
+  }
+};
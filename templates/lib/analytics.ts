@@ -0,0 +1,31 @@
+// lib/analytics.ts
+// Loaded by pages/_app.tsx only after the visitor grants analytics consent (lib/consent.ts).
+export const injectAnalytics = () => {
+  if (typeof window === 'undefined') return;
+  // Google Analytics
+  const GA_MEASUREMENT_ID = process.env.NEXT_PUBLIC_GA_ID;
+  if (GA_MEASUREMENT_ID && !window['ga-init']) {
+    const s = document.createElement('script');
+    s.src = `https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`;
+    s.async = true;
+    document.head.appendChild(s);
+    window.dataLayer = window.dataLayer || [];
+    function gtag(){window.dataLayer.push(arguments);}
+    gtag('js', new Date());
+    gtag('config', GA_MEASUREMENT_ID);
+    window['ga-init'] = true;
+  }
+
+  // Microsoft Clarity
+  const CLARITY_ID = process.env.NEXT_PUBLIC_CLARITY_ID;
+  if (CLARITY_ID && !window['clarity-init']) {
+    (function(c,l,a,r,i,t,y){
+      c[a]=c[a]||function(){(c[a].q=c[a].q||[]).push(arguments)};
+      t=l.createElement(r);t.async=1;t.src="https://www.clarity.ms/tag/"+i;
+      y=l.getElementsByTagName(r)[0];y.parentNode.insertBefore(t,y);
+    })(window, document, "clarity", "script", CLARITY_ID);
+    // only reached with analytics consent; tells Clarity it may set cookies
+    window['clarity']('consent');
+    window['clarity-init'] = true;
+  }
+};
@@ -0,0 +1,35 @@
+// lib/auth.tsx
+// Auth adapter (Auth.js / NextAuth). Same surface as the Clerk adapter:
+// AuthProvider, useUser, SignedIn, SignedOut, SignInButton.
+import React from "react";
+import { SessionProvider, useSession, signIn } from "next-auth/react";
+
+export const AuthProvider = ({ children }) => <SessionProvider>{children}</SessionProvider>;
+
+export function useUser() {
+  const { data, status } = useSession();
+  const u = data?.user;
+  const user = u
+    ? {
+        id: (u as any).id || u.email,
+        email: u.email,
+        fullName: u.name || u.email,
+        firstName: (u.name || u.email || "").split(/[\s@]/)[0],
+      }
+    : null;
+  return { isLoaded: status !== "loading", isSignedIn: status === "authenticated", user };
+}
+
+export const SignedIn = ({ children }) => {
+  const { status } = useSession();
+  return status === "authenticated" ? <>{children}</> : null;
+};
+
+export const SignedOut = ({ children }) => {
+  const { status } = useSession();
+  return status === "unauthenticated" ? <>{children}</> : null;
+};
+
+export const SignInButton = ({ children }) => (
+  <span onClick={() => signIn(undefined, { callbackUrl: "/dashboard" })}>{children}</span>
+);
@@ -0,0 +1,15 @@
+// lib/auth.tsx
+// Auth adapter (none). Everyone is treated as a signed-in guest; swap this module
+// for a real provider later without touching the pages.
+import React from "react";
+
+export const AuthProvider = ({ children }) => <>{children}</>;
+
+export const useUser = () => ({
+  isLoaded: true,
+  isSignedIn: true,
+  user: null,
+});
+export const SignedIn = ({ children }) => <>{children}</>;
+export const SignedOut = ({ children }) => null;
+export const SignInButton = ({ children }) => <>{children}</>;
@@ -0,0 +1,13 @@
+// lib/authServer.ts
+// Server-side half of the auth adapter: who is making this API request? The credentials provider
+// takes whatever address is typed in, so the email (which is also the id) is never verified.
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../pages/api/auth/[...nextauth]';
+
+export type ServerUser = { id: string; email?: string | null; emailVerified?: boolean };
+
+export async function getServerUser(req, res): Promise<ServerUser | null> {
+  const session = await getServerSession(req, res, authOptions);
+  const email = session?.user?.email;
+  return email ? { id: email, email, emailVerified: false } : null;
+}
@@ -0,0 +1,43 @@
+// lib/authServer.ts
+// Server-side half of the auth adapter: who is making this API request?
+import { clerkClient, getAuth } from '@clerk/nextjs/server';
+
+export type ServerUser = { id: string; email?: string | null; emailVerified?: boolean };
+
+// The session token carries only the user id, so the primary address comes from Clerk's API;
+// cache it briefly so analytics and billing calls don't fetch the user on every request
+const EMAIL_TTL_MS = 5 * 60 * 1000;
+const emails = new Map<string, { email: string | null; verified: boolean; at: number }>();
+
+async function primaryEmail(userId: string) {
+  const cached = emails.get(userId);
+  if (cached && Date.now() - cached.at < EMAIL_TTL_MS) return cached;
+  const user = await clerkClient.users.getUser(userId);
+  const primary = user.emailAddresses.find(e => e.id === user.primaryEmailAddressId);
+  const entry = {
+    email: primary?.emailAddress.toLowerCase() || null,
+    verified: primary?.verification?.status === 'verified',
+    at: Date.now(),
+  };
+  if (emails.size > 10000) emails.clear();
+  emails.set(userId, entry);
+  return entry;
+}
+
+export async function getServerUser(req, res): Promise<ServerUser | null> {
+  let userId: string | null;
+  try {
+    userId = getAuth(req).userId;
+  } catch {
+    // No publishable key yet (middleware is a no-op) -> treat as signed out
+    return null;
+  }
+  if (!userId) return null;
+  try {
+    const { email, verified } = await primaryEmail(userId);
+    return { id: userId, email, emailVerified: verified };
+  } catch (err) {
+    console.error('could not load the Clerk user', err);
+    return { id: userId, email: null, emailVerified: false };
+  }
+}
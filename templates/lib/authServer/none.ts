@@ -0,0 +1,17 @@
+// lib/authServer.ts
+// Server-side half of the auth adapter. Without a provider, each browser gets a
+// stable anonymous id in a cookie so per-user features (billing, feedback) still work. The cookie
+// is whatever the browser sends, so the id is only as secret as the person holding it keeps it.
+import { randomUUID } from 'crypto';
+
+export type ServerUser = { id: string; email?: string | null; emailVerified?: boolean };
+
+const COOKIE = 'guest_id';
+
+export async function getServerUser(req, res): Promise<ServerUser | null> {
+  const match = String(req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${COOKIE}=([^;]+)`));
+  if (match) return { id: decodeURIComponent(match[1]) };
+  const id = `guest_${randomUUID()}`;
+  res?.setHeader?.('Set-Cookie', `${COOKIE}=${id}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000`);
+  return { id };
+}
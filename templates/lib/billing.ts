@@ -0,0 +1,58 @@
+// lib/billing.ts
+// Plan entitlements derived from the subscriptions table (kept in sync by the Stripe webhook).
+{{#tenancy_multi}}
+// Plans belong to organizations: everyone in an org shares its subscription.
+import { type ServerUser } from './authServer';
+import { getSubscriptionForOrg, type OrgWithRole, type Subscription } from './repository';
+import { resolveOrg } from './org';
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+import { getServerUser, type ServerUser } from './authServer';
+import { getSubscriptionForUser, type Subscription } from './repository';
+{{/tenancy_multi}}
+
+export const PLAN_RANK = { free: 0, pro: 1, enterprise: 2 };
+export type Plan = keyof typeof PLAN_RANK;
+
+const ACTIVE_STATUSES = ['active', 'trialing'];
+
+/** Map a Stripe price id to a plan. Only STRIPE_PRICE_PRO and STRIPE_PRICE_ENTERPRISE grant one. */
+export function planForPrice(priceId?: string | null): Plan {
+  if (!priceId) return 'free';
+  if (priceId === process.env.STRIPE_PRICE_ENTERPRISE) return 'enterprise';
+  if (priceId === process.env.STRIPE_PRICE_PRO) return 'pro';
+  return 'free';
+}
+
+export async function getPlan({{#tenancy_multi}}orgId{{/tenancy_multi}}{{^tenancy_multi}}userId{{/tenancy_multi}}: string): Promise<{ plan: Plan; subscription: Subscription | null }> {
+  const subscription = await {{#tenancy_multi}}getSubscriptionForOrg(orgId){{/tenancy_multi}}{{^tenancy_multi}}getSubscriptionForUser(userId){{/tenancy_multi}};
+  if (!subscription || !ACTIVE_STATUSES.includes(subscription.status)) return { plan: 'free', subscription };
+  return { plan: (subscription.plan as Plan) || planForPrice(subscription.price_id), subscription };
+}
+
+/**
+ * Gate a page or API route on a minimum plan.
+ *   const { allowed } = await requirePlan(req, res, 'pro')
+ */
+export async function requirePlan(req, res, plan: Plan = 'pro'): Promise<{
+  allowed: boolean;
+  plan: Plan;
+  user: ServerUser | null;
+{{#tenancy_multi}}
+  org: OrgWithRole | null;
+{{/tenancy_multi}}
+  subscription: Subscription | null;
+}> {
+{{#tenancy_multi}}
+  const ctx = await resolveOrg(req, res);
+  if (!ctx) return { allowed: false, plan: 'free', user: null, org: null, subscription: null };
+  const current = await getPlan(ctx.org.id);
+  return { allowed: PLAN_RANK[current.plan] >= PLAN_RANK[plan], plan: current.plan, user: ctx.user, org: ctx.org, subscription: current.subscription };
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  const user = await getServerUser(req, res);
+  if (!user) return { allowed: false, plan: 'free', user: null, subscription: null };
+  const current = await getPlan(user.id);
+  return { allowed: PLAN_RANK[current.plan] >= PLAN_RANK[plan], plan: current.plan, user, subscription: current.subscription };
+{{/tenancy_multi}}
+}
@@ -0,0 +1,135 @@
+// lib/consent.ts
+// Cookie consent per category. Third-party scripts wait for their category:
+//   whenGranted('analytics', injectAnalytics)     // GA, Clarity
+//   whenGranted('advertising', injectAdPixels)    // Meta, LinkedIn, TikTok
+// Choices are stored in localStorage (plus an ad_consent cookie for the server), mirrored to
+// Google Consent Mode and recorded as consent_updated events. components/ConsentBanner.tsx asks;
+// openConsentPreferences() reopens it.
+import { track, flush } from './track';
+
+export type Category = 'analytics' | 'advertising';
+export type Consent = { analytics: boolean; advertising: boolean; updatedAt: string; version: number };
+
+// Bump when the categories or their descriptions change to ask everyone again
+export const CONSENT_VERSION = 1;
+const STORAGE_KEY = 'consent';
+const OPEN_EVENT = 'consent:open';
+
+/** Categories with at least one configured script; the banner only asks about these. */
+export const CATEGORIES: { id: Category; label: string; description: string; enabled: boolean }[] = [
+  {
+    id: 'analytics',
+    label: 'Analytics',
+    description: 'Google Analytics and Microsoft Clarity help us understand how the site is used.',
+    enabled: !!(process.env.NEXT_PUBLIC_GA_ID || process.env.NEXT_PUBLIC_CLARITY_ID),
+  },
+  {
+    id: 'advertising',
+    label: 'Advertising',
+    description: 'Meta, LinkedIn and TikTok pixels measure our ads and build audiences.',
+    enabled: !!(process.env.NEXT_PUBLIC_META_PIXEL_ID || process.env.NEXT_PUBLIC_LINKEDIN_ID || process.env.NEXT_PUBLIC_TIKTOK_ID),
+  },
+];
+
+type Listener = (consent: Consent) => void;
+const listeners = new Set<Listener>();
+
+// Same shim as lib/analytics.ts: gtag.js only understands the arguments object, not a plain array.
+// Typed as a variadic function so TypeScript accepts the calls below.
+const gtag: (...args: unknown[]) => void = function () {
+  const w = window as any;
+  w.dataLayer = w.dataLayer || [];
+  w.dataLayer.push(arguments);
+};
+
+function consentModeState(c: Partial<Consent>) {
+  const ads = c.advertising ? 'granted' : 'denied';
+  return {
+    analytics_storage: c.analytics ? 'granted' : 'denied',
+    ad_storage: ads,
+    ad_user_data: ads,
+    ad_personalization: ads,
+  };
+}
+
+// Mirrors the advertising choice for the server, which can't read localStorage: server-side
+// conversions (the conversions module) are only sent when this cookie says granted.
+function writeAdCookie(c: Consent) {
+  document.cookie = `ad_consent=${c.advertising ? 'granted' : 'denied'}; path=/; max-age=31536000; samesite=lax`;
+}
+
+/** Stored choice, or null when the visitor hasn't decided (or decided on an older version). */
+export function readConsent(): Consent | null {
+  if (typeof window === 'undefined') return null;
+  try {
+    const c = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return c && c.version === CONSENT_VERSION ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+export function hasGranted(category: Category): boolean {
+  return !!readConsent()?.[category];
+}
+
+/** Whether the banner should ask: something is configured and nothing is stored yet. */
+export function needsConsent(): boolean {
+  return CATEGORIES.some(c => c.enabled) && !readConsent();
+}
+
+/**
+ * Google Consent Mode defaults. Must run before any Google tag loads; _app.tsx calls it first.
+ * Everything starts denied unless the visitor already chose.
+ */
+export function initConsentMode(): void {
+  if (typeof window === 'undefined') return;
+  const stored = readConsent();
+  gtag('consent', 'default', { ...consentModeState(stored || {}), wait_for_update: 500 });
+  if (stored) writeAdCookie(stored);
+}
+
+/** Run `fn` once `category` is granted: now if it already is, else when the visitor grants it. */
+export function whenGranted(category: Category, fn: () => void): () => void {
+  if (typeof window === 'undefined') return () => {};
+  if (hasGranted(category)) {
+    fn();
+    return () => {};
+  }
+  const listener: Listener = c => {
+    if (!c[category]) return;
+    listeners.delete(listener);
+    fn();
+  };
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function saveConsent(choice: { analytics: boolean; advertising: boolean }, source = 'banner'): Consent {
+  const previous = readConsent();
+  const consent: Consent = { ...choice, updatedAt: new Date().toISOString(), version: CONSENT_VERSION };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+  writeAdCookie(consent);
+  gtag('consent', 'update', consentModeState(consent));
+  track('consent_updated', { analytics: consent.analytics, advertising: consent.advertising, source });
+  for (const l of [...listeners]) l(consent);
+
+  // Scripts that already loaded can't be unloaded: reload so a withdrawn category stays off
+  const withdrawn = previous && ((previous.analytics && !consent.analytics) || (previous.advertising && !consent.advertising));
+  if (withdrawn) {
+    const w = window as any;
+    if (!consent.analytics && w.clarity) w.clarity('consent', false);
+    flush({ beacon: true }).finally(() => window.location.reload());
+  }
+  return consent;
+}
+
+/** Reopen the preferences modal, e.g. from a "Cookie settings" footer link. */
+export function openConsentPreferences(): void {
+  window.dispatchEvent(new Event(OPEN_EVENT));
+}
+
+export function onOpenPreferences(fn: () => void): () => void {
+  window.addEventListener(OPEN_EVENT, fn);
+  return () => window.removeEventListener(OPEN_EVENT, fn);
+}
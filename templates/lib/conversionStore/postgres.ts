@@ -0,0 +1,47 @@
+// lib/conversionStore.ts
+// Retry queue for server-side conversions on Postgres.
+// The table comes from db/migrations/0003_conversions.sql.
+import { pool } from './repository'
+
+export type ConversionJob = {
+  id: string
+  platform: string
+  event_name: string
+  event_id: string
+  payload: any
+  attempts: number
+  status: 'pending' | 'failed'
+  next_attempt_at: string
+  last_error: string | null
+}
+
+export type ConversionUpdate = Pick<ConversionJob, 'attempts' | 'status' | 'next_attempt_at' | 'last_error'>
+
+/** Queue a delivery; a second failure of the same (platform, event_id) keeps the first row. */
+export async function enqueueConversion(job: Omit<ConversionJob, 'id'>): Promise<void> {
+  await pool.query(
+    `insert into conversion_queue (platform, event_name, event_id, payload, attempts, status, next_attempt_at, last_error)
+     values ($1, $2, $3, $4, $5, $6, $7, $8) on conflict (platform, event_id) do nothing`,
+    [job.platform, job.event_name, job.event_id, JSON.stringify(job.payload), job.attempts, job.status, job.next_attempt_at, job.last_error]
+  )
+}
+
+export async function listDueConversions(now: Date, limit: number): Promise<ConversionJob[]> {
+  const { rows } = await pool.query(
+    `select * from conversion_queue where status = 'pending' and next_attempt_at <= $1
+      order by next_attempt_at limit $2`,
+    [now.toISOString(), limit]
+  )
+  return rows
+}
+
+export async function updateConversion(id: string, update: ConversionUpdate): Promise<void> {
+  await pool.query(
+    'update conversion_queue set attempts = $2, status = $3, next_attempt_at = $4, last_error = $5 where id = $1',
+    [id, update.attempts, update.status, update.next_attempt_at, update.last_error]
+  )
+}
+
+export async function deleteConversion(id: string): Promise<void> {
+  await pool.query('delete from conversion_queue where id = $1', [id])
+}
@@ -0,0 +1,61 @@
+// lib/conversionStore.ts
+// Retry queue for server-side conversions on SQLite.
+// The table is created here on first use, next to the core schema in lib/repository.ts.
+import { randomUUID } from 'crypto'
+import { db } from './repository'
+
+export type ConversionJob = {
+  id: string
+  platform: string
+  event_name: string
+  event_id: string
+  payload: any
+  attempts: number
+  status: 'pending' | 'failed'
+  next_attempt_at: string
+  last_error: string | null
+}
+
+export type ConversionUpdate = Pick<ConversionJob, 'attempts' | 'status' | 'next_attempt_at' | 'last_error'>
+
+db.exec(`
+create table if not exists conversion_queue (
+  id text primary key,
+  platform text not null,
+  event_name text not null,
+  event_id text not null,
+  payload text not null,
+  attempts integer not null default 0,
+  status text not null default 'pending',
+  next_attempt_at text not null,
+  last_error text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  unique (platform, event_id)
+);
+create index if not exists idx_conversion_queue_due on conversion_queue (status, next_attempt_at);
+`)
+
+/** Queue a delivery; a second failure of the same (platform, event_id) keeps the first row. */
+export async function enqueueConversion(job: Omit<ConversionJob, 'id'>): Promise<void> {
+  db.prepare(
+    `insert or ignore into conversion_queue (id, platform, event_name, event_id, payload, attempts, status, next_attempt_at, last_error)
+     values (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(randomUUID(), job.platform, job.event_name, job.event_id, JSON.stringify(job.payload), job.attempts, job.status, job.next_attempt_at, job.last_error)
+}
+
+export async function listDueConversions(now: Date, limit: number): Promise<ConversionJob[]> {
+  const rows = db.prepare(
+    `select * from conversion_queue where status = 'pending' and next_attempt_at <= ?
+      order by next_attempt_at limit ?`
+  ).all(now.toISOString(), limit) as any[]
+  return rows.map(r => ({ ...r, payload: JSON.parse(r.payload) }))
+}
+
+export async function updateConversion(id: string, update: ConversionUpdate): Promise<void> {
+  db.prepare('update conversion_queue set attempts = ?, status = ?, next_attempt_at = ?, last_error = ? where id = ?')
+    .run(update.attempts, update.status, update.next_attempt_at, update.last_error, id)
+}
+
+export async function deleteConversion(id: string): Promise<void> {
+  db.prepare('delete from conversion_queue where id = ?').run(id)
+}
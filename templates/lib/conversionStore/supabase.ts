@@ -0,0 +1,48 @@
+// lib/conversionStore.ts
+// Retry queue for server-side conversions on Supabase.
+// The table comes from supabase/migrations/0003_conversions.sql.
+import { supabase } from './supabaseClient'
+
+export type ConversionJob = {
+  id: string
+  platform: string
+  event_name: string
+  event_id: string
+  payload: any
+  attempts: number
+  status: 'pending' | 'failed'
+  next_attempt_at: string
+  last_error: string | null
+}
+
+export type ConversionUpdate = Pick<ConversionJob, 'attempts' | 'status' | 'next_attempt_at' | 'last_error'>
+
+/** Queue a delivery; a second failure of the same (platform, event_id) keeps the first row. */
+export async function enqueueConversion(job: Omit<ConversionJob, 'id'>): Promise<void> {
+  const { error } = await supabase
+    .from('conversion_queue')
+    .upsert([job], { onConflict: 'platform,event_id', ignoreDuplicates: true })
+  if (error) throw new Error(error.message)
+}
+
+export async function listDueConversions(now: Date, limit: number): Promise<ConversionJob[]> {
+  const { data, error } = await supabase
+    .from('conversion_queue')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit)
+  if (error) throw new Error(error.message)
+  return data || []
+}
+
+export async function updateConversion(id: string, update: ConversionUpdate): Promise<void> {
+  const { error } = await supabase.from('conversion_queue').update(update).eq('id', id)
+  if (error) throw new Error(error.message)
+}
+
+export async function deleteConversion(id: string): Promise<void> {
+  const { error } = await supabase.from('conversion_queue').delete().eq('id', id)
+  if (error) throw new Error(error.message)
+}
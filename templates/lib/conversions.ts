@@ -0,0 +1,281 @@
+// lib/conversions.ts
+// Server-side conversions: Lead (waitlist signup) and Purchase (Stripe checkout) sent straight to
+// Meta's Conversions API, LinkedIn's Conversions API and TikTok's Events API, so ad blockers can't
+// drop them. Each event carries the SHA-256 of the email and the same event id the browser pixel
+// uses, letting the platform deduplicate the two. Deliveries that fail are queued in
+// conversion_queue and retried by /api/conversions/retry with exponential backoff.
+import crypto from 'crypto'
+import * as store from './conversionStore'
+import { clientIp } from './rateLimit'
+
+export type ConversionName = 'Lead' | 'Purchase'
+
+/** Browser context captured while the visitor is on the site; stored in Stripe metadata for purchases. */
+export type ConversionContext = {
+  ad_consent?: string
+  client_ip?: string
+  client_user_agent?: string
+  page_url?: string
+  fbp?: string
+  fbc?: string
+  ttp?: string
+  li_fat_id?: string
+}
+
+export type Conversion = {
+  eventId: string
+  email?: string | null
+  /** In the currency's minor unit, as Stripe reports amount_total */
+  amount?: number | null
+  currency?: string | null
+  context?: ConversionContext | null
+  time?: Date
+}
+
+type Platform = {
+  name: string
+  configured(): boolean
+  url(): string
+  headers(): Record<string, string>
+  /** Request body for one conversion, or null when this platform doesn't take it */
+  body(name: ConversionName, c: Conversion): any
+  /** Error message from a 2xx response that still reports a failure */
+  rejected?(json: any): string | null
+}
+
+export type ConversionResult = { platform: string; status: 'sent' | 'queued' | 'failed' | 'skipped'; error?: string }
+
+const META_GRAPH_VERSION = 'v23.0'
+const TIMEOUT_MS = 5000
+const MAX_ATTEMPTS = 8
+const MAX_BACKOFF_MS = 12 * 60 * 60 * 1000
+
+// CONVERSIONS_API_BASE points every platform at a local stand-in (scripts/conversions-standin.js)
+const standin = () => (process.env.CONVERSIONS_API_BASE || '').replace(/\/$/, '')
+const endpoint = (platform: string, real: string) => (standin() ? `${standin()}/${platform}` : real)
+
+export function hashEmail(email: string): string {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex')
+}
+
+const seconds = (c: Conversion) => Math.floor((c.time || new Date()).getTime() / 1000)
+const value = (c: Conversion) => (typeof c.amount === 'number' ? c.amount / 100 : undefined)
+const currency = (c: Conversion) => (c.currency ? c.currency.toUpperCase() : undefined)
+
+const meta: Platform = {
+  name: 'meta',
+  configured: () => !!standin() || !!(process.env.META_CAPI_TOKEN && process.env.NEXT_PUBLIC_META_PIXEL_ID),
+  url: () => {
+    const pixel = process.env.NEXT_PUBLIC_META_PIXEL_ID || 'standin'
+    const token = encodeURIComponent(process.env.META_CAPI_TOKEN || '')
+    return endpoint('meta', `https://graph.facebook.com/${META_GRAPH_VERSION}/${pixel}/events`) + `?access_token=${token}`
+  },
+  headers: () => ({}),
+  body(name, c) {
+    const ctx = c.context || {}
+    return {
+      data: [{
+        event_name: name,
+        event_time: seconds(c),
+        event_id: c.eventId,
+        action_source: 'website',
+        event_source_url: ctx.page_url,
+        user_data: {
+          em: c.email ? [hashEmail(c.email)] : undefined,
+          client_ip_address: ctx.client_ip,
+          client_user_agent: ctx.client_user_agent,
+          fbp: ctx.fbp,
+          fbc: ctx.fbc,
+        },
+        custom_data: name === 'Purchase' ? { value: value(c), currency: currency(c) } : undefined,
+      }],
+      test_event_code: process.env.META_TEST_EVENT_CODE || undefined,
+    }
+  },
+}
+
+const linkedin: Platform = {
+  name: 'linkedin',
+  configured: () => !!standin() || !!process.env.LINKEDIN_CAPI_TOKEN,
+  url: () => endpoint('linkedin', 'https://api.linkedin.com/rest/conversionEvents'),
+  headers: () => ({
+    Authorization: `Bearer ${process.env.LINKEDIN_CAPI_TOKEN || ''}`,
+    // LinkedIn retires API versions after a year; bump this when it starts answering 426
+    'LinkedIn-Version': process.env.LINKEDIN_API_VERSION || '202509',
+    'X-Restli-Protocol-Version': '2.0.0',
+  }),
+  body(name, c) {
+    // one conversion rule per event, created in Campaign Manager
+    const rule = name === 'Lead' ? process.env.LINKEDIN_LEAD_CONVERSION_ID : process.env.LINKEDIN_PURCHASE_CONVERSION_ID
+    const userIds = []
+    if (c.email) userIds.push({ idType: 'SHA256_EMAIL', idValue: hashEmail(c.email) })
+    if (c.context?.li_fat_id) userIds.push({ idType: 'LINKEDIN_FIRST_PARTY_ADS_TRACKING_UUID', idValue: c.context.li_fat_id })
+    if ((!rule && !standin()) || !userIds.length) return null
+    return {
+      conversion: `urn:lla:llaPartnerConversion:${rule || 'standin'}`,
+      conversionHappenedAt: seconds(c) * 1000,
+      eventId: c.eventId,
+      user: { userIds },
+      ...(name === 'Purchase' && value(c) !== undefined && {
+        conversionValue: { currencyCode: currency(c), amount: value(c).toFixed(2) },
+      }),
+    }
+  },
+}
+
+/** TikTok's standard event names; the browser pixel must use the same ones for deduplication. */
+export const TIKTOK_EVENTS: Record<ConversionName, string> = { Lead: 'SubmitForm', Purchase: 'CompletePayment' }
+
+const tiktok: Platform = {
+  name: 'tiktok',
+  configured: () => !!standin() || !!(process.env.TIKTOK_EVENTS_TOKEN && process.env.NEXT_PUBLIC_TIKTOK_ID),
+  url: () => endpoint('tiktok', 'https://business-api.tiktok.com/open_api/v1.3/event/track/'),
+  headers: () => ({ 'Access-Token': process.env.TIKTOK_EVENTS_TOKEN || '' }),
+  body(name, c) {
+    const ctx = c.context || {}
+    return {
+      event_source: 'web',
+      event_source_id: process.env.NEXT_PUBLIC_TIKTOK_ID || 'standin',
+      test_event_code: process.env.TIKTOK_TEST_EVENT_CODE || undefined,
+      data: [{
+        event: TIKTOK_EVENTS[name],
+        event_time: seconds(c),
+        event_id: c.eventId,
+        user: {
+          email: c.email ? hashEmail(c.email) : undefined,
+          ip: ctx.client_ip,
+          user_agent: ctx.client_user_agent,
+          ttp: ctx.ttp,
+        },
+        page: ctx.page_url ? { url: ctx.page_url } : undefined,
+        properties: name === 'Purchase' ? { value: value(c), currency: currency(c) } : undefined,
+      }],
+    }
+  },
+  // TikTok answers 200 with a non-zero code when it rejects the event
+  rejected: json => (json && json.code !== 0 ? `code ${json.code}: ${json.message}` : null),
+}
+
+const PLATFORMS = [meta, linkedin, tiktok]
+
+class DeliveryError extends Error {
+  constructor(message: string, readonly retryable: boolean) {
+    super(message)
+  }
+}
+
+async function deliver(platform: Platform, body: any): Promise<void> {
+  let res: Response
+  try {
+    res = await fetch(platform.url(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...platform.headers() },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    })
+  } catch (e) {
+    throw new DeliveryError(e.message, true)
+  }
+  const text = await res.text()
+  if (!res.ok) {
+    // rate limits and server errors are worth retrying; other 4xx mean the payload or token is wrong
+    throw new DeliveryError(`HTTP ${res.status}: ${text.slice(0, 300)}`, res.status === 429 || res.status >= 500)
+  }
+  let json = null
+  try {
+    json = text ? JSON.parse(text) : null
+  } catch {}
+  const rejected = platform.rejected?.(json)
+  if (rejected) throw new DeliveryError(rejected, false)
+}
+
+/** 1, 2, 4, ... minutes after each failed attempt, capped at 12 hours. */
+export function backoff(attempts: number): number {
+  return Math.min(2 ** Math.max(0, attempts - 1) * 60 * 1000, MAX_BACKOFF_MS)
+}
+
+/** The parts of a request that matter for attribution: consent, IP, user agent and ad click cookies. */
+export function conversionContext(req): ConversionContext {
+  const cookies = req.cookies || {}
+  const ip = clientIp(req)
+  const ctx: ConversionContext = {
+    ad_consent: cookies.ad_consent,
+    client_ip: ip === 'unknown' ? undefined : ip,
+    // Stripe metadata values are capped at 500 characters
+    client_user_agent: String(req.headers['user-agent'] || '').slice(0, 500),
+    page_url: String(req.headers.referer || '').slice(0, 500),
+    fbp: cookies._fbp,
+    fbc: cookies._fbc,
+    ttp: cookies._ttp,
+    li_fat_id: cookies.li_fat_id,
+  }
+  for (const k of Object.keys(ctx)) if (!ctx[k]) delete ctx[k]
+  return ctx
+}
+
+/**
+ * Send one conversion to every configured platform. Never throws: failures that may succeed
+ * later are queued for /api/conversions/retry, the rest are logged. Visitors who haven't granted
+ * advertising consent (lib/consent.ts sets the ad_consent cookie) are skipped.
+ */
+export async function sendConversion(name: ConversionName, c: Conversion): Promise<ConversionResult[]> {
+  const platforms = PLATFORMS.filter(p => p.configured())
+  if (!platforms.length) return []
+  if (c.context?.ad_consent !== 'granted') return platforms.map(p => ({ platform: p.name, status: 'skipped', error: 'no advertising consent' }))
+
+  return Promise.all(platforms.map(async (p): Promise<ConversionResult> => {
+    const body = p.body(name, c)
+    if (!body) return { platform: p.name, status: 'skipped' }
+    try {
+      await deliver(p, body)
+      return { platform: p.name, status: 'sent' }
+    } catch (e) {
+      console.error(`conversion ${name} ${c.eventId} → ${p.name} failed:`, e.message)
+      const retryable = e instanceof DeliveryError ? e.retryable : true
+      try {
+        await store.enqueueConversion({
+          platform: p.name,
+          event_name: name,
+          event_id: c.eventId,
+          payload: body,
+          attempts: 1,
+          status: retryable ? 'pending' : 'failed',
+          next_attempt_at: new Date(Date.now() + backoff(1)).toISOString(),
+          last_error: e.message,
+        })
+      } catch (err) {
+        console.error('conversion not queued', err)
+      }
+      return { platform: p.name, status: retryable ? 'queued' : 'failed', error: e.message }
+    }
+  }))
+}
+
+export type RetryResult = { sent: number; retrying: number; failed: { platform: string; event_id: string; error: string }[] }
+
+/** Redeliver queued conversions that are due; gives up after MAX_ATTEMPTS. */
+export async function retryConversions({ limit = 100 } = {}): Promise<RetryResult> {
+  const result: RetryResult = { sent: 0, retrying: 0, failed: [] }
+  const jobs = await store.listDueConversions(new Date(), limit)
+  for (const job of jobs) {
+    const platform = PLATFORMS.find(p => p.name === job.platform)
+    try {
+      if (!platform) throw new DeliveryError(`unknown platform ${job.platform}`, false)
+      await deliver(platform, job.payload)
+      await store.deleteConversion(job.id)
+      result.sent++
+    } catch (e) {
+      const attempts = job.attempts + 1
+      const giveUp = (e instanceof DeliveryError && !e.retryable) || attempts >= MAX_ATTEMPTS
+      await store.updateConversion(job.id, {
+        attempts,
+        status: giveUp ? 'failed' : 'pending',
+        next_attempt_at: new Date(Date.now() + backoff(attempts)).toISOString(),
+        last_error: e.message,
+      })
+      if (giveUp) result.failed.push({ platform: job.platform, event_id: job.event_id, error: e.message })
+      else result.retrying++
+    }
+  }
+  return result
+}
@@ -0,0 +1,117 @@
+// lib/drip.ts
+// Drip engine: walks signups by age, renders the next due step of drip/sequence.json and
+// sends it through lib/mail. Each (email, step) is claimed in drip_sends before sending,
+// so overlapping runs never send twice; suppressed and (with double opt-in) unconfirmed
+// addresses are skipped.
+import crypto from 'crypto'
+import sequence from '../drip/sequence.json'
+import { getTransport, Transport } from './mail'
+import { doubleOptIn } from './signup'
+import * as store from './dripStore'
+
+export type DripStep = { id: string; day: number; subject: string; body: string }
+export type DripResult = { sent: number; skipped: number; failed: { email: string; step: string; error: string }[]; dryRun: boolean }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const steps = (sequence as DripStep[]).slice().sort((a, b) => a.day - b.day)
+
+/** `{{key}}` substitution, the same syntax the scaffold uses for templates. */
+export function renderTemplate(tpl: string, vars: Record<string, string>): string {
+  return tpl.replace(/\{\{(\w+)\}\}/g, (_, k) => vars[k] ?? '')
+}
+
+function signingSecret(): string {
+  const secret = process.env.DRIP_SIGNING_SECRET
+  if (secret) return secret
+  if (process.env.NODE_ENV === 'production') throw new Error('DRIP_SIGNING_SECRET must be set to sign unsubscribe links')
+  return 'dev-drip-secret'
+}
+
+export function unsubscribeToken(email: string): string {
+  return crypto.createHmac('sha256', signingSecret()).update(email.toLowerCase()).digest('hex').slice(0, 32)
+}
+
+export function verifyUnsubscribeToken(email: string, token: string): boolean {
+  const expected = Buffer.from(unsubscribeToken(email))
+  const given = Buffer.from(String(token || ''))
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+function siteUrl(): string {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/$/, '')
+}
+
+export function unsubscribeUrl(email: string): string {
+  return `${siteUrl()}/api/drip/unsubscribe?email=${encodeURIComponent(email)}&token=${unsubscribeToken(email)}`
+}
+
+function firstName(signup: store.DripSignup): string {
+  const m = signup.metadata || {}
+  const name = m.first_name || (m.name ? String(m.name).split(' ')[0] : '')
+  return name || 'there'
+}
+
+/** The earliest step that is due for a signup of this age and hasn't been sent yet. */
+export function nextStep(createdAt: Date, sent: Set<string>, now: Date): DripStep | null {
+  const age = now.getTime() - createdAt.getTime()
+  return steps.find(s => age >= s.day * DAY_MS && !sent.has(s.id)) || null
+}
+
+function compose(step: DripStep, signup: store.DripSignup) {
+  const unsubscribe = unsubscribeUrl(signup.email)
+  const vars = {
+    app_name: process.env.NEXT_PUBLIC_SITE_NAME || 'our app',
+    first_name: firstName(signup),
+    email: signup.email,
+    site_url: siteUrl(),
+    cta_link: `${siteUrl()}/`,
+    unsubscribe_url: unsubscribe,
+  }
+  let text = renderTemplate(step.body || '', vars)
+  if (!(step.body || '').includes('{{unsubscribe_url}}')) text += `\n\n—\nDon’t want these emails? Unsubscribe: ${unsubscribe}`
+  return {
+    to: signup.email,
+    subject: renderTemplate(step.subject, vars),
+    text,
+    headers: { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+  }
+}
+
+/**
+ * Send at most one due step per signup. Signups older than the last step (plus a week of
+ * grace) are not considered, so a long-lived waitlist isn't re-walked on every run.
+ */
+export async function runDrip({ now = new Date(), dryRun = false, transport = getTransport() }: { now?: Date; dryRun?: boolean; transport?: Transport } = {}): Promise<DripResult> {
+  const result: DripResult = { sent: 0, skipped: 0, failed: [], dryRun }
+  if (!steps.length) return result
+  const horizon = new Date(now.getTime() - (steps[steps.length - 1].day + 7) * DAY_MS)
+  const signups = await store.listSignups(horizon)
+  const suppressed = await store.listSuppressed()
+  const sent = await store.listSentSteps(signups.map(s => s.email))
+
+  const confirmedOnly = doubleOptIn()
+
+  for (const signup of signups) {
+    if (suppressed.has(signup.email)) { result.skipped++; continue }
+    // with double opt-in, unconfirmed addresses get nothing and the sequence starts at confirmation
+    if (confirmedOnly && !signup.confirmed_at) continue
+    const start = new Date(confirmedOnly ? signup.confirmed_at : signup.created_at)
+    const step = nextStep(start, sent.get(signup.email) || new Set(), now)
+    if (!step) continue
+    if (dryRun) { result.sent++; continue }
+    if (!(await store.claimSend(signup.email, step.id))) { result.skipped++; continue }
+    try {
+      await transport.send(compose(step, signup))
+      result.sent++
+    } catch (e) {
+      // give the step back so the next run retries it
+      await store.releaseSend(signup.email, step.id)
+      result.failed.push({ email: signup.email, step: step.id, error: e.message })
+    }
+  }
+  return result
+}
+
+export async function unsubscribe(email: string, reason = 'unsubscribe'): Promise<void> {
+  await store.suppress(email.toLowerCase(), reason)
+}
@@ -0,0 +1,56 @@
+// lib/dripStore.ts
+// Drip bookkeeping on Postgres: signups by age, drip_sends claims and the suppression list.
+// Tables come from db/migrations/0002_drip.sql.
+import { pool } from './repository'
+
+export type DripSignup = { email: string; created_at: string; confirmed_at: string | null; metadata: any }
+
+/** Signups since `since`, one row per address (its first signup). */
+export async function listSignups(since: Date): Promise<DripSignup[]> {
+  const { rows } = await pool.query(
+    `select distinct on (lower(email)) lower(email) as email, created_at, confirmed_at, metadata
+       from signups where created_at >= $1 order by lower(email), created_at`,
+    [since.toISOString()]
+  )
+  return rows.map(r => ({
+    ...r,
+    created_at: new Date(r.created_at).toISOString(),
+    confirmed_at: r.confirmed_at ? new Date(r.confirmed_at).toISOString() : null,
+  }))
+}
+
+export async function listSentSteps(emails: string[]): Promise<Map<string, Set<string>>> {
+  const out = new Map<string, Set<string>>()
+  if (!emails.length) return out
+  const { rows } = await pool.query('select email, step from drip_sends where email = any($1)', [emails])
+  for (const r of rows) {
+    if (!out.has(r.email)) out.set(r.email, new Set())
+    out.get(r.email)!.add(r.step)
+  }
+  return out
+}
+
+/** Record a send before it happens; false when another run already claimed it. */
+export async function claimSend(email: string, step: string): Promise<boolean> {
+  const { rowCount } = await pool.query(
+    'insert into drip_sends (email, step) values ($1, $2) on conflict (email, step) do nothing',
+    [email, step]
+  )
+  return (rowCount ?? 0) > 0
+}
+
+export async function releaseSend(email: string, step: string): Promise<void> {
+  await pool.query('delete from drip_sends where email = $1 and step = $2', [email, step])
+}
+
+export async function listSuppressed(): Promise<Set<string>> {
+  const { rows } = await pool.query('select email from email_suppressions')
+  return new Set(rows.map(r => r.email))
+}
+
+export async function suppress(email: string, reason: string): Promise<void> {
+  await pool.query(
+    'insert into email_suppressions (email, reason) values ($1, $2) on conflict (email) do nothing',
+    [email, reason]
+  )
+}
@@ -0,0 +1,60 @@
+// lib/dripStore.ts
+// Drip bookkeeping on SQLite: signups by age, drip_sends claims and the suppression list.
+// The drip tables are created here on first use, next to the core schema in lib/repository.ts.
+import { db } from './repository'
+
+export type DripSignup = { email: string; created_at: string; confirmed_at: string | null; metadata: any }
+
+db.exec(`
+create table if not exists drip_sends (
+  email text not null,
+  step text not null,
+  sent_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (email, step)
+);
+create table if not exists email_suppressions (
+  email text primary key,
+  reason text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+`)
+
+/** Signups since `since`, one row per address (its first signup). */
+export async function listSignups(since: Date): Promise<DripSignup[]> {
+  const rows = db.prepare(
+    `select lower(email) as email, min(created_at) as created_at, max(confirmed_at) as confirmed_at, metadata
+       from signups where created_at >= ? group by lower(email)`
+  ).all(since.toISOString()) as any[]
+  return rows.map(r => ({ ...r, metadata: r.metadata ? JSON.parse(r.metadata) : null }))
+}
+
+export async function listSentSteps(emails: string[]): Promise<Map<string, Set<string>>> {
+  const out = new Map<string, Set<string>>()
+  if (!emails.length) return out
+  const rows = db.prepare(
+    `select email, step from drip_sends where email in (${emails.map(() => '?').join(',')})`
+  ).all(...emails) as { email: string; step: string }[]
+  for (const r of rows) {
+    if (!out.has(r.email)) out.set(r.email, new Set())
+    out.get(r.email)!.add(r.step)
+  }
+  return out
+}
+
+/** Record a send before it happens; false when another run already claimed it. */
+export async function claimSend(email: string, step: string): Promise<boolean> {
+  return db.prepare('insert or ignore into drip_sends (email, step) values (?, ?)').run(email, step).changes > 0
+}
+
+export async function releaseSend(email: string, step: string): Promise<void> {
+  db.prepare('delete from drip_sends where email = ? and step = ?').run(email, step)
+}
+
+export async function listSuppressed(): Promise<Set<string>> {
+  const rows = db.prepare('select email from email_suppressions').all() as { email: string }[]
+  return new Set(rows.map(r => r.email))
+}
+
+export async function suppress(email: string, reason: string): Promise<void> {
+  db.prepare('insert or ignore into email_suppressions (email, reason) values (?, ?)').run(email, reason)
+}
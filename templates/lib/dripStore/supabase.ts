@@ -0,0 +1,62 @@
+// lib/dripStore.ts
+// Drip bookkeeping on Supabase: signups by age, drip_sends claims and the suppression list.
+// Tables come from supabase/migrations/0002_drip.sql.
+import { supabase } from './supabaseClient'
+
+export type DripSignup = { email: string; created_at: string; confirmed_at: string | null; metadata: any }
+
+/** Signups since `since`, one row per address (its first signup). */
+export async function listSignups(since: Date): Promise<DripSignup[]> {
+  const { data, error } = await supabase
+    .from('signups')
+    .select('email, created_at, confirmed_at, metadata')
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: true })
+  if (error) throw new Error(error.message)
+  const byEmail = new Map<string, DripSignup>()
+  for (const row of data || []) {
+    const email = String(row.email).toLowerCase()
+    if (!byEmail.has(email)) byEmail.set(email, { ...row, email })
+  }
+  return [...byEmail.values()]
+}
+
+export async function listSentSteps(emails: string[]): Promise<Map<string, Set<string>>> {
+  const out = new Map<string, Set<string>>()
+  if (!emails.length) return out
+  const { data, error } = await supabase.from('drip_sends').select('email, step').in('email', emails)
+  if (error) throw new Error(error.message)
+  for (const r of data || []) {
+    if (!out.has(r.email)) out.set(r.email, new Set())
+    out.get(r.email)!.add(r.step)
+  }
+  return out
+}
+
+/** Record a send before it happens; false when another run already claimed it. */
+export async function claimSend(email: string, step: string): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('drip_sends')
+    .upsert([{ email, step }], { onConflict: 'email,step', ignoreDuplicates: true })
+    .select('email')
+  if (error) throw new Error(error.message)
+  return (data || []).length > 0
+}
+
+export async function releaseSend(email: string, step: string): Promise<void> {
+  const { error } = await supabase.from('drip_sends').delete().eq('email', email).eq('step', step)
+  if (error) throw new Error(error.message)
+}
+
+export async function listSuppressed(): Promise<Set<string>> {
+  const { data, error } = await supabase.from('email_suppressions').select('email')
+  if (error) throw new Error(error.message)
+  return new Set((data || []).map(r => r.email))
+}
+
+export async function suppress(email: string, reason: string): Promise<void> {
+  const { error } = await supabase
+    .from('email_suppressions')
+    .upsert([{ email, reason }], { onConflict: 'email', ignoreDuplicates: true })
+  if (error) throw new Error(error.message)
+}
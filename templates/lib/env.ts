@@ -0,0 +1,39 @@
+// lib/env.ts
+// Validates process.env against env.schema.json, the same schema the .env.* files were
+// generated from. instrumentation.ts runs validateEnv() once when the server starts.
+import schema from '../env.schema.json';
+
+export type EnvVar = {
+  key: string;
+  group: string;
+  required?: boolean;
+  description?: string;
+  environments?: string[];
+};
+
+const vars = schema.vars as EnvVar[];
+
+/** Required variables that are unset or empty in `source`. */
+export function missingEnv(source: Record<string, string | undefined> = process.env): EnvVar[] {
+  return vars.filter(v => v.required && !(source[v.key] || '').trim());
+}
+
+/** Throw one error listing every missing variable, so a misconfigured deploy fails at boot. */
+export function validateEnv(source: Record<string, string | undefined> = process.env): void {
+  const missing = missingEnv(source);
+  if (!missing.length) return;
+  const lines = missing.map(v => `  - ${v.key}${v.description ? ` — ${v.description}` : ''}`);
+  throw new Error(
+    `Missing required environment variables:\n${lines.join('\n')}\n` +
+    'Set them in .env.local (development) or in your host\'s environment settings, then restart.\n' +
+    'Run `scaffold env check` to compare your .env.* files with env.schema.json.'
+  );
+}
+
+/** Read a required server-side variable, failing with the schema's description when unset. */
+export function requireEnv(key: string): string {
+  const value = process.env[key];
+  if (value) return value;
+  const v = vars.find(x => x.key === key);
+  throw new Error(`${key} is not set${v && v.description ? ` (${v.description})` : ''}. See env.schema.json.`);
+}
@@ -0,0 +1,46 @@
+// lib/events.ts
+// The events the browser may send to /api/events/track, and the properties each one carries.
+// Add an entry here before calling track() with a new name; anything undeclared is rejected.
+// Property types: 'string' | 'number' | 'boolean', with a trailing '?' when optional.
+export const EVENTS = {
+  page_view: { path: 'string', referrer: 'string?', title: 'string?' },
+  cta_click: { id: 'string', path: 'string?' },
+  signup_submitted: { source: 'string?' },
+  feedback: { text: 'string' },
+  consent_updated: { analytics: 'boolean', advertising: 'boolean', source: 'string?' },
+  referral_share: { channel: 'string' },
+} as const;
+
+export type EventName = keyof typeof EVENTS;
+
+type PropType = 'string' | 'number' | 'boolean';
+type Spec = Record<string, `${PropType}` | `${PropType}?`>;
+
+export const MAX_STRING = 2000;
+
+/** Problems with one event's name and properties; empty when it matches the schema. */
+export function validateEvent(name: unknown, props: unknown): string[] {
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(EVENTS, name)) {
+    return [`unknown event "${String(name)}"`];
+  }
+  const spec = EVENTS[name as EventName] as Spec;
+  const values = (props ?? {}) as Record<string, unknown>;
+  if (typeof values !== 'object' || Array.isArray(values)) return [`${name}: props must be an object`];
+  const errors: string[] = [];
+  for (const [key, rule] of Object.entries(spec)) {
+    const optional = rule.endsWith('?');
+    const type = rule.replace('?', '');
+    const value = values[key];
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`${name}.${key} is required`);
+    } else if (typeof value !== type) {
+      errors.push(`${name}.${key} must be a ${type}`);
+    } else if (type === 'string' && (value as string).length > MAX_STRING) {
+      errors.push(`${name}.${key} is longer than ${MAX_STRING} characters`);
+    }
+  }
+  for (const key of Object.keys(values)) {
+    if (!(key in spec)) errors.push(`${name}.${key} is not declared in lib/events.ts`);
+  }
+  return errors;
+}
@@ -0,0 +1,168 @@
+// lib/funnel.ts
+// Numbers behind the founder dashboard (pages/founder.tsx) and its CSV exports, computed
+// from the signups and events tables for a date range.
+import { listEvents, listSignups, EventRow, SignupRow } from './repository';
+
+export type Range = { from: string; to: string };
+export type DailyRow = { date: string; visitors: number; signups: number };
+export type FunnelStep = { step: string; label: string; count: number; rate: number | null };
+export type SourceRow = { source: string; campaign: string; visitors: number; signups: number };
+export type FeedbackRow = { text: string; created_at: string; user_id: string | null };
+export type ReferrerRow = { code: string; email: string; referrals: number };
+export type FunnelReport = {
+  range: Range;
+  daily: DailyRow[];
+  funnel: FunnelStep[];
+  sources: SourceRow[];
+  feedback: FeedbackRow[];
+  /** referral_signup events in the range: signups that came through a share link, by referrer */
+  referrals: { total: number; top: ReferrerRow[] };
+  signups: SignupRow[];
+  truncated: boolean;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+// Rows read per table; ranges that hit it are flagged as truncated
+const MAX_ROWS = 50000;
+
+const day = (d: Date) => d.toISOString().slice(0, 10);
+// pg returns timestamps as Date objects, Supabase and SQLite as ISO strings
+const iso = (v: unknown) => (v instanceof Date ? v.toISOString() : String(v));
+
+/** ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive), defaulting to the last 30 days. */
+export function parseRange(query: Record<string, any> = {}): Range {
+  const valid = (s: any) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+  const to = valid(query.to) ? query.to : day(new Date());
+  const from = valid(query.from) ? query.from : day(new Date(Date.parse(to) - (DEFAULT_DAYS - 1) * DAY_MS));
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+function bounds(range: Range) {
+  return { since: new Date(`${range.from}T00:00:00.000Z`), until: new Date(Date.parse(`${range.to}T00:00:00.000Z`) + DAY_MS) };
+}
+
+/** Who an event belongs to: the browser's anonymous id from lib/track.ts, else the signed-in user. */
+function actor(e: EventRow): string | null {
+  return e.data?.anonymous_id || e.data?.context?.user_id || e.data?.userId || null;
+}
+
+function utmOf(value: any): { source: string; campaign: string } {
+  return { source: value?.utm_source || '(direct)', campaign: value?.utm_campaign || '(none)' };
+}
+
+export async function funnelReport(range: Range): Promise<FunnelReport> {
+  const { since, until } = bounds(range);
+  const [events, rows] = await Promise.all([
+    listEvents({ types: ['page_view', 'feedback', 'checkout_started', 'checkout_completed', 'referral_signup'], since, until, limit: MAX_ROWS }),
+    listSignups({ since, until, limit: MAX_ROWS }),
+  ]);
+  const signups = rows.map(s => ({ ...s, created_at: iso(s.created_at) }));
+
+  // one row per day in the range, oldest first
+  const daily = new Map<string, { visitors: Set<string>; signups: number }>();
+  for (let t = since.getTime(); t < until.getTime(); t += DAY_MS) daily.set(day(new Date(t)), { visitors: new Set(), signups: 0 });
+
+  const visitors = new Set<string>();
+  const checkouts = new Set<string>();
+  const paid = new Set<string>();
+  const firstTouch = new Map<string, { source: string; campaign: string }>();
+  const feedback: FeedbackRow[] = [];
+  const referrers = new Map<string, ReferrerRow>();
+  let referralCount = 0;
+
+  // oldest first, so the first page view sets attribution
+  const ordered = [...events].sort((a, b) => (iso(a.created_at) < iso(b.created_at) ? -1 : 1));
+  for (const e of ordered) {
+    const who = actor(e) || e.id;
+    const date = iso(e.created_at).slice(0, 10);
+    if (e.type === 'page_view') {
+      visitors.add(who);
+      daily.get(date)?.visitors.add(who);
+      if (!firstTouch.has(who)) firstTouch.set(who, utmOf(e.data?.utm));
+    } else if (e.type === 'referral_signup') {
+      referralCount++;
+      const code = String(e.data?.referrer || '');
+      if (!referrers.has(code)) referrers.set(code, { code, email: e.data?.referrer_email || '', referrals: 0 });
+      referrers.get(code)!.referrals++;
+    } else if (e.type === 'checkout_started') checkouts.add(who);
+    else if (e.type === 'checkout_completed') paid.add(who);
+    else if (e.type === 'feedback') {
+      feedback.unshift({ text: String(e.data?.props?.text ?? e.data?.text ?? ''), created_at: iso(e.created_at), user_id: e.data?.context?.user_id || null });
+    }
+  }
+
+  const sources = new Map<string, SourceRow>();
+  const sourceRow = (utm: { source: string; campaign: string }) => {
+    const key = `${utm.source}\u0000${utm.campaign}`;
+    if (!sources.has(key)) sources.set(key, { ...utm, visitors: 0, signups: 0 });
+    return sources.get(key)!;
+  };
+  for (const utm of firstTouch.values()) sourceRow(utm).visitors++;
+  for (const s of signups) {
+    const entry = daily.get(s.created_at.slice(0, 10));
+    if (entry) entry.signups++;
+    sourceRow(utmOf(s.metadata?.utm)).signups++;
+  }
+
+  const counts: [string, string, number][] = [
+    ['visit', 'Visitors', visitors.size],
+    ['signup', 'Signups', signups.length],
+{{#stripe}}
+    ['checkout', 'Started checkout', checkouts.size],
+    ['paid', 'Paid', paid.size],
+{{/stripe}}
+  ];
+  const funnel = counts.map(([step, label, count], i) => ({
+    step,
+    label,
+    count,
+    // conversion from the previous step
+    rate: i === 0 ? null : counts[i - 1][2] ? count / counts[i - 1][2] : 0,
+  }));
+
+  return {
+    range,
+    daily: [...daily].map(([date, d]) => ({ date, visitors: d.visitors.size, signups: d.signups })),
+    funnel,
+    sources: [...sources.values()].sort((a, b) => b.signups - a.signups || b.visitors - a.visitors),
+    feedback: feedback.slice(0, 20),
+    referrals: { total: referralCount, top: [...referrers.values()].sort((a, b) => b.referrals - a.referrals).slice(0, 20) },
+    signups,
+    truncated: events.length >= MAX_ROWS || signups.length >= MAX_ROWS,
+  };
+}
+
+// Signup emails and UTM values come from visitors; a leading = + - @ (or tab/CR) would
+// run as a formula when the export is opened in a spreadsheet, so such strings get a ' in front
+function csvField(value: unknown): string {
+  let s = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows: Record<string, unknown>[], columns: string[]): string {
+  return [columns, ...rows.map(r => columns.map(c => r[c]))].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export const EXPORTS = ['signups', 'daily', 'sources', 'funnel', 'referrers'] as const;
+export type ExportKind = typeof EXPORTS[number];
+
+/** CSV body for one export of the report. */
+export function exportCsv(report: FunnelReport, kind: ExportKind): string {
+  if (kind === 'daily') return toCsv(report.daily, ['date', 'visitors', 'signups']);
+  if (kind === 'sources') return toCsv(report.sources, ['source', 'campaign', 'visitors', 'signups']);
+  if (kind === 'funnel') return toCsv(report.funnel, ['step', 'label', 'count', 'rate']);
+  if (kind === 'referrers') return toCsv(report.referrals.top, ['code', 'email', 'referrals']);
+  return toCsv(
+    report.signups.map(s => {
+      const utm = utmOf(s.metadata?.utm);
+      const confirmed_at = s.confirmed_at ? iso(s.confirmed_at) : '';
+      return {
+        created_at: s.created_at, confirmed_at, email: s.email, source: s.source, utm_source: utm.source, utm_campaign: utm.campaign,
+        referral_code: s.referral_code, referred_by: s.referred_by,
+      };
+    }),
+    ['created_at', 'confirmed_at', 'email', 'source', 'utm_source', 'utm_campaign', 'referral_code', 'referred_by']
+  );
+}
@@ -0,0 +1,104 @@
+// lib/org.ts
+// Multi-tenant mode: signed-in users work inside an organization. The active one comes from the
+// x-org-id header or the org_id cookie set by the org switcher, and only counts when the user is a
+// member; otherwise their oldest membership is used. A personal organization is created the first
+// time a user without one signs in, so billing and data always have an org to hang off.
+import crypto from 'crypto';
+import { getServerUser, type ServerUser } from './authServer';
+import { createOrganization, listOrganizationsForUser, type OrgRole, type OrgWithRole } from './repository';
+import { getTransport } from './mail';
+
+export const ROLE_RANK: Record<OrgRole, number> = { member: 0, admin: 1, owner: 2 };
+export const ORG_COOKIE = 'org_id';
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export type OrgContext = { user: ServerUser; org: OrgWithRole; role: OrgRole; orgs: OrgWithRole[] };
+
+export function hasRole(role: OrgRole, min: OrgRole): boolean {
+  return ROLE_RANK[role] >= ROLE_RANK[min];
+}
+
+function personalOrgName(user: ServerUser): string {
+  const local = user.email?.split('@')[0];
+  return local ? `${local}'s workspace` : 'My workspace';
+}
+
+/** Remember the active organization; appends to any Set-Cookie the auth adapter already wrote. */
+export function setActiveOrg(res, orgId: string) {
+  const cookie = `${ORG_COOKIE}=${encodeURIComponent(orgId)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000`;
+  const existing = res.getHeader?.('Set-Cookie');
+  const cookies = existing ? (Array.isArray(existing) ? existing : [String(existing)]) : [];
+  res.setHeader('Set-Cookie', [...cookies.filter(c => !c.startsWith(`${ORG_COOKIE}=`)), cookie]);
+}
+
+/** The signed-in user and their active organization, or null when nobody is signed in. */
+export async function resolveOrg(req, res): Promise<OrgContext | null> {
+  const user = await getServerUser(req, res);
+  if (!user) return null;
+  let orgs = await listOrganizationsForUser(user.id);
+  if (!orgs.length) {
+    const org = await createOrganization({ name: personalOrgName(user), userId: user.id, email: user.email });
+    orgs = [{ ...org, role: 'owner' }];
+  }
+  const wanted = String(req.headers['x-org-id'] || req.cookies?.[ORG_COOKIE] || '');
+  const org = orgs.find(o => o.id === wanted) || orgs[0];
+  if (org.id !== req.cookies?.[ORG_COOKIE]) setActiveOrg(res, org.id);
+  return { user, org, role: org.role, orgs };
+}
+
+/**
+ * API middleware: resolves the active organization and checks the caller's role before the
+ * handler runs. Every query the handler makes should be scoped by `ctx.org.id`.
+ *   export default withOrg(async (req, res, { org, user }) => { ... }, { role: 'admin' })
+ */
+export function withOrg(
+  handler: (req, res, ctx: OrgContext) => unknown,
+  { role = 'member' }: { role?: OrgRole } = {}
+) {
+  return async (req, res) => {
+    let ctx: OrgContext | null;
+    try {
+      ctx = await resolveOrg(req, res);
+    } catch (err) {
+      console.error('resolving organization failed', err);
+      return res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    }
+    if (!ctx) return res.status(401).json({ error: 'sign in first' });
+    if (!hasRole(ctx.role, role)) return res.status(403).json({ error: `This needs the ${role} role in ${ctx.org.name}.` });
+    return handler(req, res, ctx);
+  };
+}
+
+// ----- invitations -----
+
+export function hashInviteToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** A fresh invitation token (emailed) and its hash (stored), valid for a week. */
+export function newInvite(now = Date.now()): { token: string; tokenHash: string; expiresAt: string } {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token), expiresAt: new Date(now + INVITE_TTL_MS).toISOString() };
+}
+
+export function inviteUrl(token: string): string {
+  const site = (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${site}/invite?token=${token}`;
+}
+
+export async function sendInvitation({ email, orgName, invitedBy, token }: { email: string; orgName: string; invitedBy?: string | null; token: string }) {
+  const app = process.env.NEXT_PUBLIC_SITE_NAME || 'our app';
+  await getTransport().send({
+    to: email,
+    subject: `Join ${orgName} on ${app}`,
+    text: [
+      `${invitedBy || 'A teammate'} invited you to join ${orgName} on ${app}.`,
+      '',
+      'Accept the invitation:',
+      inviteUrl(token),
+      '',
+      'The link works for 7 days.',
+    ].join('\n'),
+  });
+}
@@ -0,0 +1,60 @@
+// lib/rateLimit.ts
+// Fixed-window rate limiting per client, kept in memory. Each server instance counts on its own,
+// which is enough to blunt floods from one address; put a shared store behind it if you scale out.
+type Window = { start: number; count: number; windowMs: number };
+
+const windows = new Map<string, Window>();
+
+export type RateLimitResult = { ok: boolean; remaining: number; retryAfter: number };
+
+/** Count one hit for `key`; at most `limit` hits per `windowMs`. */
+export function rateLimit(key: string, { limit, windowMs }: { limit: number; windowMs: number }): RateLimitResult {
+  const now = Date.now();
+  let w = windows.get(key);
+  if (!w || now - w.start >= windowMs) {
+    w = { start: now, count: 0, windowMs };
+    windows.set(key, w);
+    // drop stale windows now and then so the map doesn't grow without bound; each key expires
+    // on its own window, since callers share the map with different limits
+    if (windows.size > 10000) {
+      for (const [k, v] of windows) if (now - v.start >= v.windowMs) windows.delete(k);
+    }
+  }
+  w.count++;
+  return {
+    ok: w.count <= limit,
+    remaining: Math.max(0, limit - w.count),
+    retryAfter: Math.ceil((w.start + windowMs - now) / 1000),
+  };
+}
+
+/** Forget `key`'s window, e.g. when the action it limited didn't happen after all. */
+export function clearRateLimit(key: string): void {
+  windows.delete(key);
+}
+
+/**
+ * Client address for per-IP limits. Headers are only trusted where something in front of the app
+ * overwrites them; anywhere else a client could send a fresh value with every request.
+ */
+export function clientIp(req): string {
+{{#deploy_netlify}}
+  // Netlify's edge sets this to the connecting address, replacing anything the client sent
+  const platform = req.headers['x-nf-client-connection-ip'];
+  if (platform) return String(platform).trim();
+{{/deploy_netlify}}
+{{#deploy_vercel}}
+  // Vercel's edge sets this to the connecting address, replacing anything the client sent
+  const platform = req.headers['x-real-ip'];
+  if (platform) return String(platform).trim();
+{{/deploy_vercel}}
+{{#deploy_docker}}
+  // Set TRUST_PROXY=true behind a reverse proxy: the right-most X-Forwarded-For hop is the one it
+  // appended (earlier hops come from the client and can be anything)
+  if (process.env.TRUST_PROXY === 'true') {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(h => h.trim()).filter(Boolean);
+    if (forwarded.length) return forwarded[forwarded.length - 1];
+  }
+{{/deploy_docker}}
+  return req.socket?.remoteAddress || 'unknown';
+}
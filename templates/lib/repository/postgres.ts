@@ -0,0 +1,365 @@
+// lib/repository.ts
+// Data-access layer (plain Postgres via `pg`). API routes call these instead of the DB client directly.
+import { Pool } from 'pg'
+
+export type Signup = {
+  email: string
+  source?: string
+  metadata?: Record<string, any>
+  confirmed?: boolean
+  referralCode: string
+  referredBy?: string | null
+}
+export type SignupResult = { created: boolean; confirmed: boolean; referral_code: string }
+export type WaitlistEntry = { email: string; referral_code: string; referred_by: string | null; created_at: string; confirmed_at: string | null }
+export type QueueRow = Omit<WaitlistEntry, 'email'>
+export type ConfirmResult = 'confirmed' | 'already' | 'missing'
+export type EventRow = { id: string; type: string; data: any; created_at: string }
+export type SignupRow = { id: string; email: string; source: string | null; metadata: any; created_at: string; confirmed_at: string | null; referral_code: string | null; referred_by: string | null }
+export type ListEventsOptions = { type?: string; types?: string[]; since?: Date; until?: Date; limit?: number }
+
+// Reuse one pool across hot reloads in dev
+const globalForPg = globalThis as unknown as { __pgPool?: Pool }
+export const pool =
+  globalForPg.__pgPool || new Pool({ connectionString: process.env.DATABASE_URL })
+if (process.env.NODE_ENV !== 'production') globalForPg.__pgPool = pool
+
+/** One row per address (emails arrive normalized); a repeat signup leaves the first row alone. */
+export async function insertSignup({ email, source, metadata, confirmed, referralCode, referredBy }: Signup): Promise<SignupResult> {
+  const { rows } = await pool.query(
+    `insert into signups (email, source, metadata, confirmed_at, referral_code, referred_by) values ($1, $2, $3, $4, $5, $6)
+     on conflict (email) do nothing returning id`,
+    [email, source || null, metadata ? JSON.stringify(metadata) : null, confirmed ? new Date().toISOString() : null, referralCode, referredBy || null]
+  )
+  if (rows.length) return { created: true, confirmed: !!confirmed, referral_code: referralCode }
+  const existing = await pool.query('select confirmed_at, referral_code from signups where email = $1', [email])
+  return { created: false, confirmed: !!existing.rows[0]?.confirmed_at, referral_code: existing.rows[0]?.referral_code }
+}
+
+export async function confirmSignup(email: string): Promise<ConfirmResult> {
+  const { rowCount } = await pool.query(
+    'update signups set confirmed_at = now() where email = $1 and confirmed_at is null',
+    [email]
+  )
+  if (rowCount) return 'confirmed'
+  const existing = await pool.query('select 1 from signups where email = $1', [email])
+  return existing.rows.length ? 'already' : 'missing'
+}
+
+const isoOrNull = (v: any) => (v ? new Date(v).toISOString() : null)
+
+export async function findSignup({ email, code }: { email?: string; code?: string }): Promise<WaitlistEntry | null> {
+  const { rows } = await pool.query(
+    `select email, referral_code, referred_by, created_at, confirmed_at from signups where ${email ? 'email' : 'referral_code'} = $1`,
+    [email || code]
+  )
+  if (!rows[0]) return null
+  return { ...rows[0], created_at: isoOrNull(rows[0].created_at), confirmed_at: isoOrNull(rows[0].confirmed_at) }
+}
+
+/** Every signup's place-in-line inputs, oldest first. */
+export async function listWaitlist(): Promise<QueueRow[]> {
+  const { rows } = await pool.query(
+    'select referral_code, referred_by, created_at, confirmed_at from signups order by created_at, id'
+  )
+  return rows.map(r => ({ ...r, created_at: isoOrNull(r.created_at), confirmed_at: isoOrNull(r.confirmed_at) }))
+}
+
+export async function trackEvent(type: string, data?: any): Promise<void> {
+  await pool.query('insert into events (type, data) values ($1, $2)', [type, data == null ? null : JSON.stringify(data)])
+}
+
+function rangeFilter({ since, until }: { since?: Date; until?: Date }, params: any[], where: string[]) {
+  if (since) { params.push(since.toISOString()); where.push(`created_at >= $${params.length}`) }
+  if (until) { params.push(until.toISOString()); where.push(`created_at < $${params.length}`) }
+}
+
+export async function listEvents({ type, types, since, until, limit = 100 }: ListEventsOptions = {}): Promise<EventRow[]> {
+  const where: string[] = []
+  const params: any[] = []
+  if (type) { params.push(type); where.push(`type = $${params.length}`) }
+  if (types) { params.push(types); where.push(`type = any($${params.length})`) }
+  rangeFilter({ since, until }, params, where)
+  params.push(limit)
+  const { rows } = await pool.query(
+    `select id, type, data, created_at from events ${where.length ? 'where ' + where.join(' and ') : ''} order by created_at desc limit $${params.length}`,
+    params
+  )
+  return rows
+}
+
+export async function listSignups({ since, until, limit = 1000 }: { since?: Date; until?: Date; limit?: number } = {}): Promise<SignupRow[]> {
+  const where: string[] = []
+  const params: any[] = []
+  rangeFilter({ since, until }, params, where)
+  params.push(limit)
+  const { rows } = await pool.query(
+    `select id, email, source, metadata, created_at, confirmed_at, referral_code, referred_by from signups ${where.length ? 'where ' + where.join(' and ') : ''} order by created_at desc limit $${params.length}`,
+    params
+  )
+  return rows
+}
+{{#stripe}}
+
+// ----- Billing -----
+
+export type Subscription = {
+  id: string
+{{#tenancy_multi}}
+  org_id: string | null
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  user_id: string | null
+{{/tenancy_multi}}
+  customer_id: string
+  status: string
+  price_id: string | null
+  plan: string | null
+  current_period_end: string | null
+  cancel_at_period_end: boolean
+}
+
+// Stripe may deliver one event twice at once. Each delivery claims the event id before running
+// handlers, and only the one that wins runs them. A claim that never completed (the process died
+// mid-handler) can be taken over after STALE_CLAIM_MINUTES.
+const STALE_CLAIM_MINUTES = 5
+
+/** Claim an event for this delivery; false when another delivery has handled or is handling it. */
+export async function claimStripeEvent(id: string, type: string): Promise<boolean> {
+  const { rowCount } = await pool.query(
+    `insert into stripe_events (id, type) values ($1, $2)
+     on conflict (id) do update set claimed_at = now()
+     where stripe_events.processed_at is null and stripe_events.claimed_at < now() - make_interval(mins => $3)`,
+    [id, type, STALE_CLAIM_MINUTES]
+  )
+  return rowCount === 1
+}
+
+export async function completeStripeEvent(id: string): Promise<void> {
+  await pool.query('update stripe_events set processed_at = now() where id = $1', [id])
+}
+
+/** Drop an unfinished claim so Stripe's retry can claim the event again. */
+export async function releaseStripeEvent(id: string): Promise<void> {
+  await pool.query('delete from stripe_events where id = $1 and processed_at is null', [id])
+}
+
+{{#tenancy_multi}}
+// Billing belongs to the organization: one Stripe customer per org
+export async function upsertCustomer({ orgId, customerId, email }: { orgId: string; customerId: string; email?: string | null }): Promise<void> {
+  await pool.query(
+    `insert into customers (org_id, stripe_customer_id, email) values ($1, $2, $3)
+     on conflict (org_id) do update set stripe_customer_id = excluded.stripe_customer_id, email = coalesce(excluded.email, customers.email)`,
+    [orgId, customerId, email || null]
+  )
+}
+
+export async function findCustomerId(orgId: string): Promise<string | null> {
+  const { rows } = await pool.query('select stripe_customer_id from customers where org_id = $1', [orgId])
+  return rows[0]?.stripe_customer_id ?? null
+}
+
+export async function findOrgIdByCustomer(customerId: string): Promise<string | null> {
+  const { rows } = await pool.query('select org_id from customers where stripe_customer_id = $1', [customerId])
+  return rows[0]?.org_id ?? null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function upsertCustomer({ userId, customerId, email }: { userId: string; customerId: string; email?: string | null }): Promise<void> {
+  await pool.query(
+    `insert into customers (user_id, stripe_customer_id, email) values ($1, $2, $3)
+     on conflict (user_id) do update set stripe_customer_id = excluded.stripe_customer_id, email = coalesce(excluded.email, customers.email)`,
+    [userId, customerId, email || null]
+  )
+}
+
+export async function findCustomerId(userId: string): Promise<string | null> {
+  const { rows } = await pool.query('select stripe_customer_id from customers where user_id = $1', [userId])
+  return rows[0]?.stripe_customer_id ?? null
+}
+
+export async function findUserIdByCustomer(customerId: string): Promise<string | null> {
+  const { rows } = await pool.query('select user_id from customers where stripe_customer_id = $1', [customerId])
+  return rows[0]?.user_id ?? null
+}
+{{/tenancy_multi}}
+
+export async function upsertSubscription(sub: Subscription): Promise<void> {
+  await pool.query(
+    `insert into subscriptions (id, {{#tenancy_multi}}org_id{{/tenancy_multi}}{{^tenancy_multi}}user_id{{/tenancy_multi}}, customer_id, status, price_id, plan, current_period_end, cancel_at_period_end, updated_at)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, now())
+     on conflict (id) do update set
+{{#tenancy_multi}}
+       org_id = coalesce(excluded.org_id, subscriptions.org_id),
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+       user_id = coalesce(excluded.user_id, subscriptions.user_id),
+{{/tenancy_multi}}
+       customer_id = excluded.customer_id,
+       status = excluded.status,
+       price_id = coalesce(excluded.price_id, subscriptions.price_id),
+       plan = coalesce(excluded.plan, subscriptions.plan),
+       current_period_end = coalesce(excluded.current_period_end, subscriptions.current_period_end),
+       cancel_at_period_end = excluded.cancel_at_period_end,
+       updated_at = now()`,
+    [sub.id, {{#tenancy_multi}}sub.org_id{{/tenancy_multi}}{{^tenancy_multi}}sub.user_id{{/tenancy_multi}}, sub.customer_id, sub.status, sub.price_id, sub.plan, sub.current_period_end, sub.cancel_at_period_end]
+  )
+}
+
+export async function setSubscriptionStatus(id: string, status: string): Promise<void> {
+  await pool.query('update subscriptions set status = $2, updated_at = now() where id = $1', [id, status])
+}
+
+{{#tenancy_multi}}
+export async function getSubscriptionForOrg(orgId: string): Promise<Subscription | null> {
+  const { rows } = await pool.query(
+    'select * from subscriptions where org_id = $1 order by updated_at desc limit 1',
+    [orgId]
+  )
+  return rows[0] ?? null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function getSubscriptionForUser(userId: string): Promise<Subscription | null> {
+  const { rows } = await pool.query(
+    'select * from subscriptions where user_id = $1 order by updated_at desc limit 1',
+    [userId]
+  )
+  return rows[0] ?? null
+}
+{{/tenancy_multi}}
+{{/stripe}}
+{{#tenancy_multi}}
+
+// ----- Organizations -----
+
+export type OrgRole = 'owner' | 'admin' | 'member'
+export type Organization = { id: string; name: string; created_at: string }
+export type OrgWithRole = Organization & { role: OrgRole }
+export type Membership = { org_id: string; user_id: string; email: string | null; role: OrgRole; created_at: string }
+export type Invitation = {
+  id: string
+  org_id: string
+  email: string
+  role: OrgRole
+  invited_by: string
+  created_at: string
+  expires_at: string
+  accepted_at: string | null
+}
+export type NewInvitation = { orgId: string; email: string; role: OrgRole; tokenHash: string; invitedBy: string; expiresAt: string }
+
+const INVITATION_COLUMNS = 'id, org_id, email, role, invited_by, created_at, expires_at, accepted_at'
+
+// pg returns timestamps as Dates; page props need strings
+function withIsoDates<T>(row: T): T {
+  const out: any = { ...row }
+  for (const k of ['created_at', 'expires_at', 'accepted_at']) if (k in out) out[k] = isoOrNull(out[k])
+  return out
+}
+
+/** Create an organization with `userId` as its owner. */
+export async function createOrganization({ name, userId, email }: { name: string; userId: string; email?: string | null }): Promise<Organization> {
+  const client = await pool.connect()
+  try {
+    await client.query('begin')
+    const { rows } = await client.query(
+      'insert into organizations (name, created_by) values ($1, $2) returning id, name, created_at',
+      [name, userId]
+    )
+    await client.query(
+      `insert into memberships (org_id, user_id, email, role) values ($1, $2, $3, 'owner')`,
+      [rows[0].id, userId, email || null]
+    )
+    await client.query('commit')
+    return withIsoDates(rows[0])
+  } catch (e) {
+    await client.query('rollback')
+    throw e
+  } finally {
+    client.release()
+  }
+}
+
+/** The user's organizations, oldest membership first. */
+export async function listOrganizationsForUser(userId: string): Promise<OrgWithRole[]> {
+  const { rows } = await pool.query(
+    `select o.id, o.name, o.created_at, m.role from memberships m join organizations o on o.id = m.org_id
+     where m.user_id = $1 order by m.created_at, o.id`,
+    [userId]
+  )
+  return rows.map(withIsoDates)
+}
+
+export async function getMembership(orgId: string, userId: string): Promise<Membership | null> {
+  const { rows } = await pool.query('select * from memberships where org_id = $1 and user_id = $2', [orgId, userId])
+  return rows[0] ? withIsoDates(rows[0]) : null
+}
+
+export async function listMembers(orgId: string): Promise<Membership[]> {
+  const { rows } = await pool.query('select * from memberships where org_id = $1 order by created_at', [orgId])
+  return rows.map(withIsoDates)
+}
+
+export async function removeMember(orgId: string, userId: string): Promise<void> {
+  await pool.query('delete from memberships where org_id = $1 and user_id = $2', [orgId, userId])
+}
+
+export async function createInvitation({ orgId, email, role, tokenHash, invitedBy, expiresAt }: NewInvitation): Promise<Invitation> {
+  const { rows } = await pool.query(
+    `insert into invitations (org_id, email, role, token_hash, invited_by, expires_at) values ($1, $2, $3, $4, $5, $6)
+     returning ${INVITATION_COLUMNS}`,
+    [orgId, email, role, tokenHash, invitedBy, expiresAt]
+  )
+  return withIsoDates(rows[0])
+}
+
+/** Invitations that can still be accepted. */
+export async function listInvitations(orgId: string): Promise<Invitation[]> {
+  const { rows } = await pool.query(
+    `select ${INVITATION_COLUMNS} from invitations
+     where org_id = $1 and accepted_at is null and expires_at > now() order by created_at desc`,
+    [orgId]
+  )
+  return rows.map(withIsoDates)
+}
+
+export async function findInvitation(tokenHash: string): Promise<(Invitation & { org_name: string }) | null> {
+  const { rows } = await pool.query(
+    `select i.id, i.org_id, i.email, i.role, i.invited_by, i.created_at, i.expires_at, i.accepted_at, o.name as org_name
+     from invitations i join organizations o on o.id = i.org_id where i.token_hash = $1`,
+    [tokenHash]
+  )
+  return rows[0] ? withIsoDates(rows[0]) : null
+}
+
+/** Mark the invitation used and add the membership; false when it was already used. */
+export async function acceptInvitation(invitation: Invitation, { userId, email }: { userId: string; email?: string | null }): Promise<boolean> {
+  const client = await pool.connect()
+  try {
+    await client.query('begin')
+    const { rowCount } = await client.query(
+      'update invitations set accepted_at = now(), accepted_by = $2 where id = $1 and accepted_at is null',
+      [invitation.id, userId]
+    )
+    if (rowCount) {
+      await client.query(
+        'insert into memberships (org_id, user_id, email, role) values ($1, $2, $3, $4) on conflict (org_id, user_id) do nothing',
+        [invitation.org_id, userId, email || invitation.email, invitation.role]
+      )
+    }
+    await client.query('commit')
+    return !!rowCount
+  } catch (e) {
+    await client.query('rollback')
+    throw e
+  } finally {
+    client.release()
+  }
+}
+
+export async function deleteInvitation(orgId: string, id: string): Promise<boolean> {
+  const { rowCount } = await pool.query('delete from invitations where org_id = $1 and id = $2', [orgId, id])
+  return !!rowCount
+}
+{{/tenancy_multi}}
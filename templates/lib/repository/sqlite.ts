@@ -0,0 +1,477 @@
+// lib/repository.ts
+// Data-access layer (SQLite via better-sqlite3). Works fully offline; the schema is created on first use.
+import Database from 'better-sqlite3'
+import { randomUUID } from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+export type Signup = {
+  email: string
+  source?: string
+  metadata?: Record<string, any>
+  confirmed?: boolean
+  referralCode: string
+  referredBy?: string | null
+}
+export type SignupResult = { created: boolean; confirmed: boolean; referral_code: string }
+export type WaitlistEntry = { email: string; referral_code: string; referred_by: string | null; created_at: string; confirmed_at: string | null }
+export type QueueRow = Omit<WaitlistEntry, 'email'>
+export type ConfirmResult = 'confirmed' | 'already' | 'missing'
+export type EventRow = { id: string; type: string; data: any; created_at: string }
+export type SignupRow = { id: string; email: string; source: string | null; metadata: any; created_at: string; confirmed_at: string | null; referral_code: string | null; referred_by: string | null }
+export type ListEventsOptions = { type?: string; types?: string[]; since?: Date; until?: Date; limit?: number }
+
+const SCHEMA = `
+create table if not exists events (
+  id text primary key,
+  type text not null,
+  data text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists idx_events_type on events (type);
+create index if not exists idx_events_created_at on events (created_at desc);
+
+create table if not exists signups (
+  id text primary key,
+  email text not null,
+  source text,
+  metadata text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  confirmed_at text,
+  referral_code text,
+  referred_by text
+);
+create index if not exists idx_signups_created_at on signups (created_at desc);
+{{#tenancy_multi}}
+
+create table if not exists organizations (
+  id text primary key,
+  name text not null,
+  created_by text not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists memberships (
+  org_id text not null references organizations (id) on delete cascade,
+  user_id text not null,
+  email text,
+  role text not null default 'member' check (role in ('owner', 'admin', 'member')),
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (org_id, user_id)
+);
+create index if not exists idx_memberships_user_id on memberships (user_id);
+
+create table if not exists invitations (
+  id text primary key,
+  org_id text not null references organizations (id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  token_hash text not null unique,
+  invited_by text not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at text not null,
+  accepted_at text,
+  accepted_by text
+);
+create index if not exists idx_invitations_org_id on invitations (org_id);
+{{/tenancy_multi}}
+{{#stripe}}
+
+create table if not exists customers (
+{{#tenancy_multi}}
+  org_id text primary key,
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  user_id text primary key,
+{{/tenancy_multi}}
+  stripe_customer_id text not null unique,
+  email text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists subscriptions (
+  id text primary key,
+{{#tenancy_multi}}
+  org_id text,
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  user_id text,
+{{/tenancy_multi}}
+  customer_id text not null,
+  status text not null,
+  price_id text,
+  plan text,
+  current_period_end text,
+  cancel_at_period_end integer not null default 0,
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+{{#tenancy_multi}}
+create index if not exists idx_subscriptions_org_id on subscriptions (org_id);
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+create index if not exists idx_subscriptions_user_id on subscriptions (user_id);
+{{/tenancy_multi}}
+create index if not exists idx_subscriptions_customer_id on subscriptions (customer_id);
+
+create table if not exists stripe_events (
+  id text primary key,
+  type text not null,
+  claimed_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  processed_at text
+);
+{{/stripe}}
+`
+
+// Reuse one connection across hot reloads in dev
+const globalForDb = globalThis as unknown as { __sqlite?: Database.Database }
+function open(): Database.Database {
+  const file = process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'app.db')
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const conn = new Database(file)
+  conn.pragma('journal_mode = WAL')
+{{#tenancy_multi}}
+  conn.pragma('foreign_keys = ON')
+{{/tenancy_multi}}
+  conn.exec(SCHEMA)
+  upgradeSignups(conn)
+{{#stripe}}
+  upgradeStripeEvents(conn)
+{{/stripe}}
+  return conn
+}
+
+// Databases created before double opt-in: add confirmed_at (existing rows count as confirmed),
+// normalize emails and keep each address's first signup so the unique index can be built.
+// Before referrals: give every existing signup a code.
+function upgradeSignups(conn: Database.Database) {
+  const columns = (conn.prepare('pragma table_info(signups)').all() as { name: string }[]).map(c => c.name)
+  if (!columns.includes('confirmed_at')) {
+    conn.exec(`
+alter table signups add column confirmed_at text;
+update signups set confirmed_at = created_at;
+update signups set email = lower(trim(email));
+delete from signups where exists (
+  select 1 from signups kept
+   where kept.email = signups.email
+     and (kept.created_at < signups.created_at or (kept.created_at = signups.created_at and kept.rowid < signups.rowid))
+);
+drop index if exists idx_signups_email;
+`)
+  }
+  if (!columns.includes('referral_code')) {
+    conn.exec(`
+alter table signups add column referral_code text;
+alter table signups add column referred_by text;
+update signups set referral_code = lower(hex(randomblob(4)));
+`)
+  }
+  conn.exec(`
+create unique index if not exists signups_email_key on signups (email);
+create unique index if not exists signups_referral_code_key on signups (referral_code);
+create index if not exists idx_signups_referred_by on signups (referred_by);
+`)
+}
+{{#stripe}}
+
+// Databases created before webhook claims: processed_at was set on insert and can't be null.
+// SQLite can't relax a NOT NULL column in place, so rebuild the table; existing events count as processed.
+function upgradeStripeEvents(conn: Database.Database) {
+  const columns = (conn.prepare('pragma table_info(stripe_events)').all() as { name: string }[]).map(c => c.name)
+  if (columns.includes('claimed_at')) return
+  conn.exec(`
+begin;
+alter table stripe_events rename to stripe_events_old;
+create table stripe_events (
+  id text primary key,
+  type text not null,
+  claimed_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  processed_at text
+);
+insert into stripe_events (id, type, claimed_at, processed_at) select id, type, processed_at, processed_at from stripe_events_old;
+drop table stripe_events_old;
+commit;
+`)
+}
+{{/stripe}}
+
+export const db = globalForDb.__sqlite || open()
+if (process.env.NODE_ENV !== 'production') globalForDb.__sqlite = db
+
+/** One row per address (emails arrive normalized); a repeat signup leaves the first row alone. */
+export async function insertSignup({ email, source, metadata, confirmed, referralCode, referredBy }: Signup): Promise<SignupResult> {
+  const { changes } = db.prepare(
+    'insert or ignore into signups (id, email, source, metadata, confirmed_at, referral_code, referred_by) values (?, ?, ?, ?, ?, ?, ?)'
+  ).run(randomUUID(), email, source || null, metadata ? JSON.stringify(metadata) : null, confirmed ? new Date().toISOString() : null, referralCode, referredBy || null)
+  if (changes) return { created: true, confirmed: !!confirmed, referral_code: referralCode }
+  const existing = db.prepare('select confirmed_at, referral_code from signups where email = ?').get(email) as
+    { confirmed_at: string | null; referral_code: string } | undefined
+  return { created: false, confirmed: !!existing?.confirmed_at, referral_code: existing?.referral_code }
+}
+
+export async function confirmSignup(email: string): Promise<ConfirmResult> {
+  const { changes } = db.prepare('update signups set confirmed_at = ? where email = ? and confirmed_at is null')
+    .run(new Date().toISOString(), email)
+  if (changes) return 'confirmed'
+  return db.prepare('select 1 from signups where email = ?').get(email) ? 'already' : 'missing'
+}
+
+export async function findSignup({ email, code }: { email?: string; code?: string }): Promise<WaitlistEntry | null> {
+  const row = db.prepare(
+    `select email, referral_code, referred_by, created_at, confirmed_at from signups where ${email ? 'email' : 'referral_code'} = ?`
+  ).get(email || code) as WaitlistEntry | undefined
+  return row || null
+}
+
+/** Every signup's place-in-line inputs, oldest first. */
+export async function listWaitlist(): Promise<QueueRow[]> {
+  return db.prepare('select referral_code, referred_by, created_at, confirmed_at from signups order by created_at, rowid').all() as QueueRow[]
+}
+
+export async function trackEvent(type: string, data?: any): Promise<void> {
+  db.prepare('insert into events (id, type, data) values (?, ?, ?)')
+    .run(randomUUID(), type, data == null ? null : JSON.stringify(data))
+}
+
+function rangeFilter({ since, until }: { since?: Date; until?: Date }, params: any[], where: string[]) {
+  if (since) { where.push('created_at >= ?'); params.push(since.toISOString()) }
+  if (until) { where.push('created_at < ?'); params.push(until.toISOString()) }
+}
+
+export async function listEvents({ type, types, since, until, limit = 100 }: ListEventsOptions = {}): Promise<EventRow[]> {
+  const where: string[] = []
+  const params: any[] = []
+  if (type) { where.push('type = ?'); params.push(type) }
+  if (types) { where.push(`type in (${types.map(() => '?').join(', ') || 'null'})`); params.push(...types) }
+  rangeFilter({ since, until }, params, where)
+  params.push(limit)
+  const rows = db.prepare(
+    `select id, type, data, created_at from events ${where.length ? 'where ' + where.join(' and ') : ''} order by created_at desc limit ?`
+  ).all(...params) as any[]
+  return rows.map(r => ({ ...r, data: r.data ? JSON.parse(r.data) : null }))
+}
+
+export async function listSignups({ since, until, limit = 1000 }: { since?: Date; until?: Date; limit?: number } = {}): Promise<SignupRow[]> {
+  const where: string[] = []
+  const params: any[] = []
+  rangeFilter({ since, until }, params, where)
+  params.push(limit)
+  const rows = db.prepare(
+    `select id, email, source, metadata, created_at, confirmed_at, referral_code, referred_by from signups ${where.length ? 'where ' + where.join(' and ') : ''} order by created_at desc limit ?`
+  ).all(...params) as any[]
+  return rows.map(r => ({ ...r, metadata: r.metadata ? JSON.parse(r.metadata) : null }))
+}
+{{#stripe}}
+
+// ----- Billing -----
+
+export type Subscription = {
+  id: string
+{{#tenancy_multi}}
+  org_id: string | null
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  user_id: string | null
+{{/tenancy_multi}}
+  customer_id: string
+  status: string
+  price_id: string | null
+  plan: string | null
+  current_period_end: string | null
+  cancel_at_period_end: boolean
+}
+
+// Stripe may deliver one event twice at once. Each delivery claims the event id before running
+// handlers, and only the one that wins runs them. A claim that never completed (the process died
+// mid-handler) can be taken over after STALE_CLAIM_MINUTES.
+const STALE_CLAIM_MINUTES = 5
+
+/** Claim an event for this delivery; false when another delivery has handled or is handling it. */
+export async function claimStripeEvent(id: string, type: string): Promise<boolean> {
+  const stale = new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000).toISOString()
+  return db.prepare(
+    `insert into stripe_events (id, type) values (?, ?)
+     on conflict (id) do update set claimed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     where processed_at is null and claimed_at < ?`
+  ).run(id, type, stale).changes > 0
+}
+
+export async function completeStripeEvent(id: string): Promise<void> {
+  db.prepare(`update stripe_events set processed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') where id = ?`).run(id)
+}
+
+/** Drop an unfinished claim so Stripe's retry can claim the event again. */
+export async function releaseStripeEvent(id: string): Promise<void> {
+  db.prepare('delete from stripe_events where id = ? and processed_at is null').run(id)
+}
+
+{{#tenancy_multi}}
+// Billing belongs to the organization: one Stripe customer per org
+export async function upsertCustomer({ orgId, customerId, email }: { orgId: string; customerId: string; email?: string | null }): Promise<void> {
+  db.prepare(
+    `insert into customers (org_id, stripe_customer_id, email) values (?, ?, ?)
+     on conflict (org_id) do update set stripe_customer_id = excluded.stripe_customer_id, email = coalesce(excluded.email, customers.email)`
+  ).run(orgId, customerId, email || null)
+}
+
+export async function findCustomerId(orgId: string): Promise<string | null> {
+  const row = db.prepare('select stripe_customer_id from customers where org_id = ?').get(orgId) as any
+  return row?.stripe_customer_id ?? null
+}
+
+export async function findOrgIdByCustomer(customerId: string): Promise<string | null> {
+  const row = db.prepare('select org_id from customers where stripe_customer_id = ?').get(customerId) as any
+  return row?.org_id ?? null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function upsertCustomer({ userId, customerId, email }: { userId: string; customerId: string; email?: string | null }): Promise<void> {
+  db.prepare(
+    `insert into customers (user_id, stripe_customer_id, email) values (?, ?, ?)
+     on conflict (user_id) do update set stripe_customer_id = excluded.stripe_customer_id, email = coalesce(excluded.email, customers.email)`
+  ).run(userId, customerId, email || null)
+}
+
+export async function findCustomerId(userId: string): Promise<string | null> {
+  const row = db.prepare('select stripe_customer_id from customers where user_id = ?').get(userId) as any
+  return row?.stripe_customer_id ?? null
+}
+
+export async function findUserIdByCustomer(customerId: string): Promise<string | null> {
+  const row = db.prepare('select user_id from customers where stripe_customer_id = ?').get(customerId) as any
+  return row?.user_id ?? null
+}
+{{/tenancy_multi}}
+
+export async function upsertSubscription(sub: Subscription): Promise<void> {
+  db.prepare(
+    `insert into subscriptions (id, {{#tenancy_multi}}org_id{{/tenancy_multi}}{{^tenancy_multi}}user_id{{/tenancy_multi}}, customer_id, status, price_id, plan, current_period_end, cancel_at_period_end, updated_at)
+     values (?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+     on conflict (id) do update set
+{{#tenancy_multi}}
+       org_id = coalesce(excluded.org_id, subscriptions.org_id),
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+       user_id = coalesce(excluded.user_id, subscriptions.user_id),
+{{/tenancy_multi}}
+       customer_id = excluded.customer_id,
+       status = excluded.status,
+       price_id = coalesce(excluded.price_id, subscriptions.price_id),
+       plan = coalesce(excluded.plan, subscriptions.plan),
+       current_period_end = coalesce(excluded.current_period_end, subscriptions.current_period_end),
+       cancel_at_period_end = excluded.cancel_at_period_end,
+       updated_at = excluded.updated_at`
+  ).run(sub.id, {{#tenancy_multi}}sub.org_id{{/tenancy_multi}}{{^tenancy_multi}}sub.user_id{{/tenancy_multi}}, sub.customer_id, sub.status, sub.price_id, sub.plan, sub.current_period_end, sub.cancel_at_period_end ? 1 : 0)
+}
+
+export async function setSubscriptionStatus(id: string, status: string): Promise<void> {
+  db.prepare(`update subscriptions set status = ?, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') where id = ?`).run(status, id)
+}
+
+{{#tenancy_multi}}
+export async function getSubscriptionForOrg(orgId: string): Promise<Subscription | null> {
+  const row = db.prepare('select * from subscriptions where org_id = ? order by updated_at desc limit 1').get(orgId) as any
+  return row ? { ...row, cancel_at_period_end: !!row.cancel_at_period_end } : null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function getSubscriptionForUser(userId: string): Promise<Subscription | null> {
+  const row = db.prepare('select * from subscriptions where user_id = ? order by updated_at desc limit 1').get(userId) as any
+  return row ? { ...row, cancel_at_period_end: !!row.cancel_at_period_end } : null
+}
+{{/tenancy_multi}}
+{{/stripe}}
+{{#tenancy_multi}}
+
+// ----- Organizations -----
+
+export type OrgRole = 'owner' | 'admin' | 'member'
+export type Organization = { id: string; name: string; created_at: string }
+export type OrgWithRole = Organization & { role: OrgRole }
+export type Membership = { org_id: string; user_id: string; email: string | null; role: OrgRole; created_at: string }
+export type Invitation = {
+  id: string
+  org_id: string
+  email: string
+  role: OrgRole
+  invited_by: string
+  created_at: string
+  expires_at: string
+  accepted_at: string | null
+}
+export type NewInvitation = { orgId: string; email: string; role: OrgRole; tokenHash: string; invitedBy: string; expiresAt: string }
+
+const INVITATION_COLUMNS = 'id, org_id, email, role, invited_by, created_at, expires_at, accepted_at'
+
+/** Create an organization with `userId` as its owner. */
+export async function createOrganization({ name, userId, email }: { name: string; userId: string; email?: string | null }): Promise<Organization> {
+  const id = randomUUID()
+  db.transaction(() => {
+    db.prepare('insert into organizations (id, name, created_by) values (?, ?, ?)').run(id, name, userId)
+    db.prepare(`insert into memberships (org_id, user_id, email, role) values (?, ?, ?, 'owner')`).run(id, userId, email || null)
+  })()
+  return db.prepare('select id, name, created_at from organizations where id = ?').get(id) as Organization
+}
+
+/** The user's organizations, oldest membership first. */
+export async function listOrganizationsForUser(userId: string): Promise<OrgWithRole[]> {
+  return db.prepare(
+    `select o.id, o.name, o.created_at, m.role from memberships m join organizations o on o.id = m.org_id
+     where m.user_id = ? order by m.created_at, m.rowid`
+  ).all(userId) as OrgWithRole[]
+}
+
+export async function getMembership(orgId: string, userId: string): Promise<Membership | null> {
+  const row = db.prepare('select * from memberships where org_id = ? and user_id = ?').get(orgId, userId) as Membership | undefined
+  return row || null
+}
+
+export async function listMembers(orgId: string): Promise<Membership[]> {
+  return db.prepare('select * from memberships where org_id = ? order by created_at, rowid').all(orgId) as Membership[]
+}
+
+export async function removeMember(orgId: string, userId: string): Promise<void> {
+  db.prepare('delete from memberships where org_id = ? and user_id = ?').run(orgId, userId)
+}
+
+export async function createInvitation({ orgId, email, role, tokenHash, invitedBy, expiresAt }: NewInvitation): Promise<Invitation> {
+  const id = randomUUID()
+  db.prepare(
+    'insert into invitations (id, org_id, email, role, token_hash, invited_by, expires_at) values (?, ?, ?, ?, ?, ?, ?)'
+  ).run(id, orgId, email, role, tokenHash, invitedBy, expiresAt)
+  return db.prepare(`select ${INVITATION_COLUMNS} from invitations where id = ?`).get(id) as Invitation
+}
+
+/** Invitations that can still be accepted. */
+export async function listInvitations(orgId: string): Promise<Invitation[]> {
+  return db.prepare(
+    `select ${INVITATION_COLUMNS} from invitations
+     where org_id = ? and accepted_at is null and expires_at > ? order by created_at desc`
+  ).all(orgId, new Date().toISOString()) as Invitation[]
+}
+
+export async function findInvitation(tokenHash: string): Promise<(Invitation & { org_name: string }) | null> {
+  const row = db.prepare(
+    `select i.id, i.org_id, i.email, i.role, i.invited_by, i.created_at, i.expires_at, i.accepted_at, o.name as org_name
+     from invitations i join organizations o on o.id = i.org_id where i.token_hash = ?`
+  ).get(tokenHash) as (Invitation & { org_name: string }) | undefined
+  return row || null
+}
+
+/** Mark the invitation used and add the membership; false when it was already used. */
+export async function acceptInvitation(invitation: Invitation, { userId, email }: { userId: string; email?: string | null }): Promise<boolean> {
+  return db.transaction(() => {
+    const { changes } = db.prepare(
+      `update invitations set accepted_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), accepted_by = ? where id = ? and accepted_at is null`
+    ).run(userId, invitation.id)
+    if (changes) {
+      db.prepare('insert or ignore into memberships (org_id, user_id, email, role) values (?, ?, ?, ?)')
+        .run(invitation.org_id, userId, email || invitation.email, invitation.role)
+    }
+    return changes > 0
+  })()
+}
+
+export async function deleteInvitation(orgId: string, id: string): Promise<boolean> {
+  return db.prepare('delete from invitations where org_id = ? and id = ?').run(orgId, id).changes > 0
+}
+{{/tenancy_multi}}
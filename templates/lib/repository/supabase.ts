@@ -0,0 +1,346 @@
+// lib/repository.ts
+// Data-access layer (Supabase). API routes call these instead of the DB client directly.
+import { supabase } from './supabaseClient'
+
+export type Signup = {
+  email: string
+  source?: string
+  metadata?: Record<string, any>
+  confirmed?: boolean
+  referralCode: string
+  referredBy?: string | null
+}
+export type SignupResult = { created: boolean; confirmed: boolean; referral_code: string }
+export type WaitlistEntry = { email: string; referral_code: string; referred_by: string | null; created_at: string; confirmed_at: string | null }
+export type QueueRow = Omit<WaitlistEntry, 'email'>
+export type ConfirmResult = 'confirmed' | 'already' | 'missing'
+export type EventRow = { id: string; type: string; data: any; created_at: string }
+export type SignupRow = { id: string; email: string; source: string | null; metadata: any; created_at: string; confirmed_at: string | null; referral_code: string | null; referred_by: string | null }
+export type ListEventsOptions = { type?: string; types?: string[]; since?: Date; until?: Date; limit?: number }
+
+/** One row per address (emails arrive normalized); a repeat signup leaves the first row alone. */
+export async function insertSignup({ email, source, metadata, confirmed, referralCode, referredBy }: Signup): Promise<SignupResult> {
+  const row = {
+    email,
+    source: source || null,
+    metadata: metadata || null,
+    confirmed_at: confirmed ? new Date().toISOString() : null,
+    referral_code: referralCode,
+    referred_by: referredBy || null,
+  }
+  const { data, error } = await supabase
+    .from('signups')
+    .upsert([row], { onConflict: 'email', ignoreDuplicates: true })
+    .select('id')
+  if (error) throw new Error(error.message)
+  if (data?.length) return { created: true, confirmed: !!confirmed, referral_code: referralCode }
+  const existing = await supabase.from('signups').select('confirmed_at, referral_code').eq('email', email).maybeSingle()
+  if (existing.error) throw new Error(existing.error.message)
+  return { created: false, confirmed: !!existing.data?.confirmed_at, referral_code: existing.data?.referral_code }
+}
+
+export async function confirmSignup(email: string): Promise<ConfirmResult> {
+  const { data, error } = await supabase
+    .from('signups')
+    .update({ confirmed_at: new Date().toISOString() })
+    .eq('email', email)
+    .is('confirmed_at', null)
+    .select('id')
+  if (error) throw new Error(error.message)
+  if (data?.length) return 'confirmed'
+  const existing = await supabase.from('signups').select('id').eq('email', email).maybeSingle()
+  if (existing.error) throw new Error(existing.error.message)
+  return existing.data ? 'already' : 'missing'
+}
+
+export async function findSignup({ email, code }: { email?: string; code?: string }): Promise<WaitlistEntry | null> {
+  const { data, error } = await supabase
+    .from('signups')
+    .select('email, referral_code, referred_by, created_at, confirmed_at')
+    .eq(email ? 'email' : 'referral_code', email || code)
+    .maybeSingle()
+  if (error) throw new Error(error.message)
+  return data
+}
+
+/** Every signup's place-in-line inputs, oldest first. Paged, since Supabase caps each response at 1000 rows. */
+export async function listWaitlist(): Promise<QueueRow[]> {
+  const PAGE = 1000
+  const out: QueueRow[] = []
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from('signups')
+      .select('referral_code, referred_by, created_at, confirmed_at')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE - 1)
+    if (error) throw new Error(error.message)
+    out.push(...(data || []))
+    if (!data || data.length < PAGE) return out
+  }
+}
+
+export async function trackEvent(type: string, data?: any): Promise<void> {
+  const { error } = await supabase.from('events').insert([{ type, data: data ?? null }])
+  if (error) throw new Error(error.message)
+}
+
+export async function listEvents({ type, types, since, until, limit = 100 }: ListEventsOptions = {}): Promise<EventRow[]> {
+  let query = supabase.from('events').select('*').order('created_at', { ascending: false }).limit(limit)
+  if (type) query = query.eq('type', type)
+  if (types) query = query.in('type', types)
+  if (since) query = query.gte('created_at', since.toISOString())
+  if (until) query = query.lt('created_at', until.toISOString())
+  const { data, error } = await query
+  if (error) throw new Error(error.message)
+  return data as EventRow[]
+}
+
+export async function listSignups({ since, until, limit = 1000 }: { since?: Date; until?: Date; limit?: number } = {}): Promise<SignupRow[]> {
+  let query = supabase.from('signups').select('*').order('created_at', { ascending: false }).limit(limit)
+  if (since) query = query.gte('created_at', since.toISOString())
+  if (until) query = query.lt('created_at', until.toISOString())
+  const { data, error } = await query
+  if (error) throw new Error(error.message)
+  return data as SignupRow[]
+}
+{{#stripe}}
+
+// ----- Billing -----
+
+export type Subscription = {
+  id: string
+{{#tenancy_multi}}
+  org_id: string | null
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  user_id: string | null
+{{/tenancy_multi}}
+  customer_id: string
+  status: string
+  price_id: string | null
+  plan: string | null
+  current_period_end: string | null
+  cancel_at_period_end: boolean
+}
+
+// Stripe may deliver one event twice at once. Each delivery claims the event id before running
+// handlers, and only the one that wins runs them. A claim that never completed (the process died
+// mid-handler) can be taken over after STALE_CLAIM_MINUTES.
+const STALE_CLAIM_MINUTES = 5
+
+/** Claim an event for this delivery; false when another delivery has handled or is handling it. */
+export async function claimStripeEvent(id: string, type: string): Promise<boolean> {
+  // insert ... on conflict do nothing returns the row only to the delivery that inserted it
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .upsert([{ id, type }], { onConflict: 'id', ignoreDuplicates: true })
+    .select('id')
+  if (error) throw new Error(error.message)
+  if (data?.length) return true
+  const stale = new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000).toISOString()
+  const { data: retaken, error: retakeError } = await supabase
+    .from('stripe_events')
+    .update({ claimed_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('processed_at', null)
+    .lt('claimed_at', stale)
+    .select('id')
+  if (retakeError) throw new Error(retakeError.message)
+  return !!retaken?.length
+}
+
+export async function completeStripeEvent(id: string): Promise<void> {
+  const { error } = await supabase.from('stripe_events').update({ processed_at: new Date().toISOString() }).eq('id', id)
+  if (error) throw new Error(error.message)
+}
+
+/** Drop an unfinished claim so Stripe's retry can claim the event again. */
+export async function releaseStripeEvent(id: string): Promise<void> {
+  const { error } = await supabase.from('stripe_events').delete().eq('id', id).is('processed_at', null)
+  if (error) throw new Error(error.message)
+}
+
+{{#tenancy_multi}}
+// Billing belongs to the organization: one Stripe customer per org
+export async function upsertCustomer({ orgId, customerId, email }: { orgId: string; customerId: string; email?: string | null }): Promise<void> {
+  const { error } = await supabase.from('customers')
+    .upsert([{ org_id: orgId, stripe_customer_id: customerId, email: email || null }], { onConflict: 'org_id' })
+  if (error) throw new Error(error.message)
+}
+
+export async function findCustomerId(orgId: string): Promise<string | null> {
+  const { data, error } = await supabase.from('customers').select('stripe_customer_id').eq('org_id', orgId).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data?.stripe_customer_id ?? null
+}
+
+export async function findOrgIdByCustomer(customerId: string): Promise<string | null> {
+  const { data, error } = await supabase.from('customers').select('org_id').eq('stripe_customer_id', customerId).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data?.org_id ?? null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function upsertCustomer({ userId, customerId, email }: { userId: string; customerId: string; email?: string | null }): Promise<void> {
+  const { error } = await supabase.from('customers')
+    .upsert([{ user_id: userId, stripe_customer_id: customerId, email: email || null }], { onConflict: 'user_id' })
+  if (error) throw new Error(error.message)
+}
+
+export async function findCustomerId(userId: string): Promise<string | null> {
+  const { data, error } = await supabase.from('customers').select('stripe_customer_id').eq('user_id', userId).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data?.stripe_customer_id ?? null
+}
+
+export async function findUserIdByCustomer(customerId: string): Promise<string | null> {
+  const { data, error } = await supabase.from('customers').select('user_id').eq('stripe_customer_id', customerId).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data?.user_id ?? null
+}
+{{/tenancy_multi}}
+
+export async function upsertSubscription(sub: Subscription): Promise<void> {
+  const { error } = await supabase.from('subscriptions')
+    .upsert([{ ...sub, updated_at: new Date().toISOString() }], { onConflict: 'id' })
+  if (error) throw new Error(error.message)
+}
+
+export async function setSubscriptionStatus(id: string, status: string): Promise<void> {
+  const { error } = await supabase.from('subscriptions')
+    .update({ status, updated_at: new Date().toISOString() }).eq('id', id)
+  if (error) throw new Error(error.message)
+}
+
+{{#tenancy_multi}}
+export async function getSubscriptionForOrg(orgId: string): Promise<Subscription | null> {
+  const { data, error } = await supabase.from('subscriptions').select('*')
+    .eq('org_id', orgId).order('updated_at', { ascending: false }).limit(1).maybeSingle()
+  if (error) throw new Error(error.message)
+  return (data as Subscription) ?? null
+}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export async function getSubscriptionForUser(userId: string): Promise<Subscription | null> {
+  const { data, error } = await supabase.from('subscriptions').select('*')
+    .eq('user_id', userId).order('updated_at', { ascending: false }).limit(1).maybeSingle()
+  if (error) throw new Error(error.message)
+  return (data as Subscription) ?? null
+}
+{{/tenancy_multi}}
+{{/stripe}}
+{{#tenancy_multi}}
+
+// ----- Organizations -----
+
+export type OrgRole = 'owner' | 'admin' | 'member'
+export type Organization = { id: string; name: string; created_at: string }
+export type OrgWithRole = Organization & { role: OrgRole }
+export type Membership = { org_id: string; user_id: string; email: string | null; role: OrgRole; created_at: string }
+export type Invitation = {
+  id: string
+  org_id: string
+  email: string
+  role: OrgRole
+  invited_by: string
+  created_at: string
+  expires_at: string
+  accepted_at: string | null
+}
+export type NewInvitation = { orgId: string; email: string; role: OrgRole; tokenHash: string; invitedBy: string; expiresAt: string }
+
+const INVITATION_COLUMNS = 'id, org_id, email, role, invited_by, created_at, expires_at, accepted_at'
+
+/** Create an organization with `userId` as its owner. */
+export async function createOrganization({ name, userId, email }: { name: string; userId: string; email?: string | null }): Promise<Organization> {
+  const { data: org, error } = await supabase.from('organizations')
+    .insert([{ name, created_by: userId }]).select('id, name, created_at').single()
+  if (error) throw new Error(error.message)
+  const member = await supabase.from('memberships').insert([{ org_id: org.id, user_id: userId, email: email || null, role: 'owner' }])
+  if (member.error) {
+    // no transactions over the REST API; don't leave an org without an owner
+    await supabase.from('organizations').delete().eq('id', org.id)
+    throw new Error(member.error.message)
+  }
+  return org
+}
+
+/** The user's organizations, oldest membership first. */
+export async function listOrganizationsForUser(userId: string): Promise<OrgWithRole[]> {
+  const { data, error } = await supabase.from('memberships')
+    .select('role, created_at, organizations (id, name, created_at)')
+    .eq('user_id', userId).order('created_at', { ascending: true })
+  if (error) throw new Error(error.message)
+  return (data || []).map((m: any) => ({ ...m.organizations, role: m.role }))
+}
+
+export async function getMembership(orgId: string, userId: string): Promise<Membership | null> {
+  const { data, error } = await supabase.from('memberships').select('*').eq('org_id', orgId).eq('user_id', userId).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data
+}
+
+export async function listMembers(orgId: string): Promise<Membership[]> {
+  const { data, error } = await supabase.from('memberships').select('*').eq('org_id', orgId).order('created_at', { ascending: true })
+  if (error) throw new Error(error.message)
+  return data || []
+}
+
+export async function removeMember(orgId: string, userId: string): Promise<void> {
+  const { error } = await supabase.from('memberships').delete().eq('org_id', orgId).eq('user_id', userId)
+  if (error) throw new Error(error.message)
+}
+
+export async function createInvitation({ orgId, email, role, tokenHash, invitedBy, expiresAt }: NewInvitation): Promise<Invitation> {
+  const { data, error } = await supabase.from('invitations')
+    .insert([{ org_id: orgId, email, role, token_hash: tokenHash, invited_by: invitedBy, expires_at: expiresAt }])
+    .select(INVITATION_COLUMNS).single()
+  if (error) throw new Error(error.message)
+  return data as Invitation
+}
+
+/** Invitations that can still be accepted. */
+export async function listInvitations(orgId: string): Promise<Invitation[]> {
+  const { data, error } = await supabase.from('invitations').select(INVITATION_COLUMNS)
+    .eq('org_id', orgId).is('accepted_at', null).gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+  if (error) throw new Error(error.message)
+  return (data || []) as Invitation[]
+}
+
+export async function findInvitation(tokenHash: string): Promise<(Invitation & { org_name: string }) | null> {
+  const { data, error } = await supabase.from('invitations')
+    .select(`${INVITATION_COLUMNS}, organizations (name)`).eq('token_hash', tokenHash).maybeSingle()
+  if (error) throw new Error(error.message)
+  if (!data) return null
+  const { organizations, ...invitation } = data as any
+  return { ...invitation, org_name: organizations?.name ?? '' }
+}
+
+/** Mark the invitation used and add the membership; false when it was already used. */
+export async function acceptInvitation(invitation: Invitation, { userId, email }: { userId: string; email?: string | null }): Promise<boolean> {
+  // the accepted_at filter makes the claim atomic: only one request gets the row back
+  const { data, error } = await supabase.from('invitations')
+    .update({ accepted_at: new Date().toISOString(), accepted_by: userId })
+    .eq('id', invitation.id).is('accepted_at', null).select('id')
+  if (error) throw new Error(error.message)
+  if (!data?.length) return false
+  const member = await supabase.from('memberships')
+    .upsert([{ org_id: invitation.org_id, user_id: userId, email: email || invitation.email, role: invitation.role }], {
+      onConflict: 'org_id,user_id',
+      ignoreDuplicates: true,
+    })
+  if (member.error) {
+    await supabase.from('invitations').update({ accepted_at: null, accepted_by: null }).eq('id', invitation.id)
+    throw new Error(member.error.message)
+  }
+  return true
+}
+
+export async function deleteInvitation(orgId: string, id: string): Promise<boolean> {
+  const { data, error } = await supabase.from('invitations').delete().eq('org_id', orgId).eq('id', id).select('id')
+  if (error) throw new Error(error.message)
+  return !!data?.length
+}
+{{/tenancy_multi}}
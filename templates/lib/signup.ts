@@ -0,0 +1,119 @@
+// lib/signup.ts
+// Waitlist signup rules shared by /api/signups/add and the /confirm page: email normalization,
+// the optional Turnstile / hCaptcha check and double opt-in confirmation links.
+import crypto from 'crypto'
+import { getTransport } from './mail'
+
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+// One dot-separated domain with a TLD; deliberately stricter than RFC 5322 (no quoted local parts)
+const EMAIL_RE = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/
+
+/** Trimmed, lowercased address, or null when it isn't one we'd send mail to. */
+export function normalizeEmail(raw: unknown): string | null {
+  if (typeof raw !== 'string') return null
+  const email = raw.trim().toLowerCase()
+  if (email.length > 254 || !EMAIL_RE.test(email)) return null
+  const [local] = email.split('@')
+  if (local.length > 64 || local.startsWith('.') || local.endsWith('.') || local.includes('..')) return null
+  return email
+}
+
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com']
+
+/**
+ * The inbox an address delivers to, for throttling mail to it: drops a `+tag` and, where the
+ * provider ignores them, dots, so `ann+1@` and `ann+2@` count as one recipient.
+ */
+export function mailboxKey(email: string): string {
+  const at = email.lastIndexOf('@')
+  let local = email.slice(0, at).split('+')[0]
+  let domain = email.slice(at + 1)
+  if (DOTLESS_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '')
+    domain = 'gmail.com'
+  }
+  return `${local}@${domain}`
+}
+
+/** On unless SIGNUP_DOUBLE_OPT_IN=false: new signups must click the emailed link to count. */
+export function doubleOptIn(): boolean {
+  return process.env.SIGNUP_DOUBLE_OPT_IN !== 'false'
+}
+
+function signingSecret(): string {
+  const secret = process.env.SIGNUP_SIGNING_SECRET
+  if (secret) return secret
+  if (process.env.NODE_ENV === 'production') throw new Error('SIGNUP_SIGNING_SECRET must be set to sign confirmation links')
+  return 'dev-signup-secret'
+}
+
+function sign(email: string, expires: number): string {
+  return crypto.createHmac('sha256', signingSecret()).update(`confirm:${email}:${expires}`).digest('base64url')
+}
+
+/** `<expiry>.<hmac>`; valid for a week. */
+export function confirmToken(email: string, now = Date.now()): string {
+  const expires = Math.floor((now + CONFIRM_TTL_MS) / 1000)
+  return `${expires}.${sign(email, expires)}`
+}
+
+export type TokenCheck = 'valid' | 'expired' | 'invalid'
+
+export function verifyConfirmToken(email: string, token: string, now = Date.now()): TokenCheck {
+  const [exp, mac] = String(token || '').split('.')
+  const expires = Number(exp)
+  if (!expires || !mac) return 'invalid'
+  const expected = Buffer.from(sign(email, expires))
+  const given = Buffer.from(mac)
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid'
+  return expires * 1000 < now ? 'expired' : 'valid'
+}
+
+function siteUrl(): string {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/$/, '')
+}
+
+export function confirmUrl(email: string): string {
+  return `${siteUrl()}/confirm?email=${encodeURIComponent(email)}&token=${confirmToken(email)}`
+}
+
+export async function sendConfirmation(email: string): Promise<void> {
+  const app = process.env.NEXT_PUBLIC_SITE_NAME || 'our waitlist'
+  await getTransport().send({
+    to: email,
+    subject: `Confirm your spot on ${app}`,
+    text: [
+      `Thanks for joining ${app}!`,
+      '',
+      'Confirm your email to hold your spot:',
+      confirmUrl(email),
+      '',
+      'The link works for 7 days. If you didn’t sign up, ignore this email and you won’t hear from us again.',
+    ].join('\n'),
+  })
+}
+
+const CAPTCHA_VERIFY: Record<string, string> = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+}
+
+/** Whether a captcha is configured; the landing form renders the widget in the same case. */
+export function captchaEnabled(): boolean {
+  return !!(process.env.CAPTCHA_SECRET_KEY && CAPTCHA_VERIFY[process.env.NEXT_PUBLIC_CAPTCHA_PROVIDER || ''])
+}
+
+/** Check a widget response with the provider. Always passes when no captcha is configured. */
+export async function verifyCaptcha(response: unknown, ip: string): Promise<boolean> {
+  if (!captchaEnabled()) return true
+  if (typeof response !== 'string' || !response) return false
+  const res = await fetch(CAPTCHA_VERIFY[process.env.NEXT_PUBLIC_CAPTCHA_PROVIDER], {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ secret: process.env.CAPTCHA_SECRET_KEY, response, remoteip: ip }),
+    signal: AbortSignal.timeout(5000),
+  })
+  const json = await res.json().catch(() => ({}))
+  return json.success === true
+}
@@ -0,0 +1,15 @@
+// lib/stripe.ts
+// Shared Stripe client. Point STRIPE_API_BASE at stripe-mock (http://localhost:12111)
+// to exercise checkout/portal routes without a real account.
+import Stripe from 'stripe';
+
+const base = process.env.STRIPE_API_BASE ? new URL(process.env.STRIPE_API_BASE) : null;
+
+export const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_mock', {
+  apiVersion: '2022-11-15',
+  ...(base && {
+    host: base.hostname,
+    port: Number(base.port) || (base.protocol === 'https:' ? 443 : 80),
+    protocol: base.protocol.replace(':', '') as 'http' | 'https',
+  }),
+});
@@ -0,0 +1,115 @@
+// lib/stripeWebhooks.ts
+// Stripe event handlers. Pure data in, repository writes out — no Stripe API calls,
+// so they can be exercised with the recorded fixtures in stripe/fixtures/.
+import type Stripe from 'stripe';
+import {
+{{#tenancy_multi}}
+  findOrgIdByCustomer,
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  findUserIdByCustomer,
+{{/tenancy_multi}}
+  claimStripeEvent,
+  completeStripeEvent,
+  releaseStripeEvent,
+  setSubscriptionStatus,
+  trackEvent,
+  upsertCustomer,
+  upsertSubscription,
+} from './repository';
+import { planForPrice } from './billing';
+
+const idOf = (v: string | { id: string } | null | undefined) => (typeof v === 'string' ? v : v?.id ?? null);
+
+async function syncSubscription(sub: Stripe.Subscription) {
+  const customerId = idOf(sub.customer as any)!;
+{{#tenancy_multi}}
+  const orgId = sub.metadata?.orgId || (await findOrgIdByCustomer(customerId));
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+  const userId = sub.metadata?.userId || (await findUserIdByCustomer(customerId));
+{{/tenancy_multi}}
+  const priceId = sub.items?.data?.[0]?.price?.id ?? null;
+  await upsertSubscription({
+    id: sub.id,
+{{#tenancy_multi}}
+    org_id: orgId,
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+    user_id: userId,
+{{/tenancy_multi}}
+    customer_id: customerId,
+    status: sub.status,
+    price_id: priceId,
+    plan: planForPrice(priceId),
+    current_period_end: sub.current_period_end ? new Date(sub.current_period_end * 1000).toISOString() : null,
+    cancel_at_period_end: !!sub.cancel_at_period_end,
+  });
+}
+
+const HANDLERS: Record<string, (obj: any) => Promise<void>> = {
+  async 'checkout.session.completed'(session: Stripe.Checkout.Session) {
+{{#tenancy_multi}}
+    // the organization is the billing account; userId is whoever clicked "Upgrade"
+    const orgId = session.client_reference_id || session.metadata?.orgId;
+    const userId = session.metadata?.userId || null;
+    const customerId = idOf(session.customer as any);
+    if (!orgId || !customerId) return;
+    await upsertCustomer({ orgId, customerId, email: session.customer_details?.email });
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+    const userId = session.client_reference_id || session.metadata?.userId;
+    const customerId = idOf(session.customer as any);
+    if (!userId || !customerId) return;
+    await upsertCustomer({ userId, customerId, email: session.customer_details?.email });
+{{/tenancy_multi}}
+    const subscriptionId = idOf(session.subscription as any);
+    if (subscriptionId) {
+      // Provisional row; customer.subscription.* events fill in the details
+      const priceId = session.metadata?.priceId || null;
+      await upsertSubscription({
+        id: subscriptionId,
+{{#tenancy_multi}}
+        org_id: orgId,
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+        user_id: userId,
+{{/tenancy_multi}}
+        customer_id: customerId,
+        status: 'active',
+        price_id: priceId,
+        plan: planForPrice(priceId),
+        current_period_end: null,
+        cancel_at_period_end: false,
+      });
+    }
+    await trackEvent('checkout_completed', { userId, {{#tenancy_multi}}orgId, {{/tenancy_multi}}customerId, subscriptionId });
+  },
+  'customer.subscription.created': syncSubscription,
+  'customer.subscription.updated': syncSubscription,
+  'customer.subscription.deleted': syncSubscription,
+  async 'invoice.payment_failed'(invoice: Stripe.Invoice) {
+    const subscriptionId = idOf(invoice.subscription as any);
+    if (subscriptionId) await setSubscriptionStatus(subscriptionId, 'past_due');
+    await trackEvent('payment_failed', { customerId: idOf(invoice.customer as any), subscriptionId, invoiceId: invoice.id });
+  },
+};
+
+/**
+ * Apply one verified event. The event id is claimed before any handler runs, so when Stripe
+ * delivers an event twice at once only one delivery tracks it or sends the Purchase conversion.
+ * A failed handler releases the claim for Stripe's retry; handlers are upserts, so rerunning
+ * one after a crash mid-handler is safe too.
+ */
+export async function handleStripeEvent(evt: Stripe.Event): Promise<'processed' | 'duplicate' | 'ignored'> {
+  if (!(await claimStripeEvent(evt.id, evt.type))) return 'duplicate';
+  const handler = HANDLERS[evt.type];
+  try {
+    if (handler) await handler(evt.data.object);
+  } catch (err) {
+    await releaseStripeEvent(evt.id).catch(e => console.error('stripe event claim not released', evt.id, e));
+    throw err;
+  }
+  await completeStripeEvent(evt.id);
+  return handler ? 'processed' : 'ignored';
+}
@@ -0,0 +1,14 @@
+// lib/supabaseClient.ts
+import { createClient } from '@supabase/supabase-js'
+
+/**
+ * Client-side: use anonymous key
+ * Server-side: prefer service role key for privileged ops
+ */
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL
+const SUPABASE_KEY =
+  typeof window === 'undefined'
+    ? process.env.SUPABASE_SERVICE_ROLE_KEY
+    : process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+
+export const supabase = createClient(SUPABASE_URL!, SUPABASE_KEY!)
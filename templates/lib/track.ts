@@ -0,0 +1,114 @@
+// lib/track.ts
+// First-party analytics client. track() queues events in memory; the queue goes to
+// /api/events/track in batches, every few seconds or when it fills up, and with
+// navigator.sendBeacon when the page is hidden so the last events of a visit survive.
+// Event names and properties are declared in lib/events.ts and validated by the endpoint.
+import { hasGranted } from './consent';
+import type { EventName } from './events';
+
+const ENDPOINT = '/api/events/track';
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH = 20;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+type QueuedEvent = { name: EventName; props: Record<string, unknown>; ts: string; path: string; sessionId: string };
+
+let queue: QueuedEvent[] = [];
+let timer: ReturnType<typeof setTimeout> | null = null;
+let listening = false;
+let pageId: string | null = null;
+
+function uuid(): string {
+  return typeof crypto !== 'undefined' && 'randomUUID' in crypto
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function storage(kind: 'localStorage' | 'sessionStorage'): Storage | null {
+  try {
+    return window[kind];
+  } catch {
+    // blocked by privacy settings
+    return null;
+  }
+}
+
+/**
+ * Stable per-browser id once analytics consent is granted; no personal data, cleared with site data.
+ * Until then (or after consent is withdrawn) nothing is stored and the id lasts only for this page load.
+ */
+export function anonymousId(): string {
+  const store = storage('localStorage');
+  if (!hasGranted('analytics')) {
+    store?.removeItem('anon_id');
+    return pageId || (pageId = uuid());
+  }
+  let id = store?.getItem('anon_id');
+  if (!id) {
+    // keep the id this page load already used so its earlier events join up
+    id = pageId || uuid();
+    store?.setItem('anon_id', id);
+  }
+  return id;
+}
+
+/** Per-tab session id that rolls over after 30 minutes without events. */
+export function sessionId(): string {
+  const store = storage('sessionStorage');
+  const now = Date.now();
+  const last = Number(store?.getItem('session_seen') || 0);
+  let id = store?.getItem('session_id');
+  if (!id || now - last > SESSION_IDLE_MS) {
+    id = uuid();
+    store?.setItem('session_id', id);
+  }
+  store?.setItem('session_seen', String(now));
+  return id;
+}
+
+/** First-touch UTM parameters captured by pages/_app.tsx. */
+function attribution(): Record<string, string> {
+  const fromPage = (window as any).__UTM__ || {};
+  const store = storage('localStorage');
+  const utm: Record<string, string> = {};
+  for (const k of UTM_KEYS) {
+    const v = fromPage[k] || store?.getItem(k);
+    if (v) utm[k] = v;
+  }
+  return utm;
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush({ beacon: true });
+  });
+  window.addEventListener('pagehide', () => flush({ beacon: true }));
+}
+
+export function track(name: EventName, props: Record<string, unknown> = {}): void {
+  if (typeof window === 'undefined') return;
+  listen();
+  queue.push({ name, props, ts: new Date().toISOString(), path: window.location.pathname, sessionId: sessionId() });
+  if (queue.length >= MAX_BATCH) flush();
+  else if (!timer) timer = setTimeout(() => flush(), FLUSH_INTERVAL_MS);
+}
+
+/** Send everything queued. `beacon` uses sendBeacon, which survives page unload. */
+export function flush({ beacon = false }: { beacon?: boolean } = {}): Promise<void> {
+  if (timer) { clearTimeout(timer); timer = null; }
+  if (typeof window === 'undefined' || !queue.length) return Promise.resolve();
+  const events = queue.splice(0, queue.length);
+  const body = JSON.stringify({ anonymousId: anonymousId(), utm: attribution(), events });
+  if (beacon && navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'application/json' }))) {
+    return Promise.resolve();
+  }
+  return fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+    .then(() => undefined)
+    .catch(() => {
+      // offline: put the events back for the next flush
+      queue = [...events, ...queue];
+    });
+}
@@ -0,0 +1,89 @@
+// lib/waitlist.ts
+// Referral waitlist: every signup gets a share code, and each friend who joins through that link
+// (and confirms, when double opt-in is on) moves the referrer REFERRAL_BOOST places up the queue.
+// Positions are computed from the signups table on request rather than stored.
+import crypto from 'crypto'
+import { findSignup, listWaitlist, QueueRow } from './repository'
+import { doubleOptIn } from './signup'
+
+// No 0/o, 1/l/i: codes get read aloud and typed from screenshots
+const ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz'
+const CODE_RE = /^[a-z0-9]{6,16}$/
+
+export function referralCode(length = 8): string {
+  let code = ''
+  for (let i = 0; i < length; i++) code += ALPHABET[crypto.randomInt(ALPHABET.length)]
+  return code
+}
+
+/** Lowercased code, or null when it can't be one we issued. */
+export function normalizeCode(raw: unknown): string | null {
+  if (typeof raw !== 'string') return null
+  const code = raw.trim().toLowerCase()
+  return CODE_RE.test(code) ? code : null
+}
+
+/** Places a signup moves up for each confirmed referral; 5 when REFERRAL_BOOST is unset or not a number. */
+export function referralBoost(): number {
+  // Number("5 places") is NaN, which would quietly stop referrals from moving anyone up
+  const boost = Number.parseInt(process.env.REFERRAL_BOOST || '', 10)
+  return Number.isFinite(boost) ? boost : 5
+}
+
+export function shareUrl(code: string): string {
+  const site = (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/$/, '')
+  return `${site}/?ref=${code}`
+}
+
+export type QueueEntry = { referral_code: string; position: number; referrals: number }
+
+/**
+ * Order the queue: signup order, minus `boost` places per referral that counts. Only confirmed
+ * signups hold a place (everyone, when double opt-in is off), and only their referrals count.
+ * Ties keep signup order. `rows` must be oldest first, as listWaitlist returns them.
+ */
+export function rankQueue(rows: QueueRow[], { boost = referralBoost(), confirmedOnly = doubleOptIn() } = {}): QueueEntry[] {
+  const members = rows.filter(r => r.referral_code && (!confirmedOnly || r.confirmed_at))
+  const referrals = new Map<string, number>()
+  for (const r of members) {
+    if (r.referred_by) referrals.set(r.referred_by, (referrals.get(r.referred_by) || 0) + 1)
+  }
+  return members
+    .map((r, index) => ({ code: r.referral_code, index, referrals: referrals.get(r.referral_code) || 0 }))
+    .map(e => ({ ...e, score: e.index - boost * e.referrals }))
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map((e, i) => ({ referral_code: e.code, position: i + 1, referrals: e.referrals }))
+}
+
+export type WaitlistStatus = {
+  code: string
+  confirmed: boolean
+  /** 1-based; null until the signup is confirmed */
+  position: number | null
+  total: number
+  referrals: number
+  /** Friends who joined through the link but haven't confirmed yet */
+  pendingReferrals: number
+  boost: number
+  shareUrl: string
+}
+
+/** Where the signup holding `code` stands, or null for an unknown code. */
+export async function waitlistStatus(code: string): Promise<WaitlistStatus | null> {
+  const signup = await findSignup({ code })
+  if (!signup) return null
+  const rows = await listWaitlist()
+  const queue = rankQueue(rows)
+  const entry = queue.find(e => e.referral_code === code)
+  const joined = rows.filter(r => r.referred_by === code).length
+  return {
+    code,
+    confirmed: !!signup.confirmed_at || !doubleOptIn(),
+    position: entry ? entry.position : null,
+    total: queue.length,
+    referrals: entry ? entry.referrals : 0,
+    pendingReferrals: joined - (entry ? entry.referrals : 0),
+    boost: referralBoost(),
+    shareUrl: shareUrl(code),
+  }
+}
@@ -0,0 +1,13 @@
+// middleware.ts
+// Clerk needs its middleware for getAuth() in API routes. Skipped until a real key
+// is configured so the app still boots with the placeholder .env.local.
+import { NextResponse } from 'next/server';
+import { clerkMiddleware } from '@clerk/nextjs/server';
+
+const hasClerk = (process.env.NEXT_PUBLIC_CLERK_PUBLISHABLE_KEY || '').length > 20;
+
+export default hasClerk ? clerkMiddleware() : () => NextResponse.next();
+
+export const config = {
+  matcher: ['/((?!_next|.*\\..*).*)', '/(api|trpc)(.*)'],
+};
@@ -0,0 +1,2 @@
+/** @type {import('next').NextConfig} */
+module.exports = { reactStrictMode: true{{#deploy_docker}}, output: 'standalone'{{/deploy_docker}} };
@@ -0,0 +1,54 @@
+// pages/_app.tsx
+import '../styles/globals.css';
+import { ChakraProvider } from '@chakra-ui/react';
+import { useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { AuthProvider } from '../lib/auth';
+import { injectAnalytics } from '../lib/analytics';
+import { track } from '../lib/track';
+import { initConsentMode, whenGranted } from '../lib/consent';
+import ConsentBanner from '../components/ConsentBanner';
+
+export default function App({ Component, pageProps }) {
+  // Third-party scripts load only once their consent category is granted (lib/consent.ts)
+  useEffect(() => {
+    initConsentMode();
+    whenGranted('analytics', injectAnalytics);
+  }, []);
+
+  // Capture UTM and referral params globally
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const utmKeys = ['utm_source','utm_medium','utm_campaign','utm_term','utm_content'];
+    const params = {};
+    utmKeys.forEach(k => {
+      const v = url.searchParams.get(k);
+      if (v) {
+        localStorage.setItem(k, v);
+        params[k] = v;
+      }
+    });
+    window.__UTM__ = params;
+    // Referral code from a waitlist share link (/?ref=…); WaitlistForm sends it with the signup
+    const ref = url.searchParams.get('ref');
+    if (ref && /^[a-z0-9]{6,16}$/i.test(ref)) localStorage.setItem('ref', ref.toLowerCase());
+  }, []);
+
+  // First-party page views (lib/track.ts)
+  const router = useRouter();
+  useEffect(() => {
+    const pageView = (url: string) => track('page_view', { path: url.split('?')[0], referrer: document.referrer || undefined, title: document.title });
+    pageView(window.location.pathname);
+    router.events.on('routeChangeComplete', pageView);
+    return () => router.events.off('routeChangeComplete', pageView);
+  }, [router.events]);
+
+  return (
+    <AuthProvider>
+      <ChakraProvider>
+        <Component {...pageProps} />
+        <ConsentBanner />
+      </ChakraProvider>
+    </AuthProvider>
+  );
+}
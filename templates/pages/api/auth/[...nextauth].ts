@@ -0,0 +1,35 @@
+// pages/api/auth/[...nextauth].ts
+// Auth.js credentials login. Works fully offline: sessions are JWTs, no database or
+// email service required. Set AUTH_CREDENTIALS_PASSWORD to require a shared password; without it
+// anyone could sign in as any address, so production refuses every sign-in until it is set.
+// The address is never verified either way, so nothing should be granted on the email alone.
+import NextAuth, { type NextAuthOptions } from 'next-auth';
+import CredentialsProvider from 'next-auth/providers/credentials';
+
+export const authOptions: NextAuthOptions = {
+  secret: process.env.NEXTAUTH_SECRET,
+  session: { strategy: 'jwt' },
+  pages: { signIn: '/sign-in' },
+  providers: [
+    CredentialsProvider({
+      name: 'Email',
+      credentials: {
+        email: { label: 'Email', type: 'email' },
+        password: { label: 'Password', type: 'password' },
+      },
+      async authorize(credentials) {
+        const email = String(credentials?.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+        const required = process.env.AUTH_CREDENTIALS_PASSWORD;
+        if (!required && process.env.NODE_ENV === 'production') {
+          console.error('credentials sign-in refused: set AUTH_CREDENTIALS_PASSWORD to allow it in production');
+          return null;
+        }
+        if (required && credentials?.password !== required) return null;
+        return { id: email, email, name: email.split('@')[0] };
+      },
+    }),
+  ],
+};
+
+export default NextAuth(authOptions);
@@ -0,0 +1,23 @@
+// pages/api/conversions/retry.ts
+// Redelivers queued server-side conversions that are due. Called on a schedule by
+// .github/workflows/conversions.yml (or any cron) with `Authorization: Bearer $CONVERSIONS_CRON_SECRET`.
+import { retryConversions } from '../../../lib/conversions'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).end()
+
+  const secret = process.env.CONVERSIONS_CRON_SECRET
+  const given = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  // without a secret the route only runs in development
+  if (secret ? given !== secret : process.env.NODE_ENV === 'production') {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  try {
+    const result = await retryConversions()
+    res.status(result.failed.length ? 207 : 200).json(result)
+  } catch (e) {
+    console.error('conversion retry failed', e)
+    res.status(500).json({ error: e.message })
+  }
+}
@@ -0,0 +1,23 @@
+// pages/api/drip/run.ts
+// Sends every due drip step. Called on a schedule by .github/workflows/drip.yml
+// (or any cron) with `Authorization: Bearer $DRIP_CRON_SECRET`. Add ?dryRun=1 to only count.
+import { runDrip } from '../../../lib/drip'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).end()
+
+  const secret = process.env.DRIP_CRON_SECRET
+  const given = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  // without a secret the route only runs in development
+  if (secret ? given !== secret : process.env.NODE_ENV === 'production') {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  try {
+    const result = await runDrip({ dryRun: req.query.dryRun === '1' })
+    res.status(result.failed.length ? 207 : 200).json(result)
+  } catch (e) {
+    console.error('drip run failed', e)
+    res.status(500).json({ error: e.message })
+  }
+}
@@ -0,0 +1,25 @@
+// pages/api/drip/unsubscribe.ts
+// Target of the signed unsubscribe link in every drip email. GET is the link itself;
+// POST handles one-click unsubscribe from mail clients (List-Unsubscribe-Post).
+import { unsubscribe, verifyUnsubscribeToken } from '../../../lib/drip'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).end()
+
+  const email = String(req.query.email || '')
+  const token = String(req.query.token || '')
+  if (!email || !verifyUnsubscribeToken(email, token)) {
+    return res.status(400).send('This unsubscribe link is invalid or has expired.')
+  }
+
+  try {
+    await unsubscribe(email)
+  } catch (e) {
+    console.error('unsubscribe failed', e)
+    return res.status(500).send('Something went wrong. Please try again later.')
+  }
+
+  if (req.method === 'POST') return res.status(200).json({ ok: true })
+  res.setHeader('Content-Type', 'text/html; charset=utf-8')
+  res.status(200).send(`<!doctype html><title>Unsubscribed</title><p style="font-family:sans-serif">You’re unsubscribed and won’t get any more of these emails.</p>`)
+}
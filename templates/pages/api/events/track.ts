@@ -0,0 +1,72 @@
+// pages/api/events/track.ts
+// Collects batches from lib/track.ts: { anonymousId, utm, events: [{ name, props, ts, path, sessionId }] }.
+// Each event is checked against lib/events.ts, the caller is rate-limited per IP, and the
+// server adds its own context (receive time, user agent, country, signed-in user) before storing.
+import crypto from 'crypto';
+import { trackEvent } from '../../../lib/repository';
+import { validateEvent } from '../../../lib/events';
+import { rateLimit, clientIp } from '../../../lib/rateLimit';
+import { getServerUser } from '../../../lib/authServer';
+
+export const config = { api: { bodyParser: { sizeLimit: '64kb' } } };
+
+const MAX_EVENTS = 50;
+const LIMIT = { limit: 60, windowMs: 60 * 1000 };
+
+function short(value: unknown, max = 200): string | null {
+  return typeof value === 'string' && value ? value.slice(0, max) : null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const ip = clientIp(req);
+  const limited = rateLimit(`track:${ip}`, LIMIT);
+  if (!limited.ok) {
+    res.setHeader('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: 'Too many requests' });
+  }
+
+  let body = req.body;
+  // sendBeacon payloads can arrive as text
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { return res.status(400).json({ error: 'Invalid JSON' }); }
+  }
+  const events = Array.isArray(body?.events) ? body.events : null;
+  if (!events || !events.length) return res.status(400).json({ error: 'Expected { events: [...] }' });
+  if (events.length > MAX_EVENTS) return res.status(413).json({ error: `At most ${MAX_EVENTS} events per batch` });
+
+  const user = await getServerUser(req, res).catch(() => null);
+  const context = {
+    received_at: new Date().toISOString(),
+    user_agent: short(req.headers['user-agent'], 400),
+    country: short(req.headers['x-vercel-ip-country'] || req.headers['x-country'] || req.headers['cf-ipcountry'], 8),
+    // hashed so raw addresses are never stored
+    ip_hash: crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16),
+    user_id: user?.id || null,
+  };
+  const utm = body.utm && typeof body.utm === 'object' ? body.utm : {};
+
+  const rejected: { index: number; errors: string[] }[] = [];
+  let accepted = 0;
+  try {
+    for (const [index, e] of events.entries()) {
+      const errors = validateEvent(e?.name, e?.props);
+      if (errors.length) { rejected.push({ index, errors }); continue; }
+      await trackEvent(e.name, {
+        props: e.props || {},
+        anonymous_id: short(body.anonymousId, 64),
+        session_id: short(e.sessionId, 64),
+        path: short(e.path, 500),
+        client_ts: short(e.ts, 40),
+        utm: Object.fromEntries(Object.entries(utm).filter(([k, v]) => k.startsWith('utm_') && typeof v === 'string').map(([k, v]) => [k, short(v)])),
+        context,
+      });
+      accepted++;
+    }
+  } catch (err) {
+    console.error('track failed', err);
+    return res.status(500).json({ error: 'Could not store events' });
+  }
+  res.status(accepted ? 200 : 400).json({ ok: accepted > 0, accepted, rejected });
+}
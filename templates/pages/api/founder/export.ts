@@ -0,0 +1,24 @@
+// pages/api/founder/export.ts
+// CSV downloads for the founder dashboard: ?kind=signups|daily|sources|funnel|referrers&from=YYYY-MM-DD&to=YYYY-MM-DD
+import { requireAdmin } from '../../../lib/admin';
+import { EXPORTS, ExportKind, exportCsv, funnelReport, parseRange } from '../../../lib/funnel';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+  const { admin } = await requireAdmin(req, res);
+  if (!admin) return res.status(403).json({ error: 'Admins only ({{#auth_clerk}}ADMIN_USER_IDS / ADMIN_EMAILS{{/auth_clerk}}{{^auth_clerk}}ADMIN_TOKEN{{/auth_clerk}})' });
+
+  const kind = String(req.query.kind || 'signups') as ExportKind;
+  if (!EXPORTS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${EXPORTS.join(', ')}` });
+
+  try {
+    const range = parseRange(req.query);
+    const csv = exportCsv(await funnelReport(range), kind);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${kind}-${range.from}-${range.to}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('founder export failed', err);
+    res.status(500).json({ error: err.message });
+  }
+}
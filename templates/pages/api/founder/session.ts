@@ -0,0 +1,29 @@
+// pages/api/founder/session.ts
+// Founder sign-in for projects whose auth can't vouch for a user id (lib/admin.ts): POST the
+// ADMIN_TOKEN secret from the /founder form to get the admin cookie, DELETE to drop it. Attempts
+// are rate-limited per IP so the token can't be guessed online.
+import { ADMIN_COOKIE, adminSession, isAdminToken } from '../../../lib/admin';
+import { clientIp, rateLimit } from '../../../lib/rateLimit';
+
+const ATTEMPT_LIMIT = { limit: 5, windowMs: 15 * 60 * 1000 };
+const MAX_AGE = 7 * 24 * 60 * 60;
+
+export default async function handler(req, res) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  if (req.method === 'DELETE') {
+    res.setHeader('Set-Cookie', `${ADMIN_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0${secure}`);
+    return res.status(204).end();
+  }
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const limited = rateLimit(`admin-token:${clientIp(req)}`, ATTEMPT_LIMIT);
+  if (!limited.ok) {
+    res.setHeader('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: 'Too many attempts. Try again later.' });
+  }
+  // the form posts here directly, so answer with a redirect back to the dashboard either way
+  if (!isAdminToken(req.body?.token)) return res.redirect(303, '/founder?denied=1');
+
+  res.setHeader('Set-Cookie', `${ADMIN_COOKIE}=${adminSession()}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${MAX_AGE}${secure}`);
+  res.redirect(303, '/founder');
+}
@@ -0,0 +1 @@
+export default function handler(req, res) { res.json({ ok: true, now: Date.now() }); }
@@ -0,0 +1,46 @@
+// pages/api/invitations/accept.ts
+// POST { token } from the /invite page: the signed-in user joins the invitation's organization,
+// which becomes their active one. The user's email must be verified by the auth provider and match
+// the invited address; whoever holds the link is not enough. Auth.js credentials and `none` have no
+// verified email, so their users can't accept invitations.
+import { getServerUser } from '../../../lib/authServer';
+import { hashInviteToken, setActiveOrg } from '../../../lib/org';
+import { acceptInvitation, findInvitation, getMembership } from '../../../lib/repository';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+  const user = await getServerUser(req, res);
+  if (!user) return res.status(401).json({ error: 'Sign in to accept the invitation.' });
+
+  const token = typeof req.body?.token === 'string' ? req.body.token : '';
+  try {
+    const invitation = token ? await findInvitation(hashInviteToken(token)) : null;
+    if (!invitation) return res.status(404).json({ status: 'invalid' });
+    if (invitation.accepted_at) {
+      const member = await getMembership(invitation.org_id, user.id);
+      if (!member) return res.status(410).json({ status: 'used' });
+      setActiveOrg(res, invitation.org_id);
+      return res.json({ ok: true, status: 'already' });
+    }
+    if (Date.parse(invitation.expires_at) < Date.now()) return res.status(410).json({ status: 'expired' });
+    if (!user.email || !user.emailVerified) {
+      return res.status(403).json({
+        status: 'unverified',
+        error: user.email
+          ? `Verify ${user.email} with your account first, then accept the invitation again.`
+          : 'Your account has no verified email address, so it can’t accept invitations.',
+      });
+    }
+    if (user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({ status: 'wrong_account', error: `This invitation was sent to ${invitation.email}.` });
+    }
+
+    const accepted = await acceptInvitation(invitation, { userId: user.id, email: user.email });
+    if (!accepted) return res.status(410).json({ status: 'used' });
+    setActiveOrg(res, invitation.org_id);
+    res.json({ ok: true, status: 'accepted' });
+  } catch (err) {
+    console.error('accepting invitation failed', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+}
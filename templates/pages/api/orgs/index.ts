@@ -0,0 +1,23 @@
+// pages/api/orgs/index.ts
+// GET: the caller's organizations and which one is active. POST { name }: create an organization
+// owned by the caller and switch to it.
+import { setActiveOrg, withOrg } from '../../../lib/org';
+import { createOrganization } from '../../../lib/repository';
+
+export default withOrg(async (req, res, { user, org, orgs }) => {
+  if (req.method === 'GET') {
+    return res.json({ active: org.id, orgs: orgs.map(o => ({ id: o.id, name: o.name, role: o.role })) });
+  }
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 80) return res.status(400).json({ error: 'Give the organization a name (up to 80 characters).' });
+  try {
+    const created = await createOrganization({ name, userId: user.id, email: user.email });
+    setActiveOrg(res, created.id);
+    res.status(201).json({ org: { ...created, role: 'owner' } });
+  } catch (err) {
+    console.error('creating organization failed', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
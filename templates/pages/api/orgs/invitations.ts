@@ -0,0 +1,48 @@
+// pages/api/orgs/invitations.ts
+// Admins invite people to the active organization. POST { email, role } emails a one-time link to
+// /invite; DELETE ?id= revokes a pending invitation.
+import { newInvite, sendInvitation, withOrg } from '../../../lib/org';
+import { createInvitation, deleteInvitation, listMembers } from '../../../lib/repository';
+import { rateLimit } from '../../../lib/rateLimit';
+import { normalizeEmail } from '../../../lib/signup';
+
+const INVITE_LIMIT = { limit: 20, windowMs: 60 * 60 * 1000 };
+const ROLES = ['member', 'admin'];
+
+export default withOrg(async (req, res, { user, org }) => {
+  try {
+    if (req.method === 'DELETE') {
+      const deleted = await deleteInvitation(org.id, String(req.query.id || ''));
+      return deleted ? res.json({ ok: true }) : res.status(404).json({ error: 'No such invitation.' });
+    }
+    if (req.method !== 'POST') return res.status(405).end();
+
+    const email = normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: 'Enter a valid email address.', field: 'email' });
+    const role = ROLES.includes(req.body?.role) ? req.body.role : 'member';
+
+    const members = await listMembers(org.id);
+    if (members.some(m => m.email?.toLowerCase() === email)) {
+      return res.status(409).json({ error: `${email} is already a member of ${org.name}.`, field: 'email' });
+    }
+    const limited = rateLimit(`invite:${org.id}`, INVITE_LIMIT);
+    if (!limited.ok) {
+      res.setHeader('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({ error: 'Too many invitations from this organization. Try again later.' });
+    }
+
+    const { token, tokenHash, expiresAt } = newInvite();
+    const invitation = await createInvitation({ orgId: org.id, email, role, tokenHash, invitedBy: user.id, expiresAt });
+    try {
+      await sendInvitation({ email, orgName: org.name, invitedBy: user.email, token });
+    } catch (e) {
+      console.error('invitation email failed', email, e);
+      await deleteInvitation(org.id, invitation.id);
+      return res.status(502).json({ error: 'We couldn’t send the invitation email. Please try again shortly.' });
+    }
+    res.status(201).json({ invitation });
+  } catch (err) {
+    console.error('invitation request failed', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+}, { role: 'admin' });
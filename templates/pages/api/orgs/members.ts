@@ -0,0 +1,37 @@
+// pages/api/orgs/members.ts
+// Members of the active organization. GET lists them (plus pending invitations for admins).
+// DELETE ?userId= removes someone: admins remove members, owners remove anyone, and everyone can
+// leave. The last owner can't leave or be removed.
+import { hasRole, ROLE_RANK, withOrg } from '../../../lib/org';
+import { listInvitations, listMembers, removeMember } from '../../../lib/repository';
+
+export default withOrg(async (req, res, { user, org, role }) => {
+  try {
+    if (req.method === 'GET') {
+      const [members, invitations] = await Promise.all([
+        listMembers(org.id),
+        hasRole(role, 'admin') ? listInvitations(org.id) : Promise.resolve([]),
+      ]);
+      return res.json({ org: { id: org.id, name: org.name }, role, userId: user.id, members, invitations });
+    }
+    if (req.method !== 'DELETE') return res.status(405).end();
+
+    const userId = String(req.query.userId || '');
+    const members = await listMembers(org.id);
+    const target = members.find(m => m.user_id === userId);
+    if (!target) return res.status(404).json({ error: 'No such member.' });
+    // admins only remove people ranked below them, so they can't remove each other
+    const outranks = role === 'owner' || ROLE_RANK[role] > ROLE_RANK[target.role];
+    if (userId !== user.id && !(hasRole(role, 'admin') && outranks)) {
+      return res.status(403).json({ error: 'You can’t remove this member.' });
+    }
+    if (target.role === 'owner' && members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner.' });
+    }
+    await removeMember(org.id, userId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('members request failed', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
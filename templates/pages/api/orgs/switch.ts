@@ -0,0 +1,11 @@
+// pages/api/orgs/switch.ts
+// POST { orgId }: make another of the caller's organizations the active one (org_id cookie).
+import { setActiveOrg, withOrg } from '../../../lib/org';
+
+export default withOrg(async (req, res, { orgs }) => {
+  if (req.method !== 'POST') return res.status(405).end();
+  const target = orgs.find(o => o.id === req.body?.orgId);
+  if (!target) return res.status(404).json({ error: 'You are not a member of that organization.' });
+  setActiveOrg(res, target.id);
+  res.json({ ok: true, org: { id: target.id, name: target.name, role: target.role } });
+});
@@ -0,0 +1,95 @@
+// pages/api/signups/add.ts
+// Waitlist signup: normalizes and validates the email, rate-limits per IP, drops honeypot hits,
+// checks the captcha when one is configured and stores one row per address. Repeat signups get
+// the same answer as the first. With double opt-in (the default) the address gets a confirmation
+// link and counts once it is clicked (pages/confirm.tsx). A `ref` code from a share link records
+// who referred the signup (lib/waitlist.ts); the answer carries the signup's own code.
+import { randomUUID } from 'crypto'
+import { findSignup, insertSignup, trackEvent } from '../../../lib/repository'
+import { clearRateLimit, clientIp, rateLimit } from '../../../lib/rateLimit'
+import { doubleOptIn, mailboxKey, normalizeEmail, sendConfirmation, verifyCaptcha } from '../../../lib/signup'
+import { normalizeCode, referralCode } from '../../../lib/waitlist'
+
+export const config = { api: { bodyParser: { sizeLimit: '8kb' } } }
+
+const SIGNUP_LIMIT = { limit: 5, windowMs: 10 * 60 * 1000 }
+// each inbox gets at most one confirmation email per window, whichever IPs and +tag aliases ask for it
+const CONFIRM_LIMIT = { limit: 1, windowMs: 10 * 60 * 1000 }
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+
+function cleanUtm(utm: any): Record<string, string> | null {
+  if (!utm || typeof utm !== 'object') return null
+  const out = {}
+  for (const k of UTM_KEYS) if (typeof utm[k] === 'string' && utm[k]) out[k] = utm[k].slice(0, 200)
+  return Object.keys(out).length ? out : null
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end()
+
+  const ip = clientIp(req)
+  const limited = rateLimit(`signup:${ip}`, SIGNUP_LIMIT)
+  if (!limited.ok) {
+    res.setHeader('Retry-After', String(limited.retryAfter))
+    return res.status(429).json({ error: 'Too many signups from this network. Try again in a few minutes.' })
+  }
+
+  try {
+    const { email: rawEmail, source, utm, website, captcha, ref } = req.body || {}
+    // honeypot: a field people never see; bots that fill it get a normal-looking answer
+    if (website) return res.status(200).json({ ok: true, status: doubleOptIn() ? 'pending' : 'subscribed' })
+
+    const email = normalizeEmail(rawEmail)
+    if (!email) return res.status(400).json({ error: 'Enter a valid email address.', field: 'email' })
+
+    if (!(await verifyCaptcha(captcha, ip))) {
+      return res.status(400).json({ error: 'Please complete the captcha and try again.', field: 'captcha' })
+    }
+
+    const metadata = {
+      source: typeof source === 'string' && source ? source.slice(0, 64) : 'landing',
+      utm: cleanUtm(utm),
+      ua: String(req.headers['user-agent'] || '').slice(0, 500),
+      ts: new Date().toISOString()
+    }
+
+    // unknown codes and self-referrals are ignored rather than rejected
+    const code = normalizeCode(ref)
+    const referrer = code ? await findSignup({ code }) : null
+    const referredBy = referrer && referrer.email !== email ? referrer.referral_code : null
+
+    const result = await insertSignup({
+      email,
+      source: metadata.source,
+      metadata,
+      confirmed: !doubleOptIn(),
+      referralCode: referralCode(),
+      referredBy
+    })
+    if (result.created && referredBy) {
+      await trackEvent('referral_signup', { referrer: referredBy, referrer_email: referrer.email, code: result.referral_code })
+    }
+
+    const confirmKey = `confirm:${mailboxKey(email)}`
+    if (!result.confirmed && rateLimit(confirmKey, CONFIRM_LIMIT).ok) {
+      try {
+        await sendConfirmation(email)
+      } catch (e) {
+        // nothing was sent, so don't let the failed attempt use up the window: the retry we ask for must send
+        clearRateLimit(confirmKey)
+        console.error('confirmation email failed', email, e)
+        return res.status(502).json({ error: 'We couldn’t send the confirmation email. Please try again shortly.' })
+      }
+    }
+
+    const status = result.confirmed ? (result.created ? 'subscribed' : 'already_subscribed') : 'pending'
+
+    // The browser pixel sends its Lead with the same id (components/WaitlistForm.tsx) so ad platforms count it once
+    const eventId = randomUUID()
+
+    res.status(200).json({ ok: true, status, referralCode: result.referral_code, ...(result.created && { eventId }) })
+  } catch (err) {
+    console.error('signup failed', err)
+    res.status(500).json({ error: 'Something went wrong. Please try again.' })
+  }
+}
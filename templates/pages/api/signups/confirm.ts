@@ -0,0 +1,25 @@
+// pages/api/signups/confirm.ts
+// Second half of double opt-in: the /confirm page posts the emailed email + token here.
+// Answers with the signup's referral code so the page can link to its waitlist spot.
+// A POST (not the link's GET) so mail scanners that prefetch links don't confirm on the reader's behalf.
+import { confirmSignup, findSignup } from '../../../lib/repository'
+import { normalizeEmail, verifyConfirmToken } from '../../../lib/signup'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end()
+
+  const { email: rawEmail, token } = req.body || {}
+  const email = normalizeEmail(rawEmail)
+  const check = email ? verifyConfirmToken(email, token) : 'invalid'
+  if (check !== 'valid') return res.status(400).json({ ok: false, status: check })
+
+  try {
+    const result = await confirmSignup(email)
+    if (result === 'missing') return res.status(404).json({ ok: false, status: 'invalid' })
+    const signup = await findSignup({ email })
+    res.status(200).json({ ok: true, status: result, referralCode: signup?.referral_code })
+  } catch (e) {
+    console.error('signup confirmation failed', e)
+    res.status(500).json({ ok: false, error: 'Something went wrong. Please try again.' })
+  }
+}
@@ -0,0 +1,61 @@
+import { stripe } from '../../../lib/stripe';
+import { planForPrice } from '../../../lib/billing';
+{{#tenancy_multi}}
+import { withOrg } from '../../../lib/org';
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+import { getServerUser } from '../../../lib/authServer';
+{{/tenancy_multi}}
+import { findCustomerId, trackEvent } from '../../../lib/repository';
+
+{{#tenancy_multi}}
+// The subscription belongs to the active organization; only its admins and owners can buy one
+export default withOrg(async function handler(req, res, { user, org }) {
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export default async function handler(req, res) {
+{{/tenancy_multi}}
+  if (req.method !== 'POST') return res.status(405).end();
+  const priceId = req.body?.priceId || process.env.STRIPE_PRICE_PRO;
+  if (!priceId) return res.status(400).json({ error: 'missing priceId' });
+  // Only the configured plans are for sale; any other price on the account would grant nothing
+  if (planForPrice(priceId) === 'free') return res.status(400).json({ error: 'unknown priceId' });
+{{^tenancy_multi}}
+
+  const user = await getServerUser(req, res);
+  if (!user) return res.status(401).json({ error: 'sign in first' });
+{{/tenancy_multi}}
+
+  try {
+    const customer = await findCustomerId({{#tenancy_multi}}org.id{{/tenancy_multi}}{{^tenancy_multi}}user.id{{/tenancy_multi}});
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      payment_method_types: ['card'],
+      line_items: [{ price: priceId, quantity: 1 }],
+      // Links the payment back to the {{#tenancy_multi}}organization{{/tenancy_multi}}{{^tenancy_multi}}account{{/tenancy_multi}} in the webhook
+      client_reference_id: {{#tenancy_multi}}org.id{{/tenancy_multi}}{{^tenancy_multi}}user.id{{/tenancy_multi}},
+      metadata: {
+{{#tenancy_multi}}
+        orgId: org.id,
+{{/tenancy_multi}}
+        userId: user.id,
+        priceId,
+      },
+      subscription_data: { metadata: { {{#tenancy_multi}}orgId: org.id{{/tenancy_multi}}{{^tenancy_multi}}userId: user.id{{/tenancy_multi}} } },
+      ...(customer ? { customer } : user.email ? { customer_email: user.email } : {}),
+      success_url: process.env.SUCCESS_URL,
+      cancel_url: process.env.CANCEL_URL,
+    });
+    // the founder funnel counts this as "started checkout"; never fail the checkout over it
+    await trackEvent('checkout_started', { userId: user.id, {{#tenancy_multi}}orgId: org.id, {{/tenancy_multi}}priceId }).catch(e => console.error('checkout_started not tracked', e));
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('checkout error', err);
+    res.status(500).json({ error: err.message });
+  }
+{{#tenancy_multi}}
+}, { role: 'admin' });
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+}
+{{/tenancy_multi}}
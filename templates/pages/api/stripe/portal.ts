@@ -0,0 +1,43 @@
+import { stripe } from '../../../lib/stripe';
+{{#tenancy_multi}}
+import { withOrg } from '../../../lib/org';
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+import { getServerUser } from '../../../lib/authServer';
+{{/tenancy_multi}}
+import { findCustomerId } from '../../../lib/repository';
+
+// Stripe customer portal: manage card, switch plan, cancel.
+{{#tenancy_multi}}
+// Opens the active organization's billing account; admins and owners only.
+export default withOrg(async function handler(req, res, { org }) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const customer = await findCustomerId(org.id);
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+  const user = await getServerUser(req, res);
+  if (!user) return res.status(401).json({ error: 'sign in first' });
+
+  const customer = await findCustomerId(user.id);
+{{/tenancy_multi}}
+  if (!customer) return res.status(404).json({ error: 'no billing account yet' });
+
+  try {
+    const session = await stripe.billingPortal.sessions.create({
+      customer,
+      return_url: process.env.SUCCESS_URL,
+    });
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('portal error', err);
+    res.status(500).json({ error: err.message });
+  }
+{{#tenancy_multi}}
+}, { role: 'admin' });
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+}
+{{/tenancy_multi}}
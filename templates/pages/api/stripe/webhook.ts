@@ -0,0 +1,26 @@
+import { buffer } from 'micro';
+import { stripe } from '../../../lib/stripe';
+import { handleStripeEvent } from '../../../lib/stripeWebhooks';
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+  const sig = req.headers['stripe-signature'];
+  const buf = await buffer(req);
+  let evt;
+  try {
+    evt = stripe.webhooks.constructEvent(buf, sig, process.env.STRIPE_WEBHOOK_SECRET || '');
+  } catch (err) {
+    console.error('webhook signature error', err.message);
+    return res.status(400).send('invalid signature');
+  }
+  try {
+    const result = await handleStripeEvent(evt);
+    console.log('stripe event', evt.type, evt.id, result);
+    res.json({ received: true, result });
+  } catch (err) {
+    // Non-2xx makes Stripe retry; handleStripeEvent released the event's claim
+    console.error('webhook handler error', evt.type, err);
+    res.status(500).send('handler error');
+  }
+}
@@ -0,0 +1,9 @@
+import { Box, Heading } from '@chakra-ui/react';
+export default function Blog() {
+  return (
+    <Box p={8}>
+      <Heading>Blog</Heading>
+      <Box mt={6} bgImage="url('/shared-hero.jpg')" bgSize="cover" h="48" borderRadius="md" />
+    </Box>
+  );
+}
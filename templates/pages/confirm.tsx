@@ -0,0 +1,89 @@
+// pages/confirm.tsx
+// Where the double opt-in email links to (/confirm?email=…&token=…). The link is checked on load;
+// the signup is only confirmed when the reader presses the button (see /api/signups/confirm), then
+// the page links to the signup's place in line (pages/waitlist/[code].tsx).
+import { useState } from 'react';
+import Head from 'next/head';
+import NextLink from 'next/link';
+import { Alert, AlertIcon, Button, Container, Heading, Text, VStack } from '@chakra-ui/react';
+import { normalizeEmail, verifyConfirmToken } from '../lib/signup';
+
+type Status = 'ready' | 'confirmed' | 'already' | 'expired' | 'invalid';
+
+export async function getServerSideProps({ query }) {
+  const email = normalizeEmail(query.email);
+  const token = String(query.token || '');
+  const check = email ? verifyConfirmToken(email, token) : 'invalid';
+  return { props: { email: email || '', token, initial: check === 'valid' ? 'ready' : check } };
+}
+
+const MESSAGES: Record<Exclude<Status, 'ready'>, { title: string; text: string }> = {
+  confirmed: { title: 'You’re on the list 🎉', text: 'Thanks for confirming. We’ll email you as soon as there’s news.' },
+  already: { title: 'Already confirmed', text: 'This address is already on the waitlist. Nothing else to do!' },
+  expired: { title: 'This link has expired', text: 'Confirmation links work for 7 days. Sign up again and we’ll send a fresh one.' },
+  invalid: { title: 'This link doesn’t work', text: 'It may have been copied incompletely. Sign up again and we’ll send a fresh one.' },
+};
+
+export default function Confirm({ email, token, initial }: { email: string; token: string; initial: Status }) {
+  const [status, setStatus] = useState<Status>(initial);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [code, setCode] = useState<string | null>(null);
+
+  async function confirm() {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/signups/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, token }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (data.referralCode) setCode(data.referralCode);
+      if (data.status) setStatus(data.status);
+      else setError(data.error || 'Something went wrong. Please try again.');
+    } catch {
+      setError('Network error. Check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const message = status === 'ready' ? null : MESSAGES[status];
+  return (
+    <>
+      <Head>
+        <title>Confirm your email | {{name}}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <Container maxW="md" py={24}>
+        <VStack spacing={5} textAlign="center">
+          {message ? (
+            <>
+              <Heading size="lg">{message.title}</Heading>
+              <Text color="gray.500">{message.text}</Text>
+              {code ? (
+                <Button as={NextLink} href={`/waitlist/${code}`} colorScheme="blue">See your place in line</Button>
+              ) : (
+                <Button as={NextLink} href="/" variant="outline">Back to {{name}}</Button>
+              )}
+            </>
+          ) : (
+            <>
+              <Heading size="lg">Confirm your email</Heading>
+              <Text color="gray.500">Confirm <b>{email}</b> to hold your spot on the waitlist.</Text>
+              <Button colorScheme="blue" onClick={confirm} isLoading={loading}>Confirm my email</Button>
+              {error && (
+                <Alert status="error" rounded="md">
+                  <AlertIcon />
+                  {error}
+                </Alert>
+              )}
+            </>
+          )}
+        </VStack>
+      </Container>
+    </>
+  );
+}
@@ -0,0 +1,133 @@
+// pages/dashboard.tsx
+import { useUser, SignedIn, SignedOut, SignInButton } from '../lib/auth';
+import { Badge, Box, Button, Heading, HStack, Text, VStack } from '@chakra-ui/react';
+{{#stripe}}
+{{^tenancy_multi}}
+import { requirePlan } from '../lib/billing';
+
+// Entitlements are resolved server-side from the subscriptions table
+export async function getServerSideProps({ req, res }) {
+  try {
+    const { allowed, plan } = await requirePlan(req, res, 'pro');
+    return { props: { isPro: allowed, plan } };
+  } catch (err) {
+    console.error('requirePlan failed', err);
+    return { props: { isPro: false, plan: 'free' } };
+  }
+}
+{{/tenancy_multi}}
+{{#tenancy_multi}}
+import { getPlan, PLAN_RANK } from '../lib/billing';
+{{/tenancy_multi}}
+{{/stripe}}
+{{#tenancy_multi}}
+import { resolveOrg } from '../lib/org';
+import OrgSwitcher from '../components/OrgSwitcher';
+import TeamPanel from '../components/TeamPanel';
+
+const SIGNED_OUT = { org: null, orgs: [], role: null, userId: null{{#stripe}}, isPro: false, plan: 'free'{{/stripe}} };
+
+// The active organization{{#stripe}} and its plan are{{/stripe}}{{^stripe}} is{{/stripe}} resolved server-side (see lib/org.ts)
+export async function getServerSideProps({ req, res }) {
+  try {
+    const ctx = await resolveOrg(req, res);
+    if (!ctx) return { props: SIGNED_OUT };
+{{#stripe}}
+    const { plan } = await getPlan(ctx.org.id);
+{{/stripe}}
+    return {
+      props: {
+        org: { id: ctx.org.id, name: ctx.org.name },
+        orgs: ctx.orgs.map(o => ({ id: o.id, name: o.name, role: o.role })),
+        role: ctx.role,
+        userId: ctx.user.id,
+{{#stripe}}
+        isPro: PLAN_RANK[plan] >= PLAN_RANK.pro,
+        plan,
+{{/stripe}}
+      },
+    };
+  } catch (err) {
+    console.error('resolving organization failed', err);
+    return { props: SIGNED_OUT };
+  }
+}
+{{/tenancy_multi}}
+{{#stripe}}
+
+async function redirectTo(endpoint) {
+  const res = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  const data = await res.json();
+  if (data.url) window.location.href = data.url;
+  else alert(data.error || 'Something went wrong');
+}
+{{/stripe}}
+
+export default function Dashboard({{#tenancy_multi}}{ org, orgs, role, userId{{#stripe}}, isPro, plan{{/stripe}} }{{/tenancy_multi}}{{^tenancy_multi}}{{#stripe}}{ isPro, plan }{{/stripe}}{{/tenancy_multi}}) {
+  const { user } = useUser();
+{{#tenancy_multi}}
+{{#stripe}}
+  const isAdmin = role === 'owner' || role === 'admin';
+{{/stripe}}
+{{/tenancy_multi}}
+
+  return (
+    <Box p={8}>
+      <SignedIn>
+        <Heading>Welcome, {user?.firstName || user?.fullName || 'friend'} 👋</Heading>
+        <Text mt={4}>
+          This is your dashboard. You can share feedback, check billing, or contact the founder.
+        </Text>
+        <VStack mt={6} spacing={4} align="start">
+{{#tenancy_multi}}
+          {org && <OrgSwitcher orgs={orgs} activeId={org.id} />}
+{{/tenancy_multi}}
+{{#stripe}}
+          <Box p={4} borderWidth={1} rounded="md" w="full" maxW="lg">
+            <HStack justify="space-between">
+              <Heading size="sm">Pro analytics</Heading>
+              <Badge colorScheme={isPro ? 'green' : 'gray'}>{plan}</Badge>
+            </HStack>
+            {isPro ? (
+              <>
+                <Text mt={2} fontSize="sm">Your Pro features are unlocked.</Text>
+{{#tenancy_multi}}
+                {isAdmin && <Button mt={3} size="sm" onClick={() => redirectTo('/api/stripe/portal')}>Manage billing</Button>}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+                <Button mt={3} size="sm" onClick={() => redirectTo('/api/stripe/portal')}>Manage billing</Button>
+{{/tenancy_multi}}
+              </>
+            ) : (
+              <>
+{{#tenancy_multi}}
+                <Text mt={2} fontSize="sm" color="gray.500">
+                  {isAdmin ? `Upgrade ${org?.name} to Pro to unlock advanced analytics.` : 'Ask an admin to upgrade to Pro for advanced analytics.'}
+                </Text>
+                {isAdmin && <Button mt={3} size="sm" colorScheme="blue" onClick={() => redirectTo('/api/stripe/create-checkout')}>Upgrade to Pro</Button>}
+{{/tenancy_multi}}
+{{^tenancy_multi}}
+                <Text mt={2} fontSize="sm" color="gray.500">Upgrade to Pro to unlock advanced analytics.</Text>
+                <Button mt={3} size="sm" colorScheme="blue" onClick={() => redirectTo('/api/stripe/create-checkout')}>Upgrade to Pro</Button>
+{{/tenancy_multi}}
+              </>
+            )}
+          </Box>
+{{/stripe}}
+{{#tenancy_multi}}
+          {org && <TeamPanel orgName={org.name} role={role} userId={userId} />}
+{{/tenancy_multi}}
+        </VStack>
+      </SignedIn>
+{{^auth_none}}
+      <SignedOut>
+        <Text>Please sign in to view dashboard.</Text>
+        <SignInButton>
+          <Button mt={4}>Sign in</Button>
+        </SignInButton>
+      </SignedOut>
+{{/auth_none}}
+    </Box>
+  );
+}
+
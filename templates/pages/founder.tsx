@@ -0,0 +1,217 @@
+// pages/founder.tsx
+// Founder dashboard: signups, the visit → signup{{#stripe}} → checkout → paid{{/stripe}} funnel, UTM sources,
+// referrals and recent feedback for a date range. Admins only ({{#auth_clerk}}ADMIN_USER_IDS / ADMIN_EMAILS{{/auth_clerk}}{{^auth_clerk}}ADMIN_TOKEN, see lib/admin.ts{{/auth_clerk}}).
+import {
+  Box, Button, Container, Flex, Heading, HStack, Input, Link, SimpleGrid, Stat, StatHelpText,
+  StatLabel, StatNumber, Table, Tbody, Td, Text, Th, Thead, Tr, VStack,
+} from '@chakra-ui/react';
+import { requireAdmin } from '../lib/admin';
+import { funnelReport, parseRange, FunnelReport, Range } from '../lib/funnel';
+
+type Props = {
+  admin: boolean;
+{{#auth_clerk}}
+  signedIn?: boolean;
+{{/auth_clerk}}
+{{^auth_clerk}}
+  denied?: boolean;
+{{/auth_clerk}}
+  range?: Range;
+  report?: Omit<FunnelReport, 'signups'>;
+  recentSignups?: FunnelReport['signups'];
+  error?: string;
+};
+
+export async function getServerSideProps({ req, res, query }) {
+  const { user, admin } = await requireAdmin(req, res);
+  if (!admin) {
+    res.statusCode = 403;
+{{#auth_clerk}}
+    // the id goes to the server log for the founder to copy, never back to whoever asked
+    if (user) console.warn(`founder dashboard refused user ${user.id}`);
+    return { props: { admin: false, signedIn: !!user } };
+{{/auth_clerk}}
+{{^auth_clerk}}
+    return { props: { admin: false, denied: !!query.denied } };
+{{/auth_clerk}}
+  }
+  const range = parseRange(query);
+  try {
+    const { signups, ...report } = await funnelReport(range);
+    return { props: { admin: true, range, report, recentSignups: signups.slice(0, 10) } };
+  } catch (err) {
+    console.error('founder report failed', err);
+    return { props: { admin: true, error: err.message, range } };
+  }
+}
+
+const pct = (rate: number | null) => (rate === null ? '' : `${Math.round(rate * 1000) / 10}%`);
+
+function exportLink(kind: string, range: Range) {
+  return `/api/founder/export?kind=${kind}&from=${range.from}&to=${range.to}`;
+}
+
+function RangeForm({ range }: { range: Range }) {
+  return (
+    <form method="get">
+      <HStack spacing={2}>
+        <Input type="date" name="from" defaultValue={range.from} size="sm" maxW="160px" />
+        <Text>→</Text>
+        <Input type="date" name="to" defaultValue={range.to} size="sm" maxW="160px" />
+        <Button type="submit" size="sm">Apply</Button>
+      </HStack>
+    </form>
+  );
+}
+
+export default function Founder({ admin, {{#auth_clerk}}signedIn{{/auth_clerk}}{{^auth_clerk}}denied{{/auth_clerk}}, range, report, recentSignups, error }: Props) {
+  if (!admin) {
+    return (
+      <Container maxW="lg" py={16}>
+        <Heading size="md">Founder dashboard</Heading>
+{{#auth_clerk}}
+        <Text mt={4}>
+          {signedIn
+            ? 'Your account is not an admin. The server log shows its user id; add that to ADMIN_USER_IDS and restart.'
+            : 'Sign in with an admin account to see this page.'}
+        </Text>
+{{/auth_clerk}}
+{{^auth_clerk}}
+        <Text mt={4}>Enter the ADMIN_TOKEN from the server environment.</Text>
+        <form method="post" action="/api/founder/session">
+          <HStack mt={4} spacing={2}>
+            <Input type="password" name="token" autoComplete="current-password" size="sm" required />
+            <Button type="submit" size="sm">Continue</Button>
+          </HStack>
+        </form>
+        {denied && <Text mt={2} color="red.500">That is not the ADMIN_TOKEN, or ADMIN_TOKEN is not set.</Text>}
+{{/auth_clerk}}
+      </Container>
+    );
+  }
+  if (error) {
+    return (
+      <Container maxW="lg" py={16}>
+        <Heading size="md">Founder dashboard</Heading>
+        <RangeForm range={range} />
+        <Text mt={4} color="red.500">Could not load the report: {error}</Text>
+      </Container>
+    );
+  }
+  const peak = Math.max(1, ...report.daily.map(d => Math.max(d.visitors, d.signups)));
+
+  return (
+    <Container maxW="6xl" py={8}>
+      <Flex justify="space-between" align="center" wrap="wrap" gap={4}>
+        <Heading size="lg">Founder dashboard</Heading>
+        <RangeForm range={range} />
+      </Flex>
+      {report.truncated && (
+        <Text mt={2} fontSize="sm" color="orange.500">This range has more rows than the dashboard reads; narrow it for exact numbers.</Text>
+      )}
+
+      <SimpleGrid columns={{ base: 2, md: report.funnel.length }} spacing={4} mt={6}>
+        {report.funnel.map(step => (
+          <Stat key={step.step} p={4} borderWidth={1} rounded="md">
+            <StatLabel>{step.label}</StatLabel>
+            <StatNumber>{step.count}</StatNumber>
+            <StatHelpText>{step.rate === null ? `${range.from} → ${range.to}` : `${pct(step.rate)} of previous step`}</StatHelpText>
+          </Stat>
+        ))}
+      </SimpleGrid>
+
+      <Box mt={10}>
+        <HStack justify="space-between">
+          <Heading size="md">Daily</Heading>
+          <Link href={exportLink('daily', range)} fontSize="sm">Export CSV</Link>
+        </HStack>
+        <VStack align="stretch" spacing={1} mt={3}>
+          {report.daily.map(d => (
+            <HStack key={d.date} fontSize="sm" spacing={3}>
+              <Text w="90px" color="gray.500">{d.date.slice(5)}</Text>
+              <Box flex={1}>
+                <Box h="6px" bg="blue.200" rounded="sm" w={`${(d.visitors / peak) * 100}%`} />
+                <Box h="6px" mt="1px" bg="teal.500" rounded="sm" w={`${(d.signups / peak) * 100}%`} />
+              </Box>
+              <Text w="140px" textAlign="right">{d.visitors} visitors · {d.signups} signups</Text>
+            </HStack>
+          ))}
+        </VStack>
+      </Box>
+
+      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={10} mt={10}>
+        <Box>
+          <HStack justify="space-between">
+            <Heading size="md">Sources</Heading>
+            <Link href={exportLink('sources', range)} fontSize="sm">Export CSV</Link>
+          </HStack>
+          <Table size="sm" mt={3}>
+            <Thead><Tr><Th>utm_source</Th><Th>utm_campaign</Th><Th isNumeric>Visitors</Th><Th isNumeric>Signups</Th></Tr></Thead>
+            <Tbody>
+              {report.sources.map(s => (
+                <Tr key={`${s.source}/${s.campaign}`}>
+                  <Td>{s.source}</Td><Td>{s.campaign}</Td><Td isNumeric>{s.visitors}</Td><Td isNumeric>{s.signups}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+
+        <Box>
+          <HStack justify="space-between">
+            <Heading size="md">Recent signups</Heading>
+            <Link href={exportLink('signups', range)} fontSize="sm">Export CSV</Link>
+          </HStack>
+          <Table size="sm" mt={3}>
+            <Thead><Tr><Th>When</Th><Th>Email</Th><Th>Source</Th></Tr></Thead>
+            <Tbody>
+              {recentSignups.map(s => (
+                <Tr key={s.id}><Td>{s.created_at.slice(0, 16).replace('T', ' ')}</Td><Td>{s.email}</Td><Td>{s.metadata?.utm?.utm_source || s.source}</Td></Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+      </SimpleGrid>
+
+      <Box mt={10}>
+        <HStack justify="space-between">
+          <Heading size="md">Referrals</Heading>
+          <Link href={exportLink('referrers', range)} fontSize="sm">Export CSV</Link>
+        </HStack>
+        <Text mt={1} fontSize="sm" color="gray.500">
+          {report.referrals.total} signups came through a share link in this range.
+        </Text>
+        {report.referrals.top.length > 0 && (
+          <Table size="sm" mt={3} maxW="2xl">
+            <Thead><Tr><Th>Referrer</Th><Th>Code</Th><Th isNumeric>Referred signups</Th></Tr></Thead>
+            <Tbody>
+              {report.referrals.top.map(r => (
+                <Tr key={r.code}>
+                  <Td>{r.email}</Td>
+                  <Td><Link href={`/waitlist/${r.code}`}>{r.code}</Link></Td>
+                  <Td isNumeric>{r.referrals}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        )}
+      </Box>
+
+      <Box mt={10}>
+        <Heading size="md">Recent feedback</Heading>
+        {report.feedback.length ? (
+          <VStack align="stretch" spacing={2} mt={3}>
+            {report.feedback.map((f, i) => (
+              <Box key={i} p={3} borderWidth={1} rounded="md">
+                <Text>{f.text}</Text>
+                <Text fontSize="xs" color="gray.500" mt={1}>{f.created_at.slice(0, 16).replace('T', ' ')}{f.user_id ? ` · ${f.user_id}` : ''}</Text>
+              </Box>
+            ))}
+          </VStack>
+        ) : (
+          <Text mt={3} color="gray.500">No feedback in this range.</Text>
+        )}
+      </Box>
+    </Container>
+  );
+}
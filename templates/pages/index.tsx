@@ -0,0 +1,168 @@
+// pages/index.tsx
+import {
+  Box, Container, Heading, Text, Stack, Button,
+  SimpleGrid, Flex, VStack, useColorModeValue
+} from '@chakra-ui/react';
+{{#stripe}}
+import Link from 'next/link';
+{{/stripe}}
+import { motion } from 'framer-motion';
+import Head from 'next/head';
+import landing from '../content/landing.json';
+import { openConsentPreferences } from '../lib/consent';
+import WaitlistForm from '../components/WaitlistForm';
+
+const MotionBox = motion(Box);
+
+export default function Home() {
+  return (
+    <>
+      <Head>
+        <title>{`${landing.headline} | {{name}}`}</title>
+        <meta name="description" content={landing.description} />
+        <meta property="og:title" content={landing.headline} />
+        <meta property="og:description" content={landing.tagline} />
+        <meta property="og:image" content="/og-cover.png" />
+        <meta name="twitter:card" content="summary_large_image" />
+      </Head>
+
+      <Box
+        as="main"
+        py={16}
+        bgGradient={useColorModeValue(
+          'linear(to-b, gray.50, white)',
+          'linear(to-b, gray.900, gray.800)'
+        )}
+        minH="100vh"
+      >
+        <Container maxW="6xl">
+          <Stack spacing={10} textAlign="center">
+            <MotionBox
+              initial={{ opacity: 0, y: 30 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8 }}
+            >
+              <Heading
+                size="2xl"
+                bgGradient="linear(to-r, blue.500, teal.400)"
+                bgClip="text"
+              >
+                {landing.headline}
+              </Heading>
+              <Text mt={4} fontSize="xl" color={useColorModeValue('gray.600', 'gray.300')}>
+                {landing.tagline}
+              </Text>
+            </MotionBox>
+
+            <WaitlistForm />
+
+            <Text fontSize="sm" color="gray.500">
+              Join 100+ founders validating faster ⚡
+            </Text>
+          </Stack>
+
+          <SimpleGrid columns={{ base: 1, md: 3 }} spacing={8} mt={20} id="features">
+            {landing.features.map((f, i) => (
+              <MotionBox
+                key={i}
+                p={8}
+                borderWidth={1}
+                rounded="2xl"
+                shadow="md"
+                bg={useColorModeValue('white', 'gray.700')}
+                initial={{ opacity: 0, y: 20 }}
+                whileInView={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5, delay: i * 0.2 }}
+              >
+                <Heading size="md" mb={2}>{f.title}</Heading>
+                <Text color="gray.500">{f.desc}</Text>
+              </MotionBox>
+            ))}
+          </SimpleGrid>
+
+{{#stripe}}
+          <Box mt={20} textAlign="center" id="pricing">
+            <Heading size="lg">Simple Pricing</Heading>
+            <Text color="gray.500" mt={2}>
+              Start free, upgrade only when you launch.
+            </Text>
+
+            <SimpleGrid columns={{ base: 1, md: 3 }} spacing={6} mt={8}>
+              {['Free', 'Pro', 'Enterprise'].map((plan, i) => (
+                <MotionBox
+                  key={plan}
+                  p={8}
+                  borderWidth={i === 1 ? 2 : 1}
+                  rounded="2xl"
+                  shadow={i === 1 ? 'lg' : 'md'}
+                  bg={useColorModeValue('white', 'gray.700')}
+                  initial={{ opacity: 0, y: 20 }}
+                  whileInView={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.4, delay: i * 0.15 }}
+                >
+                  <Heading size="md">{plan}</Heading>
+                  <Text mt={2} color="gray.500">
+                    {plan === 'Free'
+                      ? 'Test ideas quickly'
+                      : plan === 'Pro'
+                      ? 'Grow with analytics'
+                      : 'Scale & integrate deeply'}
+                  </Text>
+                  <Button
+                    mt={6}
+                    colorScheme="blue"
+                    variant={plan === 'Pro' ? 'solid' : 'outline'}
+                    as={Link}
+                    href="{{#auth_none}}/dashboard{{/auth_none}}{{^auth_none}}/sign-up{{/auth_none}}"
+                  >
+                    {plan === 'Free' ? 'Start Free' : 'Get Started'}
+                  </Button>
+                </MotionBox>
+              ))}
+            </SimpleGrid>
+          </Box>
+{{/stripe}}
+
+          <Box mt={24} textAlign="center" id="faq">
+            <Heading size="lg">Frequently Asked Questions</Heading>
+            <VStack mt={6} spacing={4} align="stretch">
+              {[
+                {
+                  q: 'How fast can I launch?',
+                  a: 'Under 1 day. Everything (auth, billing, analytics) is prewired.',
+                },
+                {
+                  q: 'Do I need a backend?',
+                  a: 'No, serverless functions handle all API logic for you.',
+                },
+                {
+                  q: 'Can I add my domain?',
+                  a: 'Yes — connect it easily in Netlify after deployment.',
+                },
+              ].map((faq, i) => (
+                <MotionBox
+                  key={i}
+                  p={5}
+                  borderWidth={1}
+                  rounded="xl"
+                  bg={useColorModeValue('white', 'gray.700')}
+                  initial={{ opacity: 0, y: 20 }}
+                  whileInView={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.5, delay: i * 0.1 }}
+                >
+                  <Text fontWeight="bold">{faq.q}</Text>
+                  <Text color="gray.500">{faq.a}</Text>
+                </MotionBox>
+              ))}
+            </VStack>
+          </Box>
+
+          <Flex as="footer" mt={24} pt={6} borderTopWidth={1} justify="center" gap={6} fontSize="sm" color="gray.500">
+            <Text>© {new Date().getFullYear()} {{name}}</Text>
+            <Button variant="link" size="sm" onClick={openConsentPreferences}>Cookie settings</Button>
+          </Flex>
+        </Container>
+      </Box>
+    </>
+  );
+}
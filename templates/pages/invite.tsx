@@ -0,0 +1,103 @@
+// pages/invite.tsx
+// Where invitation emails link to (/invite?token=…). The token is looked up on load; the signed-in
+// user joins the organization when they press the button (see /api/invitations/accept), then lands
+// on the dashboard with that organization active.
+import { useState } from 'react';
+import Head from 'next/head';
+import NextLink from 'next/link';
+import { Alert, AlertIcon, Button, Container, Heading, Text, VStack } from '@chakra-ui/react';
+import { SignedIn, SignedOut, SignInButton } from '../lib/auth';
+import { hashInviteToken } from '../lib/org';
+import { findInvitation } from '../lib/repository';
+
+type Status = 'ready' | 'accepted' | 'already' | 'used' | 'expired' | 'invalid' | 'wrong_account' | 'unverified';
+
+export async function getServerSideProps({ query }) {
+  const token = String(query.token || '');
+  const invitation = token ? await findInvitation(hashInviteToken(token)) : null;
+  if (!invitation) return { props: { token, initial: 'invalid', orgName: '', email: '' } };
+  const initial: Status = invitation.accepted_at ? 'used' : Date.parse(invitation.expires_at) < Date.now() ? 'expired' : 'ready';
+  return { props: { token, initial, orgName: invitation.org_name, email: invitation.email } };
+}
+
+// wrong_account and unverified keep the invitation on screen with an error, since signing in differently fixes them
+const MESSAGES: Record<Exclude<Status, 'ready' | 'wrong_account' | 'unverified'>, { title: string; text: string }> = {
+  accepted: { title: 'You’re in 🎉', text: 'Welcome aboard. The organization is now active on your dashboard.' },
+  already: { title: 'Already a member', text: 'You’ve already joined this organization.' },
+  used: { title: 'Invitation already used', text: 'Ask an admin of the organization to send you a new one.' },
+  expired: { title: 'This invitation has expired', text: 'Invitations work for 7 days. Ask an admin to send you a new one.' },
+  invalid: { title: 'This link doesn’t work', text: 'It may have been revoked or copied incompletely. Ask an admin to send you a new one.' },
+};
+
+export default function Invite({ token, initial, orgName, email }: { token: string; initial: Status; orgName: string; email: string }) {
+  const [status, setStatus] = useState<Status>(initial);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function accept() {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/invitations/accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (data.status === 'wrong_account') setError(`${data.error} Sign in with that address to accept it.`);
+      else if (data.status === 'unverified') setError(data.error);
+      else if (data.status) setStatus(data.status);
+      else setError(data.error || 'Something went wrong. Please try again.');
+    } catch {
+      setError('Network error. Check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const message = status === 'ready' || status === 'wrong_account' || status === 'unverified' ? null : MESSAGES[status];
+  const joined = status === 'accepted' || status === 'already';
+  return (
+    <>
+      <Head>
+        <title>Join {orgName || 'an organization'} | {{name}}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <Container maxW="md" py={24}>
+        <VStack spacing={5} textAlign="center">
+          {message ? (
+            <>
+              <Heading size="lg">{message.title}</Heading>
+              <Text color="gray.500">{message.text}</Text>
+              <Button as={NextLink} href={joined ? '/dashboard' : '/'} colorScheme={joined ? 'blue' : undefined} variant={joined ? 'solid' : 'outline'}>
+                {joined ? 'Go to your dashboard' : 'Back to {{name}}'}
+              </Button>
+            </>
+          ) : (
+            <>
+              <Heading size="lg">Join {orgName}</Heading>
+              <Text color="gray.500">This invitation was sent to <b>{email}</b>.</Text>
+              <SignedIn>
+                <Button colorScheme="blue" onClick={accept} isLoading={loading}>Accept invitation</Button>
+              </SignedIn>
+{{^auth_none}}
+              <SignedOut>
+                <Text fontSize="sm">Sign in (or create an account) with that address to accept it.</Text>
+                <SignInButton>
+                  <Button colorScheme="blue">Sign in</Button>
+                </SignInButton>
+              </SignedOut>
+{{/auth_none}}
+              {error && (
+                <Alert status="error" rounded="md">
+                  <AlertIcon />
+                  {error}
+                </Alert>
+              )}
+            </>
+          )}
+        </VStack>
+      </Container>
+    </>
+  );
+}
@@ -0,0 +1,2 @@
+import CredentialsForm from '../components/CredentialsForm';
+export default function SignInPage(){ return <CredentialsForm title="Sign in" /> }
@@ -0,0 +1,2 @@
+import { SignIn } from '../lib/auth';
+export default function SignInPage(){ return <SignIn routing="hash" signUpUrl="/sign-up" /> }
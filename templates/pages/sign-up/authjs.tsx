@@ -0,0 +1,2 @@
+import CredentialsForm from '../components/CredentialsForm';
+export default function SignUpPage(){ return <CredentialsForm title="Create your account" /> }
@@ -0,0 +1,2 @@
+import { SignUp } from '../lib/auth';
+export default function SignUpPage(){ return <SignUp routing="hash" signInUrl="/sign-in" /> }
@@ -0,0 +1,113 @@
+// pages/waitlist/[code].tsx
+// A signup's place in line and its share link. Each friend who joins through the link (and
+// confirms their email) moves the signup up; see lib/waitlist.ts for how positions are computed.
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import {
+  Alert, AlertIcon, Button, Container, Flex, Heading, Input, Stat, StatHelpText, StatLabel, StatNumber,
+  Text, VStack, Wrap, WrapItem, useClipboard,
+} from '@chakra-ui/react';
+import { track } from '../../lib/track';
+import { normalizeCode, waitlistStatus, WaitlistStatus } from '../../lib/waitlist';
+
+export async function getServerSideProps({ params }) {
+  const code = normalizeCode(params.code);
+  const status = code ? await waitlistStatus(code) : null;
+  if (!status) return { notFound: true };
+  return { props: { status } };
+}
+
+const APP = process.env.NEXT_PUBLIC_SITE_NAME || 'this';
+const SHARE_TEXT = `I just joined the ${APP} waitlist. Join with my link:`;
+
+function shareLinks(url: string): { channel: string; label: string; href: string }[] {
+  const u = encodeURIComponent(url);
+  const text = encodeURIComponent(SHARE_TEXT);
+  return [
+    { channel: 'x', label: 'Post on X', href: `https://x.com/intent/post?text=${text}&url=${u}` },
+    { channel: 'linkedin', label: 'Share on LinkedIn', href: `https://www.linkedin.com/sharing/share-offsite/?url=${u}` },
+    { channel: 'email', label: 'Email a friend', href: `mailto:?subject=${encodeURIComponent(`Join me on ${APP}`)}&body=${text}%20${u}` },
+  ];
+}
+
+export default function WaitlistSpot({ status }: { status: WaitlistStatus }) {
+  const { onCopy, hasCopied } = useClipboard(status.shareUrl);
+  const [canShare, setCanShare] = useState(false);
+
+  useEffect(() => setCanShare(typeof navigator !== 'undefined' && !!navigator.share), []);
+
+  function copy() {
+    onCopy();
+    track('referral_share', { channel: 'copy' });
+  }
+
+  async function nativeShare() {
+    try {
+      await navigator.share({ title: APP, text: SHARE_TEXT, url: status.shareUrl });
+      track('referral_share', { channel: 'native' });
+    } catch {
+      // dismissed
+    }
+  }
+
+  const friends = status.referrals === 1 ? 'friend has' : 'friends have';
+  return (
+    <>
+      <Head>
+        <title>Your spot on the waitlist | {{name}}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <Container maxW="lg" py={16}>
+        <VStack spacing={6} align="stretch" textAlign="center">
+          <Heading size="lg">Your spot on the {{name}} waitlist</Heading>
+
+          {status.confirmed ? (
+            <Flex gap={4} justify="center">
+              <Stat p={4} borderWidth={1} rounded="md">
+                <StatLabel>Place in line</StatLabel>
+                <StatNumber>#{status.position}</StatNumber>
+                <StatHelpText>of {status.total}</StatHelpText>
+              </Stat>
+              <Stat p={4} borderWidth={1} rounded="md">
+                <StatLabel>Referrals</StatLabel>
+                <StatNumber>{status.referrals}</StatNumber>
+                <StatHelpText>{status.pendingReferrals ? `+${status.pendingReferrals} awaiting confirmation` : 'confirmed'}</StatHelpText>
+              </Stat>
+            </Flex>
+          ) : (
+            <Alert status="info" rounded="md">
+              <AlertIcon />
+              Confirm your email with the link we sent you to claim your place in line.
+            </Alert>
+          )}
+
+          <Text color="gray.500">
+            {status.referrals ? `${status.referrals} ${friends} joined through your link. ` : ''}
+            Every friend who joins with your link moves you {status.boost} {status.boost === 1 ? 'place' : 'places'} up.
+          </Text>
+
+          <Flex gap={2}>
+            <Input value={status.shareUrl} isReadOnly onFocus={e => e.target.select()} />
+            <Button onClick={copy} colorScheme="blue">{hasCopied ? 'Copied!' : 'Copy'}</Button>
+          </Flex>
+
+          <Wrap justify="center" spacing={2}>
+            {shareLinks(status.shareUrl).map(link => (
+              <WrapItem key={link.channel}>
+                <Button as="a" href={link.href} target="_blank" rel="noopener noreferrer" size="sm" variant="outline"
+                  onClick={() => track('referral_share', { channel: link.channel })}>
+                  {link.label}
+                </Button>
+              </WrapItem>
+            ))}
+            {canShare && (
+              <WrapItem>
+                <Button size="sm" variant="outline" onClick={nativeShare}>More…</Button>
+              </WrapItem>
+            )}
+          </Wrap>
+        </VStack>
+      </Container>
+    </>
+  );
+}
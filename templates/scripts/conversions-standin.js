@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Local stand-in for the Meta, LinkedIn and TikTok conversion APIs. Start it, then run the app
+// with CONVERSIONS_API_BASE=http://localhost:4010 and every server-side conversion lands here:
+//   node scripts/conversions-standin.js              # accept everything
+//   FAIL=2 node scripts/conversions-standin.js       # answer 503 to the first two (exercises the retry queue)
+// Each request is checked for an event id and a SHA-256 email hash. GET /requests lists what arrived.
+const http = require('http');
+
+const port = Number(process.env.PORT) || 4010;
+let failures = Number(process.env.FAIL) || 0;
+const received = [];
+
+const SHA256 = /^[a-f0-9]{64}$/;
+
+// Pull the fields that matter for deduplication out of each platform's body
+const READERS = {
+  meta: body => (body.data || []).map(e => ({ event: e.event_name, eventId: e.event_id, email: (e.user_data?.em || [])[0] })),
+  linkedin: body => [{
+    event: body.conversion,
+    eventId: body.eventId,
+    email: (body.user?.userIds || []).find(u => u.idType === 'SHA256_EMAIL')?.idValue,
+  }],
+  tiktok: body => (body.data || []).map(e => ({ event: e.event, eventId: e.event_id, email: e.user?.email })),
+};
+
+const REPLIES = {
+  meta: [200, { events_received: 1 }],
+  linkedin: [201, null],
+  tiktok: [200, { code: 0, message: 'OK' }],
+};
+
+function problems(events) {
+  const out = [];
+  if (!events.length) out.push('no events in body');
+  for (const e of events) {
+    if (!e.eventId) out.push(`${e.event}: missing event id`);
+    if (e.email && !SHA256.test(e.email)) out.push(`${e.event}: email is not a SHA-256 hash`);
+    if (!e.email) out.push(`${e.event}: no email hash`);
+  }
+  return out;
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body == null ? '' : JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  const platform = new URL(req.url, 'http://localhost').pathname.replace(/^\//, '');
+  if (req.method === 'GET' && platform === 'requests') return reply(res, 200, received);
+  if (req.method !== 'POST' || !READERS[platform]) return reply(res, 404, { error: `unknown endpoint ${req.url}` });
+
+  let raw = '';
+  req.on('data', chunk => (raw += chunk));
+  req.on('end', () => {
+    if (failures > 0) {
+      failures--;
+      console.log(`✗ ${platform}: answered 503 (FAIL, ${failures} left)`);
+      return reply(res, 503, { error: 'stand-in failure' });
+    }
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      console.log(`✗ ${platform}: body is not JSON`);
+      return reply(res, 400, { error: 'invalid JSON' });
+    }
+    const events = READERS[platform](body);
+    const issues = problems(events);
+    received.push({ platform, at: new Date().toISOString(), events, issues, body });
+    for (const e of events) console.log(`${issues.length ? '✗' : '✓'} ${platform} ${e.event} ${e.eventId}`);
+    for (const issue of issues) console.log(`    ${issue}`);
+    if (issues.length) return reply(res, 400, { error: issues.join('; ') });
+    reply(res, ...REPLIES[platform]);
+  });
+}).listen(port, () => {
+  console.log(`Conversion API stand-in on http://localhost:${port} (meta, linkedin, tiktok)`);
+});
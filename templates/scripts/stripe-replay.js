@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Replay recorded Stripe events (stripe/fixtures/*.json) against the local webhook,
+// signed with STRIPE_WEBHOOK_SECRET exactly like Stripe would.
+//   npm run stripe:replay                 # all fixtures, in order
+//   npm run stripe:replay -- 01 01        # send the first one twice (idempotency check)
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const url = process.env.WEBHOOK_URL || 'http://localhost:3000/api/stripe/webhook';
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+if (!secret) {
+  console.error('Set STRIPE_WEBHOOK_SECRET (same value the dev server uses).');
+  process.exit(1);
+}
+
+const dir = path.join(__dirname, '..', 'stripe', 'fixtures');
+const all = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+const wanted = process.argv.slice(2);
+const files = wanted.length ? wanted.map(w => all.find(f => f.startsWith(w))).filter(Boolean) : all;
+
+(async () => {
+  let failed = 0;
+  for (const file of files) {
+    const payload = fs.readFileSync(path.join(dir, file), 'utf8');
+    const header = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'stripe-signature': header },
+      body: payload,
+    });
+    const body = await res.text();
+    if (!res.ok) failed++;
+    console.log(`${res.ok ? '✓' : '✗'} ${file} -> ${res.status} ${body}`);
+  }
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,73 @@
+-- supabase/migrations/0001_init.sql
+-- Creates events + signups tables for analytics and lead capture.
+-- Apply with `scaffold db:migrate` (or paste into the Supabase SQL editor).
+
+create table if not exists public.events (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_events_type on public.events (type);
+create index if not exists idx_events_created_at on public.events (created_at desc);
+
+create table if not exists public.signups (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  source text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_signups_email on public.signups (email);
+create index if not exists idx_signups_created_at on public.signups (created_at desc);
+
+{{#stripe}}
+-- Billing: Stripe customers/subscriptions linked to app users, plus processed webhook ids
+create table if not exists public.customers (
+  user_id text primary key,
+  stripe_customer_id text not null unique,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.subscriptions (
+  id text primary key,
+  user_id text,
+  customer_id text not null,
+  status text not null,
+  price_id text,
+  plan text,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_subscriptions_user_id on public.subscriptions (user_id);
+create index if not exists idx_subscriptions_customer_id on public.subscriptions (customer_id);
+
+create table if not exists public.stripe_events (
+  id text primary key,
+  type text not null,
+  processed_at timestamptz not null default now()
+);
+{{/stripe}}
+
+alter table public.events enable row level security;
+alter table public.signups enable row level security;
+
+create policy "allow_service_insert_events" on public.events
+  for insert
+  with check (auth.role() = 'service_role');
+
+create policy "allow_service_insert_signups" on public.signups
+  for insert
+  with check (auth.role() = 'service_role');
+{{#stripe}}
+
+-- Billing tables are only touched server-side (service role bypasses RLS)
+alter table public.customers enable row level security;
+alter table public.subscriptions enable row level security;
+alter table public.stripe_events enable row level security;
+{{/stripe}}
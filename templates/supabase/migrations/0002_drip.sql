@@ -0,0 +1,16 @@
+-- supabase/migrations/0002_drip.sql
+-- Drip email bookkeeping: one row per (email, step) sent, plus addresses that opted out.
+-- Added by the drip module; apply with `scaffold db:migrate`.
+
+create table if not exists public.drip_sends (
+  email text not null,
+  step text not null,
+  sent_at timestamptz not null default now(),
+  primary key (email, step)
+);
+
+create table if not exists public.email_suppressions (
+  email text primary key,
+  reason text,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,15 @@
+-- supabase/migrations/0004_signup_opt_in.sql
+-- One signup per address plus double opt-in. Emails are stored trimmed and lowercased; duplicates
+-- collapse into each address's first signup. Rows from before opt-in count as confirmed.
+-- Apply with `scaffold db:migrate`.
+
+alter table public.signups add column if not exists confirmed_at timestamptz;
+update public.signups set confirmed_at = created_at where confirmed_at is null;
+
+update public.signups set email = lower(trim(email)) where email <> lower(trim(email));
+delete from public.signups dup using public.signups kept
+ where dup.email = kept.email
+   and (dup.created_at, dup.id) > (kept.created_at, kept.id);
+
+drop index if exists public.idx_signups_email;
+create unique index if not exists signups_email_key on public.signups (email);
@@ -0,0 +1,8 @@
+-- supabase/migrations/0006_stripe_event_claims.sql
+-- Webhook deliveries claim an event id before running handlers, so when Stripe delivers an event twice
+-- at once only one delivery runs them. processed_at stays null until the handlers finish; existing rows
+-- keep theirs. Apply with `scaffold db:migrate`.
+
+alter table public.stripe_events add column if not exists claimed_at timestamptz not null default now();
+alter table public.stripe_events alter column processed_at drop not null;
+alter table public.stripe_events alter column processed_at drop default;
@@ -0,0 +1,85 @@
+-- supabase/migrations/0007_organizations.sql
+-- Multi-tenant mode: users work inside organizations. Roles are owner | admin | member.
+{{#stripe}}
+-- Billing moves from users to organizations, so customers and subscriptions are keyed by org_id.
+{{/stripe}}
+-- Apply with `scaffold db:migrate`.
+
+create table if not exists public.organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.memberships (
+  org_id uuid not null references public.organizations (id) on delete cascade,
+  user_id text not null,
+  email text,
+  role text not null default 'member' check (role in ('owner', 'admin', 'member')),
+  created_at timestamptz not null default now(),
+  primary key (org_id, user_id)
+);
+
+create index if not exists idx_memberships_user_id on public.memberships (user_id);
+
+-- Only a SHA-256 of the emailed token is stored
+create table if not exists public.invitations (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references public.organizations (id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  token_hash text not null unique,
+  invited_by text not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by text
+);
+
+create index if not exists idx_invitations_org_id on public.invitations (org_id);
+{{#stripe}}
+
+alter table public.customers rename column user_id to org_id;
+alter table public.subscriptions rename column user_id to org_id;
+drop index if exists public.idx_subscriptions_user_id;
+create index if not exists idx_subscriptions_org_id on public.subscriptions (org_id);
+{{/stripe}}
+
+-- The app reads and writes with the service role, and these policies scope direct client access by
+-- org. The user id is the JWT subject (Clerk tokens passed to Supabase), matching memberships.user_id.
+create or replace function public.org_role(target text) returns text
+  language sql stable security definer set search_path = public
+as $$
+  select role from public.memberships where org_id::text = target and user_id = (auth.jwt() ->> 'sub')
+$$;
+
+alter table public.organizations enable row level security;
+alter table public.memberships enable row level security;
+alter table public.invitations enable row level security;
+
+create policy "members_read_org" on public.organizations
+  for select using (public.org_role(id::text) is not null);
+
+create policy "admins_update_org" on public.organizations
+  for update using (public.org_role(id::text) in ('owner', 'admin'));
+
+create policy "members_read_memberships" on public.memberships
+  for select using (public.org_role(org_id::text) is not null);
+
+-- owners remove anyone, admins only members, and everyone can leave
+create policy "admins_remove_members" on public.memberships
+  for delete using (
+    public.org_role(org_id::text) = 'owner'
+    or (public.org_role(org_id::text) = 'admin' and role = 'member')
+    or user_id = (auth.jwt() ->> 'sub')
+  );
+
+create policy "admins_manage_invitations" on public.invitations
+  for all using (public.org_role(org_id::text) in ('owner', 'admin'))
+  with check (public.org_role(org_id::text) in ('owner', 'admin'));
+{{#stripe}}
+
+create policy "members_read_subscriptions" on public.subscriptions
+  for select using (public.org_role(org_id) is not null);
+{{/stripe}}
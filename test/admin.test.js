@@ -0,0 +1,64 @@
+// test/admin.test.js
+// Who gets into /founder: Clerk users by id or verified email; with Auth.js credentials or no auth,
+// only a browser that entered ADMIN_TOKEN, whatever id or email it claims.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate } = require('./helpers/project');
+
+function env(t, vars) {
+  Object.assign(process.env, vars);
+  t.after(() => { for (const key of Object.keys(vars)) delete process.env[key]; });
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    redirect(code, location) { this.statusCode = code; this.location = location; return this; },
+    end() { return this; },
+  };
+}
+
+test('clerk admits listed ids and verified emails only', async (t) => {
+  env(t, { ADMIN_USER_IDS: 'user_1', ADMIN_EMAILS: 'ann@acme.dev' });
+  const { isAdmin } = generate(t, { auth: 'clerk' }, { 'lib/authServer': {} }).load('lib/admin');
+  assert.equal(isAdmin({ id: 'user_1' }), true);
+  assert.equal(isAdmin({ id: 'user_2', email: 'ann@acme.dev', emailVerified: true }), true);
+  assert.equal(isAdmin({ id: 'user_3', email: 'ann@acme.dev', emailVerified: false }), false);
+});
+
+test('refuses unverified Auth.js and guest users even when their id or email is listed', async (t) => {
+  env(t, { ADMIN_USER_IDS: 'ann@acme.dev,guest_1', ADMIN_EMAILS: 'ann@acme.dev', ADMIN_TOKEN: 'founder-secret' });
+  const authjs = generate(t, { auth: 'authjs' }, {
+    'lib/authServer': { getServerUser: async () => ({ id: 'ann@acme.dev', email: 'ann@acme.dev', emailVerified: false }) },
+  }).load('lib/admin');
+  assert.equal((await authjs.requireAdmin({ headers: {} }, response())).admin, false);
+
+  const none = generate(t, { auth: 'none' }).load('lib/admin');
+  const { user, admin } = await none.requireAdmin({ headers: { cookie: 'guest_id=guest_1' } }, response());
+  assert.equal(user.id, 'guest_1');
+  assert.equal(admin, false);
+});
+
+test('ADMIN_TOKEN buys an admin cookie; a wrong token does not', async (t) => {
+  env(t, { ADMIN_TOKEN: 'founder-secret' });
+  const project = generate(t, { auth: 'none' });
+  const { default: session } = project.load('pages/api/founder/session');
+  const { requireAdmin } = project.load('lib/admin');
+
+  const wrong = response();
+  await session({ method: 'POST', headers: {}, socket: { remoteAddress: '192.0.2.1' }, body: { token: 'guess' } }, wrong);
+  assert.equal(wrong.location, '/founder?denied=1');
+  assert.equal(wrong.headers['set-cookie'], undefined);
+
+  const right = response();
+  await session({ method: 'POST', headers: {}, socket: { remoteAddress: '192.0.2.1' }, body: { token: 'founder-secret' } }, right);
+  assert.equal(right.location, '/founder');
+  const cookie = right.headers['set-cookie'].split(';')[0];
+  assert.ok(!cookie.includes('founder-secret'));
+  assert.equal((await requireAdmin({ headers: { cookie: `guest_id=guest_9; ${cookie}` } }, response())).admin, true);
+  assert.equal((await requireAdmin({ headers: { cookie: 'admin_session=forged' } }, response())).admin, false);
+});
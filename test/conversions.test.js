@@ -0,0 +1,136 @@
+// test/conversions.test.js
+// The conversions module's sendConversion and retry queue against scripts/conversions-standin.js.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { generate } = require('./helpers/project');
+
+const GRANTED = { ad_consent: 'granted', client_ip: '203.0.113.7', page_url: 'https://demo.test/' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+/** Start the stand-in from the generated project; resolves with its base URL once it listens. */
+async function startStandin(t, dir, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(dir, 'scripts/conversions-standin.js')], {
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  t.after(() => child.kill());
+  await new Promise((resolve, reject) => {
+    child.on('exit', code => reject(new Error(`stand-in exited with ${code}`)));
+    child.stdout.on('data', chunk => String(chunk).includes('stand-in on') && resolve());
+  });
+  return `http://localhost:${port}`;
+}
+
+/** conversion_queue in memory, with the same contract as lib/conversionStore.ts. */
+function memoryStore() {
+  const jobs = new Map();
+  return {
+    jobs,
+    async enqueueConversion(job) {
+      const key = `${job.platform}:${job.event_id}`;
+      if (!jobs.has(key)) jobs.set(key, { id: key, ...job });
+    },
+    async listDueConversions(now, limit) {
+      return [...jobs.values()]
+        .filter(j => j.status === 'pending' && new Date(j.next_attempt_at) <= now)
+        .slice(0, limit);
+    },
+    async updateConversion(id, update) {
+      Object.assign(jobs.get(id), update);
+    },
+    async deleteConversion(id) {
+      jobs.delete(id);
+    },
+  };
+}
+
+function setup(t, env) {
+  const store = memoryStore();
+  const project = generate(t, {}, { 'lib/conversionStore': store });
+  const saved = process.env.CONVERSIONS_API_BASE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CONVERSIONS_API_BASE;
+    else process.env.CONVERSIONS_API_BASE = saved;
+  });
+  return startStandin(t, project.dir, env).then(base => {
+    process.env.CONVERSIONS_API_BASE = base;
+    return { base, store, conversions: project.load('lib/conversions') };
+  });
+}
+
+async function received(base) {
+  return (await fetch(`${base}/requests`)).json();
+}
+
+test('sends a Lead to every platform with the event id and a hashed email', async (t) => {
+  const { base, store, conversions } = await setup(t);
+  const results = await conversions.sendConversion('Lead', { eventId: 'evt_lead_1', email: ' Ada@Example.com ', context: GRANTED });
+
+  assert.deepEqual(results.map(r => [r.platform, r.status]), [['meta', 'sent'], ['linkedin', 'sent'], ['tiktok', 'sent']]);
+  const requests = await received(base);
+  assert.equal(requests.length, 3);
+  for (const r of requests) {
+    assert.deepEqual(r.issues, []);
+    assert.equal(r.events[0].eventId, 'evt_lead_1');
+    assert.equal(r.events[0].email, conversions.hashEmail('ada@example.com'));
+  }
+  assert.equal(store.jobs.size, 0);
+});
+
+test('skips visitors without advertising consent', async (t) => {
+  const { base, conversions } = await setup(t);
+  const results = await conversions.sendConversion('Lead', { eventId: 'evt_lead_2', email: 'ada@example.com', context: {} });
+  assert.ok(results.every(r => r.status === 'skipped'));
+  assert.deepEqual(await received(base), []);
+});
+
+test('queues 503s (FAIL=n) and delivers them on retry', async (t) => {
+  const { base, store, conversions } = await setup(t, { FAIL: '2' });
+  const results = await conversions.sendConversion('Purchase', {
+    eventId: 'cs_test_1', email: 'ada@example.com', amount: 1900, currency: 'usd', context: GRANTED,
+  });
+
+  assert.equal(results.filter(r => r.status === 'queued').length, 2);
+  assert.equal(results.filter(r => r.status === 'sent').length, 1);
+  assert.equal(store.jobs.size, 2);
+  for (const job of store.jobs.values()) {
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.match(job.last_error, /HTTP 503/);
+  }
+
+  // not due yet: the first retry waits a minute
+  assert.deepEqual(await conversions.retryConversions(), { sent: 0, retrying: 0, failed: [] });
+
+  for (const job of store.jobs.values()) job.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  assert.deepEqual(await conversions.retryConversions(), { sent: 2, retrying: 0, failed: [] });
+  assert.equal(store.jobs.size, 0);
+  assert.equal((await received(base)).length, 3);
+});
+
+test('gives up at once on a rejected payload', async (t) => {
+  const { store, conversions } = await setup(t);
+  // no email: the stand-in answers 400, which retrying can't fix
+  const results = await conversions.sendConversion('Lead', { eventId: 'evt_lead_3', context: GRANTED });
+  const meta = results.find(r => r.platform === 'meta');
+  assert.equal(meta.status, 'failed');
+  assert.equal(store.jobs.get('meta:evt_lead_3').status, 'failed');
+});
+
+test('backs off exponentially up to 12 hours', (t) => {
+  const { backoff } = generate(t, {}, { 'lib/conversionStore': memoryStore() }).load('lib/conversions');
+  assert.deepEqual([1, 2, 3, 4].map(backoff), [60000, 120000, 240000, 480000]);
+  assert.equal(backoff(20), 12 * 60 * 60 * 1000);
+});
@@ -0,0 +1,24 @@
+// test/funnel.test.js
+// Founder CSV exports: visitor-supplied text must not turn into spreadsheet formulas.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate } = require('./helpers/project');
+
+test('exportCsv neutralizes leading formula characters in visitor text only', (t) => {
+  const project = generate(t, {}, { 'lib/repository': {} });
+  const { exportCsv } = project.load('lib/funnel');
+  const report = {
+    sources: [
+      { source: '=HYPERLINK("http://evil.test","x")', campaign: '+1', visitors: 3, signups: 1 },
+      { source: '@sum', campaign: '\tcmd', visitors: 0, signups: 0 },
+      { source: 'google', campaign: '-spring', visitors: -1, signups: 2 },
+    ],
+  };
+  assert.equal(
+    exportCsv(report, 'sources'),
+    'source,campaign,visitors,signups\r\n' +
+      '"\'=HYPERLINK(""http://evil.test"",""x"")",\'+1,3,1\r\n' +
+      '\'@sum,\'\tcmd,0,0\r\n' +
+      'google,\'-spring,-1,2\r\n',
+  );
+});
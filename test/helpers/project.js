@@ -0,0 +1,53 @@
+// test/helpers/project.js
+// Run generated TypeScript in tests: plan a project for some answers (modules patched in, as
+// `apply` writes it) into a temp dir, transpile the .ts files to CommonJS and require them. Modules that need a database or a
+// third-party SDK are replaced by in-memory fakes, keyed by their project path.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+const { DEFAULT_ANSWERS } = require('../../lib/answers');
+const { planScaffold } = require('../../lib/plan');
+
+/**
+ * Generate a project for `answers` and return `load(rel)`, which requires one of its modules.
+ *   const { load } = generate(t, { db: 'postgres' }, { 'lib/conversionStore': fakeStore })
+ */
+function generate(t, answers = {}, fakes = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-project-'));
+  const loaded = new Set();
+  t.after(() => {
+    for (const file of loaded) delete require.cache[file];
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const file of planScaffold({ name: 'Demo', ...DEFAULT_ANSWERS, ...answers })) {
+    if (file.dir || !/\.(ts|js|json)$/.test(file.path) || file.path.endsWith('.d.ts')) continue;
+    const out = path.join(dir, file.path.replace(/\.ts$/, '.js'));
+    const code = file.path.endsWith('.ts')
+      ? ts.transpileModule(file.content, { compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true } }).outputText
+      : file.content;
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, code);
+  }
+
+  for (const [rel, exports] of Object.entries(fakes)) {
+    const file = path.join(dir, `${rel}.js`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!fs.existsSync(file)) fs.writeFileSync(file, '');
+    const mod = new Module(file);
+    Object.assign(mod, { filename: file, loaded: true, exports });
+    require.cache[file] = mod;
+    loaded.add(file);
+  }
+
+  function load(rel) {
+    const file = require.resolve(path.join(dir, rel));
+    loaded.add(file);
+    return require(file);
+  }
+  return { dir, load };
+}
+
+module.exports = { generate };
@@ -0,0 +1,94 @@
+// test/invitations.test.js
+// /api/invitations/accept only lets in a user whose verified email is the invited address, and
+// /api/orgs/members only lets someone remove a member ranked below them.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate } = require('./helpers/project');
+
+const INVITATION = { id: 'inv_1', org_id: 'org_1', email: 'ann@acme.dev', accepted_at: null, expires_at: '2999-01-01T00:00:00Z' };
+
+function setup(t, user) {
+  const accepted = [];
+  const project = generate(t, { tenancy: 'multi' }, {
+    'lib/authServer': { getServerUser: async () => user },
+    'lib/org': { hashInviteToken: token => `hash:${token}`, setActiveOrg() {} },
+    'lib/repository': {
+      async findInvitation(hash) { return hash === 'hash:tok' ? INVITATION : null; },
+      async getMembership() { return null; },
+      async acceptInvitation(invitation, member) { accepted.push(member); return true; },
+    },
+  });
+  const { default: handler } = project.load('pages/api/invitations/accept');
+  return async () => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; },
+    };
+    await handler({ method: 'POST', body: { token: 'tok' } }, res);
+    return { res, accepted };
+  };
+}
+
+test('accepts a verified email that matches the invitation', async (t) => {
+  const { res, accepted } = await setup(t, { id: 'user_1', email: 'Ann@acme.dev', emailVerified: true })();
+  assert.equal(res.body.status, 'accepted');
+  assert.deepEqual(accepted, [{ userId: 'user_1', email: 'Ann@acme.dev' }]);
+});
+
+test('refuses users without a verified email', async (t) => {
+  for (const user of [{ id: 'guest_1' }, { id: 'ann@acme.dev', email: 'ann@acme.dev', emailVerified: false }]) {
+    const { res, accepted } = await setup(t, user)();
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.status, 'unverified');
+    assert.equal(accepted.length, 0);
+  }
+});
+
+test('refuses a verified email for another address', async (t) => {
+  const { res } = await setup(t, { id: 'user_2', email: 'bob@acme.dev', emailVerified: true })();
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.status, 'wrong_account');
+});
+
+function removeAs(t, role) {
+  const removed = [];
+  const members = [
+    { user_id: 'user_1', role },
+    { user_id: 'owner_1', role: 'owner' },
+    { user_id: 'admin_2', role: 'admin' },
+    { user_id: 'member_3', role: 'member' },
+  ];
+  const project = generate(t, { tenancy: 'multi' }, {
+    'lib/authServer': { getServerUser: async () => ({ id: 'user_1', email: 'ann@acme.dev', emailVerified: true }) },
+    'lib/mail': { getTransport: () => ({ async send() {} }) },
+    'lib/repository': {
+      async listOrganizationsForUser() { return [{ id: 'org_1', name: 'Acme', role }]; },
+      async listMembers() { return members; },
+      async removeMember(orgId, userId) { removed.push(userId); },
+    },
+  });
+  const { default: handler } = project.load('pages/api/orgs/members');
+  return async (userId) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; },
+    };
+    await handler({ method: 'DELETE', query: { userId }, headers: {}, cookies: { org_id: 'org_1' } }, res);
+    return { status: res.statusCode, removed };
+  };
+}
+
+test('admins remove members but not other admins; owners remove admins', async (t) => {
+  const asAdmin = removeAs(t, 'admin');
+  assert.equal((await asAdmin('admin_2')).status, 403);
+  assert.equal((await asAdmin('owner_1')).status, 403);
+  assert.deepEqual((await asAdmin('member_3')).removed, ['member_3']);
+
+  const asOwner = removeAs(t, 'owner');
+  assert.deepEqual((await asOwner('admin_2')).removed, ['admin_2']);
+});
@@ -0,0 +1,44 @@
+// test/outreach.test.js
+// `.eml` output from lib/outreach.js: header values taken from a leads CSV must stay on their own line.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeLeads, parseCsv, toEml } = require('../lib/outreach');
+
+const CLI = path.join(__dirname, '..', 'scaffold.js');
+
+function headers(eml) {
+  return eml.split('\r\n\r\n')[0].split('\r\n');
+}
+
+test('a quoted CSV cell with line breaks cannot add headers', () => {
+  const [, row] = parseCsv('email,company\r\nann@acme.dev,"Acme\r\nBcc: everyone@example.com"\r\n');
+  const { messages } = mergeLeads({ subject: 'Hi {{company}}', body: 'Hello' }, [{ email: row[0], company: row[1] }]);
+  const lines = headers(toEml(messages[0], 'Sam <sam@onboardkit.dev>'));
+  assert.ok(lines.includes('Subject: Hi Acme Bcc: everyone@example.com'));
+  assert.ok(!lines.some(l => /^Bcc:/i.test(l)));
+});
+
+test('toEml rejects recipients and From values that are not one address', () => {
+  assert.throws(() => toEml({ to: 'ann@acme.dev\r\nBcc: x@example.com', subject: 'Hi', body: '' }), /Not an email address/);
+  assert.throws(() => toEml({ to: 'ann@acme.dev, bob@acme.dev', subject: 'Hi', body: '' }), /Not an email address/);
+  assert.throws(() => toEml({ to: 'ann@acme.dev', subject: 'Hi', body: '' }, 'Sam\nBcc: x@example.com'), /Not a From address/);
+  assert.match(toEml({ to: 'ann@acme.dev', subject: 'Hi', body: '' }, 'sam@onboardkit.dev'), /^From: sam@onboardkit\.dev\r\nTo: ann@acme\.dev\r\n/);
+});
+
+test('outreach render skips leads whose email is not an address', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'outreach', 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'outreach', 'templates', 'email.txt'), 'Subject: Hi {{name}}\n\nHello {{name}}\n');
+  fs.writeFileSync(path.join(dir, 'leads.csv'), 'name,email\nAnn,ann@acme.dev\nBob,"bob@acme.dev\nBcc: x@example.com"\n');
+
+  const run = spawnSync(process.execPath, [CLI, 'outreach', 'render', '--dir', dir, '--template', 'email', '--leads', path.join(dir, 'leads.csv')], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /lead 2 .*not a valid email address/);
+  assert.match(run.stdout, /Rendered 1 of 2 lead\(s\)/);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'outreach', 'out')), ['001-ann-acme-dev.eml']);
+});
@@ -0,0 +1,67 @@
+// test/plugins.test.js
+// The sample plugin in examples/ exercised through lib/plugins.js and through a real `apply`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const plugins = require('../lib/plugins');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+const CLI = path.join(__dirname, '..', 'scaffold.js');
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function scaffold(args, cwd = EXAMPLES) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+test('loads the resend plugin from examples/scaffold.config.js', () => {
+  const [resend] = plugins.loadPlugins(EXAMPLES);
+  assert.equal(resend.name, 'resend');
+  assert.deepEqual(plugins.pluginAnswerKeys(), ['emailFrom']);
+  assert.deepEqual(plugins.pluginDefaults(), { emailFrom: 'hello@onboardkit.dev' });
+
+  const files = plugins.pluginFiles({ emailFrom: 'team@acme.dev' });
+  assert.deepEqual(files.map(f => [f.path, f.plugin]), [['lib/email.ts', 'resend']]);
+  assert.match(files[0].content, /from: 'team@acme\.dev'/);
+
+  const pkg = plugins.extendPackageJson({ dependencies: {}, devDependencies: {}, scripts: {} }, {});
+  assert.equal(pkg.dependencies.resend, '^3.2.0');
+});
+
+test('apply writes the plugin files, env keys and dependencies and runs afterGenerate', (t) => {
+  const dir = path.join(tmpDir(t), 'demo');
+  const run = scaffold(['apply', '--name', 'demo', '--dir', dir, '--no-install']);
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /resend: add RESEND_API_KEY to .*\.env\.local/);
+
+  assert.match(fs.readFileSync(path.join(dir, 'lib/email.ts'), 'utf8'), /from: 'hello@onboardkit\.dev'/);
+  for (const env of ['.env.local', '.env.staging', '.env.production']) {
+    assert.match(fs.readFileSync(path.join(dir, env), 'utf8'), /^RESEND_API_KEY=/m, env);
+  }
+  const pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  assert.equal(pkg.dependencies.resend, '^3.2.0');
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, '.scaffold/manifest.json'), 'utf8'));
+  assert.equal(manifest.answers.emailFrom, 'hello@onboardkit.dev');
+
+  const check = scaffold(['email:check', '--dir', dir]);
+  assert.equal(check.status, 1);
+  assert.match(check.stderr, /RESEND_API_KEY is empty/);
+});
+
+test('a throwing beforeGenerate aborts before anything is written', (t) => {
+  const tmp = tmpDir(t);
+  const plugin = path.join(EXAMPLES, 'plugins', 'resend');
+  fs.writeFileSync(path.join(tmp, 'scaffold.config.js'), `module.exports = { plugins: [[${JSON.stringify(plugin)}, { from: 'not-an-address' }]] };\n`);
+  const dir = path.join(tmp, 'demo');
+  const run = scaffold(['apply', '--name', 'demo', '--dir', dir, '--no-install'], tmp);
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Plugin resend failed in beforeGenerate: emailFrom "not-an-address" is not an email address/);
+  assert.equal(fs.existsSync(dir), false);
+});
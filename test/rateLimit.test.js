@@ -0,0 +1,40 @@
+// test/rateLimit.test.js
+// clientIp per deploy target: only headers the platform's edge overwrites are trusted.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate } = require('./helpers/project');
+
+const SPOOFED = {
+  'x-nf-client-connection-ip': '198.51.100.1',
+  'x-real-ip': '198.51.100.2',
+  'x-forwarded-for': '198.51.100.3, 203.0.113.9',
+};
+
+function request(headers = SPOOFED) {
+  return { headers, socket: { remoteAddress: '192.0.2.10' } };
+}
+
+function load(t, deploy) {
+  return generate(t, { deploy }).load('lib/rateLimit');
+}
+
+test('docker ignores client-sent address headers unless TRUST_PROXY is set', (t) => {
+  const { clientIp, rateLimit } = load(t, 'docker');
+  assert.equal(clientIp(request()), '192.0.2.10');
+
+  // a new spoofed address per request still lands in the same window
+  const limit = { limit: 5, windowMs: 60000 };
+  const results = Array.from({ length: 6 }, (_, i) =>
+    rateLimit(`signup:${clientIp(request({ 'x-real-ip': `198.51.100.${i}`, 'x-forwarded-for': `198.51.100.${i}` }))}`, limit).ok);
+  assert.deepEqual(results, [true, true, true, true, true, false]);
+
+  process.env.TRUST_PROXY = 'true';
+  t.after(() => { delete process.env.TRUST_PROXY; });
+  assert.equal(clientIp(request()), '203.0.113.9');
+});
+
+test('netlify and vercel trust only their own edge header', (t) => {
+  assert.equal(load(t, 'netlify').clientIp(request()), '198.51.100.1');
+  assert.equal(load(t, 'vercel').clientIp(request()), '198.51.100.2');
+  assert.equal(load(t, 'vercel').clientIp(request({ 'x-forwarded-for': '198.51.100.3' })), '192.0.2.10');
+});
@@ -0,0 +1,77 @@
+// test/signups.test.js
+// /api/signups/add with double opt-in, against an in-memory repository and a mail transport that can fail.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate } = require('./helpers/project');
+
+function setup(t) {
+  const signups = new Map();
+  const sent = [];
+  const mail = { failNext: false };
+  const project = generate(t, {}, {
+    'lib/repository': {
+      async findSignup() { return null; },
+      async insertSignup({ email, confirmed, referralCode }) {
+        const existing = signups.get(email);
+        if (existing) return { ...existing, created: false };
+        const row = { email, confirmed, referral_code: referralCode };
+        signups.set(email, row);
+        return { ...row, created: true };
+      },
+      async trackEvent() {},
+    },
+    'lib/mail': {
+      getTransport: () => ({
+        async send(msg) {
+          if (mail.failNext) { mail.failNext = false; throw new Error('smtp down'); }
+          sent.push(msg);
+        },
+      }),
+    },
+    'lib/conversions': { conversionContext: () => ({}), sendConversion: async () => [] },
+  });
+  const { default: handler } = project.load('pages/api/signups/add');
+
+  async function post(email, ip) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; },
+    };
+    await handler({ method: 'POST', headers: {}, socket: { remoteAddress: ip }, body: { email } }, res);
+    return res;
+  }
+  return { post, sent, mail };
+}
+
+test('a confirmation email that failed to send goes out on the retry', async (t) => {
+  const { post, sent, mail } = setup(t);
+  mail.failNext = true;
+  assert.equal((await post('ann@acme.dev', '198.51.100.1')).statusCode, 502);
+  assert.equal(sent.length, 0);
+
+  const retry = await post('ann@acme.dev', '198.51.100.1');
+  assert.equal(retry.statusCode, 200);
+  assert.equal(retry.body.status, 'pending');
+  assert.deepEqual(sent.map(m => m.to), ['ann@acme.dev']);
+});
+
+test('a delivered confirmation is not resent within the window', async (t) => {
+  const { post, sent } = setup(t);
+  assert.equal((await post('bob@acme.dev', '198.51.100.2')).statusCode, 200);
+  assert.equal((await post('bob@acme.dev', '198.51.100.2')).body.status, 'pending');
+  assert.equal(sent.length, 1);
+});
+
+test('one inbox gets one confirmation per window across IPs and +tag aliases', async (t) => {
+  const { post, sent } = setup(t);
+  const addresses = ['cat@gmail.com', 'cat+1@gmail.com', 'c.a.t+2@googlemail.com', 'cat@gmail.com'];
+  for (const [i, email] of addresses.entries()) {
+    const res = await post(email, `203.0.113.${i + 1}`);
+    assert.equal(res.body.status, 'pending');
+  }
+  assert.deepEqual(sent.map(m => m.to), ['cat@gmail.com']);
+});
@@ -0,0 +1,131 @@
+// test/stripeWebhooks.test.js
+// handleStripeEvent fed the recorded events in stripe/fixtures/, against an in-memory repository
+// with the same claim semantics as the generated ones.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { generate } = require('./helpers/project');
+
+process.env.STRIPE_PRICE_PRO = 'price_test_pro';
+
+function memoryRepository() {
+  const repo = {
+    events: new Map(),
+    customers: new Map(),
+    subscriptions: new Map(),
+    tracked: [],
+    // claimed synchronously, before the first await, like a single insert ... on conflict
+    async claimStripeEvent(id, type) {
+      if (repo.events.has(id)) return false;
+      repo.events.set(id, { type, processed: false });
+      return true;
+    },
+    async completeStripeEvent(id) {
+      repo.events.get(id).processed = true;
+    },
+    async releaseStripeEvent(id) {
+      if (!repo.events.get(id)?.processed) repo.events.delete(id);
+    },
+    async upsertCustomer({ userId, orgId, customerId, email }) {
+      repo.customers.set(customerId, { owner: orgId || userId, email });
+    },
+    async findUserIdByCustomer(customerId) {
+      return repo.customers.get(customerId)?.owner ?? null;
+    },
+    async findOrgIdByCustomer(customerId) {
+      return repo.customers.get(customerId)?.owner ?? null;
+    },
+    async upsertSubscription(sub) {
+      repo.subscriptions.set(sub.id, { ...repo.subscriptions.get(sub.id), ...sub });
+    },
+    async setSubscriptionStatus(id, status) {
+      if (repo.subscriptions.has(id)) repo.subscriptions.get(id).status = status;
+    },
+    async trackEvent(type, data) {
+      repo.tracked.push({ type, data });
+    },
+  };
+  return repo;
+}
+
+function setup(t, answers = {}) {
+  const repo = memoryRepository();
+  const conversions = [];
+  const project = generate(t, answers, {
+    'lib/repository': repo,
+    'lib/authServer': { getServerUser: async () => null },
+    'lib/org': { resolveOrg: async () => null },
+    'lib/conversions': { sendConversion: async (name, c) => { conversions.push({ name, ...c }); return []; } },
+  });
+  const fixtures = fs.readdirSync(path.join(project.dir, 'stripe/fixtures')).sort()
+    .map(f => JSON.parse(fs.readFileSync(path.join(project.dir, 'stripe/fixtures', f), 'utf8')));
+  const { handleStripeEvent } = project.load('lib/stripeWebhooks');
+  return { repo, conversions, fixtures, handleStripeEvent };
+}
+
+test('replays every fixture and keeps the subscription in step', async (t) => {
+  const { repo, conversions, fixtures, handleStripeEvent } = setup(t);
+  const seen = [];
+  for (const evt of fixtures) {
+    seen.push(await handleStripeEvent(evt));
+    if (evt.type === 'customer.subscription.updated') {
+      assert.deepEqual(
+        { status: repo.subscriptions.get('sub_test_123').status, plan: repo.subscriptions.get('sub_test_123').plan },
+        { status: 'active', plan: 'pro' }
+      );
+    }
+  }
+  assert.deepEqual(seen, ['processed', 'processed', 'processed', 'processed']);
+
+  assert.equal(repo.customers.get('cus_test_123').owner, 'user_test_123');
+  const sub = repo.subscriptions.get('sub_test_123');
+  assert.equal(sub.user_id, 'user_test_123');
+  assert.equal(sub.status, 'canceled');
+  assert.deepEqual(repo.tracked.map(e => e.type), ['checkout_completed', 'payment_failed']);
+  assert.deepEqual(conversions.map(c => [c.name, c.eventId, c.email]), [['Purchase', 'cs_test_123', 'founder@example.com']]);
+  assert.ok([...repo.events.values()].every(e => e.processed));
+});
+
+test('runs side effects once when Stripe delivers an event twice at once', async (t) => {
+  const { repo, conversions, fixtures, handleStripeEvent } = setup(t);
+  const checkout = fixtures.find(e => e.type === 'checkout.session.completed');
+
+  const results = await Promise.all([handleStripeEvent(checkout), handleStripeEvent(checkout)]);
+  assert.deepEqual(results.sort(), ['duplicate', 'processed']);
+  assert.equal(repo.tracked.filter(e => e.type === 'checkout_completed').length, 1);
+  assert.equal(conversions.length, 1);
+
+  assert.equal(await handleStripeEvent(checkout), 'duplicate');
+  assert.equal(conversions.length, 1);
+});
+
+test('a failed handler releases its claim so the retry runs it', async (t) => {
+  const { repo, conversions, fixtures, handleStripeEvent } = setup(t);
+  const checkout = fixtures.find(e => e.type === 'checkout.session.completed');
+  const upsert = repo.upsertCustomer;
+  repo.upsertCustomer = async () => { throw new Error('database unavailable'); };
+
+  await assert.rejects(handleStripeEvent(checkout), /database unavailable/);
+  assert.equal(repo.events.has(checkout.id), false);
+  assert.equal(conversions.length, 0);
+
+  repo.upsertCustomer = upsert;
+  assert.equal(await handleStripeEvent(checkout), 'processed');
+  assert.equal(conversions.length, 1);
+});
+
+test('ignores event types without a handler', async (t) => {
+  const { fixtures, handleStripeEvent } = setup(t);
+  assert.equal(await handleStripeEvent({ ...fixtures[0], id: 'evt_test_other', type: 'customer.created' }), 'ignored');
+});
+
+test('attaches billing to the organization in multi-tenant mode', async (t) => {
+  const { repo, fixtures, handleStripeEvent } = setup(t, { tenancy: 'multi' });
+  for (const evt of fixtures) await handleStripeEvent(evt);
+  assert.equal(repo.customers.get('cus_test_123').owner, 'org_test_123');
+  const sub = repo.subscriptions.get('sub_test_123');
+  assert.equal(sub.org_id, 'org_test_123');
+  assert.equal(sub.user_id, undefined);
+  assert.deepEqual(repo.tracked[0].data, { userId: 'user_test_123', orgId: 'org_test_123', customerId: 'cus_test_123', subscriptionId: 'sub_test_123' });
+});